@@ -0,0 +1,129 @@
+/**
+ * sw.js — service worker for offline briefings
+ * ──────────────────────────────────────────────────────────────────────────
+ * Caches the app shell and the remote basemap so the explorer keeps working
+ * with poor or no connectivity.  The data files (data/*.json, *.geojson) are
+ * deliberately NOT cached here: useDataLoader stores them in IndexedDB keyed
+ * by meta.generated_at and needs the network copy of meta.json to detect a
+ * newer snapshot.
+ *
+ *   navigation      network-first, falls back to the cached index.html
+ *   /assets/*       cache-first (Vite output is content-hashed)
+ *   CARTO basemap   stale-while-revalidate, capped at MAX_BASEMAP_ENTRIES
+ *
+ * Install precaches index.html plus every file in dist/assets — including the
+ * lazily imported chunks (maplibre-gl, the alerts worker) that index.html
+ * never references.  The list is written into PRECACHE_ASSETS at build time
+ * by the precache-manifest plugin in vite.config.js; in the dev server it
+ * stays empty.  It also writes BUILD_ID, a hash of that list, into the shell
+ * cache name: each deploy precaches into a fresh cache and activation
+ * deletes the previous one, so old content-hashed assets don't pile up.
+ *
+ * Bump SHELL_VERSION to drop old caches after a breaking change to sw.js.
+ */
+
+const SHELL_VERSION       = 'v1'
+const BUILD_ID            = 'dev' // __BUILD_ID__
+const SHELL_CACHE         = `shell-${SHELL_VERSION}-${BUILD_ID}`
+const BASEMAP_CACHE       = 'basemap-v1'
+const MAX_BASEMAP_ENTRIES = 600
+
+const SCOPE = self.registration.scope   // e.g. https://…/CASA0028-Assessment01/
+
+// Paths relative to SCOPE, e.g. 'assets/index-3f2a1c.js' — filled in at build
+const PRECACHE_ASSETS = [] // __PRECACHE_ASSETS__
+
+const BASEMAP_HOSTS = ['basemaps.cartocdn.com', 'tiles.basemaps.cartocdn.com']
+
+// ── install: precache index.html and every built asset ───────────────────────
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE)
+  const res   = await fetch(SCOPE, { cache: 'no-cache' })
+  if (!res.ok) return
+  const html  = await res.clone().text()
+  await cache.put(SCOPE, res)
+
+  // Manifest first; the html scrape also picks up icons and other public files
+  const referenced = [...html.matchAll(/(?:src|href)="([^"]+)"/g)].map(m => m[1])
+  const urls = [...new Set([...PRECACHE_ASSETS, ...referenced].map(u => new URL(u, SCOPE).href))]
+    .filter(u => u.startsWith(SCOPE) && !u.endsWith('/'))
+  await Promise.all(urls.map(u => cache.add(u).catch(() => {})))
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, BASEMAP_CACHE]
+    const keys = await caches.keys()
+    await Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k)))
+    await self.clients.claim()
+  })())
+})
+
+// ── strategies ───────────────────────────────────────────────────────────────
+
+async function networkFirstPage(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const res = await fetch(request)
+    if (res.ok) cache.put(SCOPE, res.clone())
+    return res
+  } catch {
+    return (await cache.match(SCOPE)) ?? Response.error()
+  }
+}
+
+async function cacheFirst(request) {
+  const cache  = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const res = await fetch(request)
+  if (res.ok) cache.put(request, res.clone())
+  return res
+}
+
+async function trimCache(name, max) {
+  const cache = await caches.open(name)
+  const keys  = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)))
+}
+
+async function staleWhileRevalidate(request, event) {
+  const cache   = await caches.open(BASEMAP_CACHE)
+  const cached  = await cache.match(request)
+  const refresh = fetch(request)
+    .then(res => {
+      if (res.ok || res.type === 'opaque') {
+        return cache.put(request, res.clone())
+          .then(() => trimCache(BASEMAP_CACHE, MAX_BASEMAP_ENTRIES))
+          .then(() => res)
+      }
+      return res
+    })
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}))
+    return cached
+  }
+  return refresh
+}
+
+// ── routing ──────────────────────────────────────────────────────────────────
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate' && url.href.startsWith(SCOPE)) {
+    event.respondWith(networkFirstPage(request))
+  } else if (url.href.startsWith(SCOPE + 'assets/')) {
+    event.respondWith(cacheFirst(request))
+  } else if (BASEMAP_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, event))
+  }
+  // everything else (incl. data files) → default network handling
+})
@@ -1,8 +1,21 @@
 import { useState, useEffect, useMemo } from 'react'
 import { useDataLoader }       from './hooks/useDataLoader'
-import { recomputeAlerts }     from './utils/recomputeAlerts'
+import { useAlertRecompute }   from './hooks/useAlertRecompute'
+import { useAlertRules }       from './hooks/useAlertRules'
+import { useAlertReviews }     from './hooks/useAlertReviews'
+import { useScenario }         from './hooks/useScenario'
+import { usePalette }          from './hooks/usePalette'
+import { usePlayback }         from './hooks/usePlayback'
+import { useAreaGroups }       from './hooks/useAreaGroups'
+import { DEFAULT_ALERT_PARAMS } from './utils/recomputeAlerts'
+import { createDataStore }     from './utils/dataStore'
+import { addSmoothedRisk, addRiskIntervals } from './utils/riskMetrics'
+import { forecastPanel, nextMonths } from './utils/forecast'
+import { applyScenario }       from './utils/scenario'
+import { buildAdjacency, spatialClusters } from './utils/spatialStats'
 import ControlsBar             from './components/ControlsBar'
 import DualMapPanel            from './components/DualMapPanel'
+import SmallMultiples          from './components/SmallMultiples'
 import ExplainCard             from './components/ExplainCard'
 import TrendChart              from './components/TrendChart'
 import RankingChart            from './components/RankingChart'
@@ -10,11 +23,25 @@ import ErrorBoundary           from './components/ErrorBoundary'
 import LoadingScreen           from './components/LoadingScreen'
 import ErrorScreen             from './components/ErrorScreen'
 import FilterPanel             from './components/FilterPanel'
+import RuleBuilder             from './components/RuleBuilder'
+import AlertFeed               from './components/AlertFeed'
+import ScenarioEditor          from './components/ScenarioEditor'
+import DataWarnings            from './components/DataWarnings'
+import DatasetImport           from './components/DatasetImport'
+import SnapshotStatus          from './components/SnapshotStatus'
+import PaletteSelect           from './components/PaletteSelect'
+import AreaGroups              from './components/AreaGroups'
+
+const NO_ROWS = []
 
 // ── Main app ─────────────────────────────────────────────────────────────────
 
 export default function App() {
-  const { areas, features, meta, loading, error } = useDataLoader()
+  const {
+    areas, features, meta, issues, loading, error,
+    source, importStatus, loadLocalFiles, resetToBundled,
+    snapshot, applyUpdate,
+  } = useDataLoader()
 
   // ── Core state ───────────────────────────────────────────────────────────
   const [mode,             setMode]             = useState('metricCompare')
@@ -22,12 +49,25 @@ export default function App() {
   const [monthA,           setMonthA]           = useState('')
   const [monthB,           setMonthB]           = useState('')
   const [selectedAreaId,   setSelectedAreaId]   = useState(null)
+  const [groupAreaIds,     setGroupAreaIds]     = useState([])      // shift-click multi-selection (≥ 2)
   const [displayMetric,    setDisplayMetric]    = useState('risk_index')
   const [showDelta,        setShowDelta]        = useState(false)
+  const [mapLayout,        setMapLayout]        = useState('side')    // 'side' | 'swipe' | 'bivariate' | 'multiples' | 'clusters'
+  const [forecastHorizon,  setForecastHorizon]  = useState(0)       // 0 = off, 1–3 months
+  const [forecastSeasonal, setForecastSeasonal] = useState(false)
+  const { paletteId, setPaletteId, palette } = usePalette()
 
   // ── D4: Filter & threshold state ─────────────────────────────────────────
   const [filterAlertsOnly, setFilterAlertsOnly] = useState(false)
-  const [alertThreshold,   setAlertThreshold]   = useState(0.5)  // 50% default
+  const [alertParams,      setAlertParams]      = useState(DEFAULT_ALERT_PARAMS)  // threshold, window, …
+  const { rules: alertRules, addRule, updateRule, removeRule } = useAlertRules()
+  const { reviews, setReview, clearReview, exportLog, importLog } = useAlertReviews()
+
+  // ── What-if scenario: edited exposure / counts, baseline kept alongside ──
+  const { edits: scenarioEdits, addEdit, updateEdit, removeEdit, clearEdits } = useScenario()
+  const [scenarioApplied, setScenarioApplied] = useState(true)
+  const [scenarioCompare, setScenarioCompare] = useState(false)
+  const scenarioActive = scenarioApplied && scenarioEdits.some(e => e.enabled !== false)
 
   // Initialise month selectors once meta loads
   useEffect(() => {
@@ -38,56 +78,194 @@ export default function App() {
     setMonthB(months[months.length - 1])
   }, [meta])
 
-  // ── Recompute alert flags when threshold changes (D4: ★ slider) ──────────
-  const recomputedFeatures = useMemo(
-    () => recomputeAlerts(features, alertThreshold),
-    [features, alertThreshold]
+  // Drop the selection when the dataset is swapped (ids may not exist any more)
+  useEffect(() => {
+    setSelectedAreaId(null)
+    setGroupAreaIds([])
+  }, [source.type, source.name])
+
+  // ── Selection: one borough, or a group built by shift-clicking ──────────
+  // A plain click always goes back to a single borough (or none).  Shift-
+  // click toggles a borough in the group, starting from the current one.
+  const { groups: savedGroups, saveGroup, removeGroup } = useAreaGroups()
+  const hasSelection = !!selectedAreaId || groupAreaIds.length > 0
+
+  const handleSelectArea = (id, { additive = false } = {}) => {
+    if (!additive) {
+      setGroupAreaIds([])
+      setSelectedAreaId(id)
+      return
+    }
+    const current = groupAreaIds.length ? groupAreaIds : selectedAreaId ? [selectedAreaId] : []
+    const next    = current.includes(id) ? current.filter(x => x !== id) : [...current, id]
+    setGroupAreaIds(next.length > 1 ? next : [])
+    setSelectedAreaId(next.length === 1 ? next[0] : null)
+  }
+
+  const handleLoadGroup = group => {
+    const known = new Set(areas?.features?.map(f => f.properties.area_id) ?? [])
+    const ids   = group.area_ids.filter(id => known.has(id))
+    if (ids.length === 1) handleSelectArea(ids[0])
+    else {
+      setSelectedAreaId(null)
+      setGroupAreaIds(ids)
+    }
+  }
+
+  const clearSelection = () => {
+    setSelectedAreaId(null)
+    setGroupAreaIds([])
+  }
+
+  // Saved group whose members are exactly the current multi-selection
+  const groupName = useMemo(() => {
+    if (groupAreaIds.length < 2) return null
+    const key = [...groupAreaIds].sort().join('|')
+    return savedGroups.find(g => [...g.area_ids].sort().join('|') === key)?.name ?? null
+  }, [groupAreaIds, savedGroups])
+
+  // ── Client-side derived metrics: Empirical-Bayes smoothed risk index
+  //    (risk_index_eb) and 95 % intervals (risk_index_lo / _hi) per row ──────
+  const smoothedFeatures = useMemo(() => addRiskIntervals(addSmoothedRisk(features)), [features])
+  const scenarioFeatures = useMemo(
+    () => (scenarioActive ? addRiskIntervals(addSmoothedRisk(applyScenario(features, scenarioEdits))) : NO_ROWS),
+    [features, scenarioEdits, scenarioActive]
+  )
+
+  // ── Recompute alert flags when detector settings change (D4: ★ slider) ───
+  // Runs in a Web Worker; `recomputing` is true while a result is pending.
+  // User-defined rules are evaluated in the same pass, after the built-ins.
+  const enabledRules   = useMemo(() => alertRules.filter(r => r.enabled !== false), [alertRules])
+  const ruleFields     = useMemo(() => Object.keys(meta?.fields ?? {}), [meta])
+  const detectorParams = useMemo(
+    () => ({ ...alertParams, rules: enabledRules, ruleFields }),
+    [alertParams, enabledRules, ruleFields]
+  )
+  // The baseline is always recomputed; the scenario only while one is applied.
+  const baseline = useAlertRecompute(smoothedFeatures, detectorParams, meta)
+  const scenario = useAlertRecompute(scenarioFeatures, detectorParams, meta)
+  const recomputedFeatures = scenarioActive ? scenario.features : baseline.features
+  const recomputing        = baseline.recomputing || scenario.recomputing
+  const recomputeError     = (scenarioActive ? scenario.error : null) ?? baseline.error
+
+  // ── Forecast: projected rows for the months after the last observed one ─
+  const forecastRows = useMemo(
+    () => forecastPanel(scenarioActive ? scenarioFeatures : smoothedFeatures,
+                        { horizon: forecastHorizon, seasonal: forecastSeasonal }),
+    [scenarioActive, scenarioFeatures, smoothedFeatures, forecastHorizon, forecastSeasonal]
+  )
+  const forecastMonths = useMemo(
+    () => (forecastRows.length ? nextMonths(meta?.months?.at(-1), forecastHorizon) : []),
+    [forecastRows, meta, forecastHorizon]
+  )
+  // Slider / TrendChart timeline: observed months, then forecast months
+  const timelineMonths = useMemo(
+    () => [...(meta?.months ?? []), ...forecastMonths],
+    [meta, forecastMonths]
+  )
+
+  // Shrinking the horizon must not leave the slider past the timeline's end
+  const handleForecastHorizon = h => {
+    setForecastHorizon(h)
+    setMonthIndex(i => Math.min(i, (meta?.months?.length ?? 1) - 1 + h))
+  }
+
+  // ── Month playback along the timeline (metricCompare only) ──────────────
+  const playback = usePlayback({
+    length:   timelineMonths.length,
+    index:    monthIndex,
+    setIndex: setMonthIndex,
+    enabled:  mode === 'metricCompare',
+  })
+  // Dragging the slider by hand takes over from playback (and ends it)
+  const handleMonthIndex = i => {
+    playback.pause()
+    setMonthIndex(i)
+  }
+
+  // ── Indexed store: every month / area / pair lookup goes through this ──
+  const store = useMemo(
+    () => createDataStore([...recomputedFeatures, ...forecastRows]),
+    [recomputedFeatures, forecastRows]
   )
 
   // ── Derived data ─────────────────────────────────────────────────────────
-  const currentMonth = meta?.months[monthIndex] ?? ''
-
-  const currentFeatures = useMemo(() => {
-    if (!recomputedFeatures || !currentMonth) return []
-    return recomputedFeatures.filter(f => f.month === currentMonth)
-  }, [recomputedFeatures, currentMonth])
-
-  const featuresA = useMemo(() => {
-    if (!recomputedFeatures || !monthA) return []
-    return recomputedFeatures.filter(f => f.month === monthA)
-  }, [recomputedFeatures, monthA])
-
-  const featuresB = useMemo(() => {
-    if (!recomputedFeatures || !monthB) return []
-    return recomputedFeatures.filter(f => f.month === monthB)
-  }, [recomputedFeatures, monthB])
-
-  const deltaFeatures = useMemo(() => {
-    if (!recomputedFeatures || !monthA || !monthB || monthA === monthB) return []
-    const byArea = m =>
-      Object.fromEntries(recomputedFeatures.filter(f => f.month === m).map(f => [f.area_id, f]))
-    const aMap = byArea(monthA)
-    const bMap = byArea(monthB)
-    const allIds = new Set([...Object.keys(aMap), ...Object.keys(bMap)])
-    return [...allIds].map(id => {
-      const a = aMap[id] ?? {}
-      const b = bMap[id] ?? {}
-      const riA = a.risk_index ?? null
-      const riB = b.risk_index ?? null
-      return {
-        area_id:           id,
-        area_name:         a.area_name ?? b.area_name ?? '',
-        delta_risk_index:  riA !== null && riB !== null ? +(riB - riA).toFixed(4) : null,
-        delta_count:       (b.theft_count ?? 0) - (a.theft_count ?? 0),
-        risk_index_a:      riA,
-        risk_index_b:      riB,
-        theft_count_a:     a.theft_count ?? 0,
-        theft_count_b:     b.theft_count ?? 0,
-        alert_level:       b.alert_level ?? 'none',
-        stability_flag:    b.stability_flag ?? false,
-      }
-    })
-  }, [recomputedFeatures, monthA, monthB])
+  const currentMonth = timelineMonths[monthIndex] ?? ''
+
+  const currentFeatures = useMemo(() => store.byMonth(currentMonth), [store, currentMonth])
+  const featuresA       = useMemo(() => store.byMonth(monthA),       [store, monthA])
+  const featuresB       = useMemo(() => store.byMonth(monthB),       [store, monthB])
+  const deltaFeatures   = useMemo(() => store.monthPair(monthA, monthB), [store, monthA, monthB])
+
+  // From the first Play until the slider is moved by hand, map classes come
+  // from every month in the playback range so the breaks (and legend) hold
+  // still through play / pause and only the boroughs' colours move
+  const [playFrom, playTo] = playback.range
+  const playbackClassRows = useMemo(
+    () => (playback.active
+      ? timelineMonths.slice(playFrom, playTo + 1).flatMap(m => store.byMonth(m))
+      : null),
+    [playback.active, timelineMonths, playFrom, playTo, store]
+  )
+
+  // Baseline rows for the scenario comparison (observed months only)
+  const baselineStore = useMemo(
+    () => createDataStore(scenarioActive ? baseline.features : NO_ROWS),
+    [scenarioActive, baseline.features]
+  )
+  const baselineCurrent = useMemo(
+    () => (scenarioActive && monthIndex < (meta?.months?.length ?? 0) ? baselineStore.byMonth(currentMonth) : NO_ROWS),
+    [scenarioActive, monthIndex, meta, baselineStore, currentMonth]
+  )
+  const scenarioAlertSummary = useMemo(() => {
+    if (!baselineCurrent.length) return null
+    const count = rows => rows.filter(f => f.alert_level && f.alert_level !== 'none').length
+    return { baseline: count(baselineCurrent), scenario: count(currentFeatures) }
+  }, [baselineCurrent, currentFeatures])
+
+  // Alert feed click → jump the month slider (and selection) to the event
+  const handleSelectEvent = (month, areaId) => {
+    const idx = meta?.months?.indexOf(month) ?? -1
+    if (idx < 0) return
+    setMode('metricCompare')
+    handleMonthIndex(idx)
+    if (areaId) handleSelectArea(areaId)
+  }
+
+  // ── Spatial clusters of the displayed metric this month: the hot-spot map
+  //    and the selected borough's cluster type (permutation tests, ~50 ms) ──
+  // Only for the clusters layout, or for the ExplainCard row when not playing;
+  // results are kept per month's rows and metric so scrubbing back and forth
+  // doesn't rerun the tests.
+  const { adjacency, spatialCache } = useMemo(
+    () => ({ adjacency: buildAdjacency(areas), spatialCache: new WeakMap() }),
+    [areas]
+  )
+  const spatialNeeded = mode === 'metricCompare'
+    && (mapLayout === 'clusters' || (!!selectedAreaId && !playback.playing))
+  const spatial = useMemo(() => {
+    if (!spatialNeeded) return null
+    if (!spatialCache.has(currentFeatures)) spatialCache.set(currentFeatures, {})
+    const byMetric = spatialCache.get(currentFeatures)
+    if (!(displayMetric in byMetric)) byMetric[displayMetric] = spatialClusters(currentFeatures, adjacency, displayMetric)
+    return byMetric[displayMetric]
+  }, [spatialNeeded, spatialCache, currentFeatures, adjacency, displayMetric])
+
+  // Small multiples: one row set per observed month
+  const showMultiples = mapLayout === 'multiples' && mode === 'metricCompare'
+  const multiplesRows = useMemo(
+    () => (showMultiples ? (meta?.months ?? []).map(m => store.byMonth(m)) : NO_ROWS),
+    [showMultiples, meta, store]
+  )
+
+  // Small-multiples panel click → that month (and borough) in the two-map view
+  const handleOpenMonth = (month, areaId) => {
+    const idx = meta?.months?.indexOf(month) ?? -1
+    if (idx < 0) return
+    setMapLayout('side')
+    handleMonthIndex(idx)
+    if (areaId) handleSelectArea(areaId)
+  }
 
   // Alert borough count (for badge on toggle chip)
   const alertCount = useMemo(() => {
@@ -108,7 +286,7 @@ export default function App() {
 
   // ── Render ───────────────────────────────────────────────────────────────
   if (loading) return <LoadingScreen />
-  if (error)   return <ErrorScreen message={error} />
+  if (error)   return <ErrorScreen message={error} issues={issues} />
 
   return (
     <div className="flex flex-col h-screen bg-slate-900 text-white overflow-hidden">
@@ -120,17 +298,35 @@ export default function App() {
           <span className="font-semibold text-base tracking-wide">Bike Theft: Counts vs Risk</span>
           <span className="text-slate-500 text-base">Compare counts vs risk index, detect abnormal months with alerts.</span>
         </div>
+        <div className="flex items-center gap-3">
+          <PaletteSelect value={paletteId} onChange={setPaletteId} />
+          <SnapshotStatus snapshot={snapshot} onUpdate={applyUpdate} />
+          <DatasetImport
+            source={source}
+            importStatus={importStatus}
+            onLoadFiles={loadLocalFiles}
+            onReset={resetToBundled}
+          />
+        </div>
       </header>
 
+      {/* ── Non-fatal dataset validation warnings ── */}
+      <DataWarnings key={source.name ?? 'bundled'} warnings={issues.warnings} />
+
       {/* ── Controls ── */}
       <ControlsBar
         meta={meta}
         mode={mode}             setMode={setMode}
-        monthIndex={monthIndex} setMonthIndex={setMonthIndex}
+        monthIndex={monthIndex} setMonthIndex={handleMonthIndex}
         monthA={monthA}         setMonthA={setMonthA}
         monthB={monthB}         setMonthB={setMonthB}
         displayMetric={displayMetric} setDisplayMetric={setDisplayMetric}
         showDelta={showDelta}   setShowDelta={setShowDelta}
+        forecastMonths={forecastMonths}
+        forecastHorizon={forecastHorizon}   setForecastHorizon={handleForecastHorizon}
+        forecastSeasonal={forecastSeasonal} setForecastSeasonal={setForecastSeasonal}
+        layout={mapLayout}      setLayout={setMapLayout}
+        playback={playback}
       />
 
       {/* ── Main content ── */}
@@ -139,21 +335,45 @@ export default function App() {
         {/* ── Map area ── */}
         <div className="flex-1 overflow-hidden">
           <ErrorBoundary>
-            <DualMapPanel
-              areas={areas}
-              currentFeatures={currentFeatures}
-              featuresA={featuresA}
-              featuresB={featuresB}
-              deltaFeatures={deltaFeatures}
-              selectedAreaId={selectedAreaId}
-              onSelectArea={setSelectedAreaId}
-              currentMonth={currentMonth}
-              monthA={monthA}
-              monthB={monthB}
-              mode={mode}
-              showDelta={showDelta}
-              filterAlertsOnly={filterAlertsOnly}
-            />
+            {showMultiples ? (
+              <SmallMultiples
+                areas={areas}
+                months={meta.months}
+                rowsByMonth={multiplesRows}
+                metric={displayMetric}
+                currentMonth={currentMonth}
+                selectedAreaIds={groupAreaIds.length ? groupAreaIds : [selectedAreaId]}
+                palette={palette}
+                onOpenMonth={handleOpenMonth}
+              />
+            ) : (
+              <DualMapPanel
+                areas={areas}
+                currentFeatures={currentFeatures}
+                featuresA={featuresA}
+                featuresB={featuresB}
+                deltaFeatures={deltaFeatures}
+                selectedAreaId={selectedAreaId}
+                selectedAreaIds={groupAreaIds}
+                onSelectArea={handleSelectArea}
+                currentMonth={currentMonth}
+                monthA={monthA}
+                monthB={monthB}
+                mode={mode}
+                displayMetric={displayMetric}
+                showDelta={showDelta}
+                filterAlertsOnly={filterAlertsOnly}
+                alertParams={alertParams}
+                customRuleCount={enabledRules.length}
+                reviews={reviews}
+                scenarioActive={scenarioActive}
+                baselineFeatures={scenarioCompare ? baselineCurrent : null}
+                palette={palette}
+                layout={mapLayout}
+                classRows={playbackClassRows}
+                spatial={spatial}
+              />
+            )}
           </ErrorBoundary>
         </div>
 
@@ -161,9 +381,13 @@ export default function App() {
         {/* ── Right panel ─────────────────────────────────────────────────────
              Layout (flex-col, overflow-hidden):
                ┌─ scrollable area (flex-1 overflow-y-auto) ──────────────────┐
-               │  1. About text  OR  Borough snapshot (ExplainCard)           │
+               │  1. About text  OR  Borough / group snapshot (ExplainCard)   │
+               │  1c. Saved borough groups (AreaGroups)                       │
                │  2. Alerts only + Spike threshold (FilterPanel)              │
-               │  3. Risk index over time (TrendChart, selected only)         │
+               │  2b. Custom alert rules (RuleBuilder)                        │
+               │  2c. Alert timeline / event feed (AlertFeed)                 │
+               │  2d. What-if exposure / count scenario (ScenarioEditor)      │
+               │  3. Risk index over time (TrendChart, selection only)        │
                │  4. Top-10 ranking (RankingChart)                            │
                └─────────────────────────────────────────────────────────────┘
                ┌─ fixed footer (flex-shrink-0) ──────────────────────────────┐
@@ -176,7 +400,7 @@ export default function App() {
           <div className="flex-1 overflow-y-auto flex flex-col">
 
             {/* 1a. About panel (no borough selected) */}
-            {!selectedAreaId && (
+            {!hasSelection && (
               <div className="px-4 pt-4 pb-4 border-b border-slate-700 space-y-3">
                 <p className="text-xs text-slate-300 leading-relaxed">
                   You can see where bike thefts happen most — and whether
@@ -208,42 +432,102 @@ export default function App() {
                 </div>
                 <p className="text-[11px] text-slate-500 italic">
                   Click any borough on the map to explore its full risk profile →
+                  Shift-click to pool several boroughs into a group.
                 </p>
               </div>
             )}
 
-            {/* 1b. Borough snapshot (ExplainCard, borough selected) */}
-            {selectedAreaId && (
+            {/* 1b. Borough / group snapshot (ExplainCard, selection made) */}
+            {hasSelection && (
               <ExplainCard
                 selectedAreaId={selectedAreaId}
-                features={recomputedFeatures}
-                currentFeatures={currentFeatures}
-                deltaFeatures={deltaFeatures}
+                groupAreaIds={groupAreaIds}
+                groupName={groupName}
+                onSaveGroup={name => saveGroup(name, groupAreaIds)}
+                onRemoveMember={id => handleSelectArea(id, { additive: true })}
+                store={store}
                 meta={meta}
                 mode={mode}
                 currentMonth={currentMonth}
                 monthA={monthA}
                 monthB={monthB}
-                alertThreshold={alertThreshold}
-                onClose={() => setSelectedAreaId(null)}
+                alertParams={alertParams}
+                reviews={reviews}
+                onReview={setReview}
+                onClearReview={clearReview}
+                onClose={clearSelection}
+                spatial={spatial}
+                palette={palette}
               />
             )}
 
+            {/* 1c. Saved borough groups (AreaGroups) */}
+            <AreaGroups
+              groups={savedGroups}
+              activeName={groupName}
+              onLoad={handleLoadGroup}
+              onRemove={removeGroup}
+            />
+
             {/* 2. Alerts only + Spike threshold (FilterPanel) */}
             <FilterPanel
               filterAlertsOnly={filterAlertsOnly} setFilterAlertsOnly={setFilterAlertsOnly}
-              alertThreshold={alertThreshold}     setAlertThreshold={setAlertThreshold}
+              alertParams={alertParams}           setAlertParams={setAlertParams}
               alertCount={alertCount}
+              recomputing={recomputing}
+              recomputeError={recomputeError}
+              seasonalAvailable={(meta?.months?.length ?? 0) > 12}
+            />
+
+            {/* 2b. User-defined alert rules */}
+            <RuleBuilder
+              rules={alertRules}
+              fields={meta?.fields}
+              onAdd={addRule}
+              onUpdate={updateRule}
+              onRemove={removeRule}
+            />
+
+            {/* 2c. City-wide alert timeline / event feed */}
+            <AlertFeed
+              features={recomputedFeatures}
+              months={meta?.months}
+              currentMonth={currentMonth}
+              selectedAreaId={selectedAreaId}
+              trendRun={alertParams.trendRun}
+              onSelectEvent={handleSelectEvent}
+              reviews={reviews}
+              onExportReviews={exportLog}
+              onImportReviews={importLog}
+              palette={palette}
+            />
+
+            {/* 2d. What-if scenario editor */}
+            <ScenarioEditor
+              edits={scenarioEdits}
+              areas={meta?.areas}
+              months={meta?.months}
+              applied={scenarioApplied}   setApplied={setScenarioApplied}
+              compare={scenarioCompare}   setCompare={setScenarioCompare}
+              alertSummary={scenarioAlertSummary}
+              onAdd={addEdit}
+              onUpdate={updateEdit}
+              onRemove={removeEdit}
+              onClear={clearEdits}
             />
 
             <ErrorBoundary>
-              {/* 3. Risk index over time (TrendChart, borough selected only) */}
-              {selectedAreaId && (
+              {/* 3. Risk index over time (TrendChart, borough or group selected) */}
+              {hasSelection && (
                 <TrendChart
-                  features={recomputedFeatures}
+                  store={store}
                   selectedAreaId={selectedAreaId}
+                  areaIds={groupAreaIds}
+                  groupName={groupName}
                   meta={meta}
+                  months={timelineMonths}
                   currentMonthIndex={monthIndex}
+                  palette={palette}
                 />
               )}
 
@@ -253,20 +537,35 @@ export default function App() {
                 mode={mode}
                 displayMetric={displayMetric}
                 selectedAreaId={selectedAreaId}
-                onSelectArea={setSelectedAreaId}
+                selectedAreaIds={groupAreaIds}
+                onSelectArea={handleSelectArea}
+                palette={palette}
               />
             </ErrorBoundary>
 
             {/* Alert level legend */}
             <div className="px-4 py-2.5 border-t border-slate-700/60 space-y-0.5">
               <p className="text-[9px] text-slate-600 leading-snug">
-                <span className="text-yellow-400">● Watch</span>
-                {' '}— 1 signal: spike <span className="text-slate-700">or</span> 3-month rise
+                <span style={{ color: palette.alert.watch }}>● Watch</span> — 1 signal
+                {' / '}
+                <span style={{ color: palette.alert.warning }}>▲ Warning</span> — 2+ signals
               </p>
               <p className="text-[9px] text-slate-600 leading-snug">
-                <span className="text-red-400">⚠ Warning</span>
-                {' '}— 2 signals: spike <span className="text-slate-700">and</span> 3-month rise
+                among spike, {alertParams.trendRun}-month rise
+                {alertParams.seasonalMode !== 'off' && ', seasonal (YoY)'}
               </p>
+              <p className="text-[9px] text-slate-600 leading-snug">
+                Spike — {alertParams.spikeMethod === 'ratio'
+                  ? `risk index more than ${Math.round(alertParams.threshold * 100)}% above its ${alertParams.baselineWindow}-month mean`
+                  : `thefts above the ${alertParams.baselineWindow}-month baseline at the ${+(alertParams.confidence * 100).toFixed(1)}% level (${
+                      alertParams.spikeMethod === 'negbin' ? 'neg. binomial' : 'Poisson'})`}
+                {alertParams.seasonalMode !== 'off' && '; seasonal applies the same test to prior years'}
+              </p>
+              {enabledRules.length > 0 && (
+                <p className="text-[9px] text-slate-600 leading-snug">
+                  Custom rules raise a borough to their own severity.
+                </p>
+              )}
             </div>
 
             {/* ── Footer — scrolls with content ── */}
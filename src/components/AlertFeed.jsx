@@ -0,0 +1,341 @@
+/**
+ * AlertFeed
+ * ──────────────────────────────────────────────────────────────────────────
+ * City-wide timeline of every watch / warning event in the recomputed panel
+ * ("what fired across London this year"), complementing the per-month map
+ * borders and the alertCount badge.
+ *
+ *   ┌ monthly strip: one stacked bar per month (warning / watch) ┐
+ *   ├ filters: signal type chips · severity chips · group by      ┤
+ *   └ event list grouped by month or by borough                   ┘
+ *
+ * Clicking an event (or a month bar) jumps the month slider — and for
+ * events the selected borough — to it.  Review status (acknowledged /
+ * dismissed, hooks/useAlertReviews) is shown per event, and the review log
+ * can be exported / imported as JSON here to hand it to a colleague.
+ *
+ * Props
+ * ─────
+ *   features       recomputed panel (all months, alert flags + rule_hits)
+ *   months         meta.months
+ *   currentMonth   'YYYY-MM'  (highlighted in the strip)
+ *   selectedAreaId string | null
+ *   trendRun       active trend run length (label only)
+ *   onSelectEvent  (month, areaId | null) => void
+ *   reviews        alert review log            { [reviewKey]: entry }
+ *   onExportReviews  () => void
+ *   onImportReviews  (File) => Promise<{ imported, skipped }>
+ *   palette        utils/palettes palette — alert colours (▲ warning, ● watch)
+ */
+
+import { useState, useMemo, useRef } from 'react'
+import { reviewKey } from '../utils/reviewLog'
+import { ALERT_MARKS, DEFAULT_PALETTE, getPalette, withAlpha } from '../utils/palettes'
+
+const SIGNALS = [
+  { key: 'spike',    label: 'Spike',    color: 'text-orange-300' },
+  { key: 'trend',    label: 'Rise',     color: 'text-sky-300' },
+  { key: 'seasonal', label: 'Seasonal', color: 'text-violet-300' },
+  { key: 'rule',     label: 'Rule',     color: 'text-slate-200' },
+]
+
+const SEVERITIES = [
+  { key: 'warning', label: 'Warning' },
+  { key: 'watch',   label: 'Watch' },
+]
+
+const DEFAULT_PALETTE_DEF = getPalette(DEFAULT_PALETTE)
+
+const MONTH_NAMES = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec']
+
+function fmtMonth(m) {
+  const [y, mo] = m.split('-')
+  return `${MONTH_NAMES[+mo - 1]} ${y}`
+}
+
+function signalsOf(row) {
+  const s = []
+  if (row.alert_spike)        s.push('spike')
+  if (row.alert_trend3)       s.push('trend')
+  if (row.alert_seasonal)     s.push('seasonal')
+  if (row.rule_hits?.length)  s.push('rule')
+  return s
+}
+
+function FilterChip({ active, onClick, className, style, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`px-1.5 py-0.5 rounded border text-[10px] font-medium transition-colors ${
+        active ? className : 'bg-slate-700/50 border-slate-600 text-slate-500 hover:border-slate-500'
+      }`}
+      style={active ? style : undefined}
+    >
+      {children}
+    </button>
+  )
+}
+
+export default function AlertFeed({
+  features, months, currentMonth, selectedAreaId, trendRun = 3, onSelectEvent,
+  reviews, onExportReviews, onImportReviews, palette = DEFAULT_PALETTE_DEF,
+}) {
+  const [open,          setOpen]          = useState(false)
+  const [groupBy,       setGroupBy]       = useState('month')   // 'month' | 'borough'
+  const [signals,       setSignals]       = useState(() => new Set(SIGNALS.map(s => s.key)))
+  const [severities,    setSeverities]    = useState(() => new Set(SEVERITIES.map(s => s.key)))
+  const [hideDismissed, setHideDismissed] = useState(false)
+  const [importMsg,     setImportMsg]     = useState(null)      // { ok, text }
+  const fileRef = useRef(null)
+
+  // ── All alert events in the panel ─────────────────────────────────────────
+  const events = useMemo(() => (features ?? [])
+    .filter(f => f.alert_level === 'watch' || f.alert_level === 'warning')
+    .map(f => ({
+      month:    f.month,
+      areaId:   f.area_id,
+      areaName: f.area_name || f.area_id,
+      level:    f.alert_level,
+      signals:  signalsOf(f),
+      rules:    (f.rule_hits ?? []).map(h => h.name),
+      review:   reviews?.[reviewKey(f.area_id, f.month)] ?? null,
+    }))
+    .sort((a, b) => b.month.localeCompare(a.month) || a.areaName.localeCompare(b.areaName)),
+  [features, reviews])
+
+  const filtered = useMemo(() => events.filter(e =>
+    severities.has(e.level) && e.signals.some(s => signals.has(s))
+      && !(hideDismissed && e.review?.status === 'dismissed')
+  ), [events, signals, severities, hideDismissed])
+
+  const reviewCount = Object.keys(reviews ?? {}).length
+
+  // Per-month counts for the strip (filtered, so it mirrors the list)
+  const monthly = useMemo(() => {
+    const counts = new Map((months ?? []).map(m => [m, { warning: 0, watch: 0 }]))
+    for (const e of filtered) {
+      const c = counts.get(e.month)
+      if (c) c[e.level] += 1
+    }
+    return [...counts.entries()].map(([month, c]) => ({ month, ...c, total: c.warning + c.watch }))
+  }, [filtered, months])
+  const maxTotal = Math.max(1, ...monthly.map(m => m.total))
+
+  const groups = useMemo(() => {
+    const map = new Map()
+    for (const e of filtered) {
+      const key = groupBy === 'month' ? e.month : e.areaId
+      if (!map.has(key)) {
+        map.set(key, { key, label: groupBy === 'month' ? fmtMonth(e.month) : e.areaName, events: [] })
+      }
+      map.get(key).events.push(e)
+    }
+    const list = [...map.values()]
+    if (groupBy === 'borough') {
+      // Most alerts first; within a borough newest first (already sorted)
+      list.sort((a, b) => b.events.length - a.events.length || a.label.localeCompare(b.label))
+    }
+    return list
+  }, [filtered, groupBy])
+
+  const toggle = (setter, key) => setter(prev => {
+    const next = new Set(prev)
+    if (next.has(key)) next.delete(key)
+    else next.add(key)
+    return next
+  })
+
+  const handleImport = async file => {
+    if (!file) return
+    try {
+      const { imported, skipped } = await onImportReviews(file)
+      setImportMsg({ ok: true, text: `Imported ${imported} review${imported === 1 ? '' : 's'}${skipped ? ` · ${skipped} skipped` : ''}` })
+    } catch (err) {
+      setImportMsg({ ok: false, text: err.message })
+    }
+  }
+
+  const signalLabel = key => (key === 'trend' ? `${trendRun}-mo rise` : SIGNALS.find(s => s.key === key).label)
+
+  return (
+    <div className="px-4 pt-2.5 pb-3 border-b border-slate-700/80">
+      <button
+        type="button"
+        onClick={() => setOpen(v => !v)}
+        className="flex items-center gap-1.5 text-[10px] text-slate-400 hover:text-slate-200"
+      >
+        {open ? '▾' : '▸'} Alert timeline
+        <span className="px-1 rounded text-[9px] font-bold bg-slate-600 text-slate-300">{events.length}</span>
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-2">
+          {/* Monthly strip */}
+          <div className="flex items-end gap-px h-10">
+            {monthly.map(m => (
+              <button
+                key={m.month}
+                type="button"
+                onClick={() => onSelectEvent(m.month, null)}
+                title={`${fmtMonth(m.month)}: ${m.warning} warning · ${m.watch} watch`}
+                className={`flex-1 h-full flex flex-col justify-end rounded-sm ${
+                  m.month === currentMonth ? 'bg-slate-600/60' : 'hover:bg-slate-700/60'
+                }`}
+              >
+                <span className="w-full" style={{ height: `${(m.watch / maxTotal) * 100}%`,   backgroundColor: withAlpha(palette.alert.watch, 0.8) }} />
+                <span className="w-full" style={{ height: `${(m.warning / maxTotal) * 100}%`, backgroundColor: withAlpha(palette.alert.warning, 0.8) }} />
+              </button>
+            ))}
+          </div>
+
+          {/* Filters */}
+          <div className="flex flex-wrap gap-1">
+            {SIGNALS.map(s => (
+              <FilterChip
+                key={s.key}
+                active={signals.has(s.key)}
+                onClick={() => toggle(setSignals, s.key)}
+                className={`bg-slate-700 border-slate-500 ${s.color}`}
+              >
+                {signalLabel(s.key)}
+              </FilterChip>
+            ))}
+          </div>
+          <div className="flex items-center justify-between gap-1">
+            <div className="flex gap-1">
+              {SEVERITIES.map(s => (
+                <FilterChip
+                  key={s.key}
+                  active={severities.has(s.key)}
+                  onClick={() => toggle(setSeverities, s.key)}
+                  className=""
+                  style={{
+                    color:           palette.alert[s.key],
+                    borderColor:     withAlpha(palette.alert[s.key], 0.6),
+                    backgroundColor: withAlpha(palette.alert[s.key], 0.2),
+                  }}
+                >
+                  {ALERT_MARKS[s.key]} {s.label}
+                </FilterChip>
+              ))}
+            </div>
+            <div className="flex items-center gap-0.5 bg-slate-900/60 border border-slate-700 rounded p-0.5">
+              {['month', 'borough'].map(g => (
+                <button
+                  key={g}
+                  type="button"
+                  onClick={() => setGroupBy(g)}
+                  className={`px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+                    groupBy === g ? 'bg-orange-500/80 text-white' : 'text-slate-400 hover:text-slate-200'
+                  }`}
+                >
+                  {g === 'month' ? 'Month' : 'Borough'}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <label className="flex items-center gap-1.5 text-[10px] text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={hideDismissed}
+              onChange={e => setHideDismissed(e.target.checked)}
+              className="accent-orange-500"
+            />
+            Hide dismissed
+          </label>
+
+          {/* Event list */}
+          <div className="max-h-64 overflow-y-auto space-y-2 pr-0.5">
+            {groups.length === 0 && (
+              <p className="text-[10px] text-slate-600 italic">No events match the filters.</p>
+            )}
+            {groups.map(g => (
+              <div key={g.key}>
+                <p className="flex justify-between text-[10px] text-slate-500 uppercase tracking-wider mb-0.5">
+                  <span>{g.label}</span>
+                  <span className="font-mono">{g.events.length}</span>
+                </p>
+                <ul className="space-y-px">
+                  {g.events.map(e => {
+                    const active = e.areaId === selectedAreaId && e.month === currentMonth
+                    return (
+                      <li key={`${e.areaId}|${e.month}`}>
+                        <button
+                          type="button"
+                          onClick={() => onSelectEvent(e.month, e.areaId)}
+                          title={[
+                            e.rules.length ? `Rules: ${e.rules.join(', ')}` : '',
+                            e.review?.owner ? `Owner: ${e.review.owner}` : '',
+                            e.review?.note ?? '',
+                          ].filter(Boolean).join('\n') || undefined}
+                          className={`w-full flex items-center gap-1.5 px-1.5 py-0.5 rounded text-left text-[10px] transition-colors ${
+                            active ? 'bg-orange-500/15 text-orange-200' : 'text-slate-300 hover:bg-slate-700/60'
+                          }`}
+                        >
+                          <span style={{ color: palette.alert[e.level] }}>
+                            {ALERT_MARKS[e.level]}
+                          </span>
+                          <span className={`flex-1 truncate ${e.review?.status === 'dismissed' ? 'line-through text-slate-500' : ''}`}>
+                            {groupBy === 'month' ? e.areaName : fmtMonth(e.month)}
+                          </span>
+                          {e.review?.status === 'acknowledged' && (
+                            <span className="text-emerald-300 text-[9px]">✓</span>
+                          )}
+                          <span className="flex gap-1 text-[9px]">
+                            {e.signals.map(s => (
+                              <span key={s} className={SIGNALS.find(x => x.key === s).color}>
+                                {signalLabel(s)}
+                              </span>
+                            ))}
+                          </span>
+                        </button>
+                      </li>
+                    )
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+
+          {/* Review log hand-over */}
+          <div className="pt-1.5 border-t border-slate-700/60 space-y-1">
+            <div className="flex items-center justify-between text-[10px]">
+              <span className="text-slate-500">
+                Review log <span className="font-mono text-slate-400">{reviewCount}</span>
+              </span>
+              <span className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={onExportReviews}
+                  disabled={!reviewCount}
+                  className="text-slate-400 hover:text-slate-200 disabled:opacity-40 disabled:pointer-events-none"
+                >
+                  ⇩ Export
+                </button>
+                <button
+                  type="button"
+                  onClick={() => fileRef.current?.click()}
+                  className="text-slate-400 hover:text-slate-200"
+                >
+                  ⇧ Import
+                </button>
+                <input
+                  ref={fileRef}
+                  type="file"
+                  accept=".json,application/json"
+                  className="hidden"
+                  onChange={e => { handleImport(e.target.files?.[0]); e.target.value = '' }}
+                />
+              </span>
+            </div>
+            {importMsg && (
+              <p className={`text-[9px] ${importMsg.ok ? 'text-emerald-300' : 'text-red-300'}`}>{importMsg.text}</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
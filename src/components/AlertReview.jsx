@@ -0,0 +1,107 @@
+/**
+ * AlertReview
+ * ──────────────────────────────────────────────────────────────────────────
+ * Case-notes block under the ExplainCard alert badge: acknowledge or dismiss
+ * the alert, record an owner and a free-text note.  Stored through
+ * hooks/useAlertReviews (localStorage, JSON import/export in AlertFeed).
+ *
+ * Mount with `key={reviewKey(areaId, month)}` so the draft resets when the
+ * selection or month changes.
+ *
+ * Props
+ * ─────
+ *   review     entry | undefined    { status, owner, note, updated_at }
+ *   level      alert_level of the reviewed row
+ *   onChange   (patch) => void      merged into the entry
+ *   onClear    () => void           forget the entry
+ */
+
+import { useState } from 'react'
+
+const STATUS_STYLE = {
+  acknowledged: { label: '✓ Acknowledge', active: 'bg-emerald-500/80 text-white' },
+  dismissed:    { label: '✕ Dismiss',     active: 'bg-slate-500/80 text-white' },
+}
+
+function fmtTimestamp(iso) {
+  const d = new Date(iso)
+  if (Number.isNaN(d.getTime()) || d.getTime() === 0) return null
+  return d.toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+}
+
+export default function AlertReview({ review, level, onChange, onClear }) {
+  const [owner, setOwner] = useState(review?.owner ?? '')
+  const [note,  setNote]  = useState(review?.note ?? '')
+
+  const status = review?.status ?? 'open'
+  const dirty  = owner !== (review?.owner ?? '') || note !== (review?.note ?? '')
+  const stamp  = review?.updated_at ? fmtTimestamp(review.updated_at) : null
+
+  const setStatus = s => onChange({ status: s, owner: owner.trim(), note: note.trim() })
+
+  return (
+    <div className="mt-2 bg-slate-700/30 border border-slate-700 rounded p-2 space-y-1.5">
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] text-slate-500 uppercase tracking-widest">Review</span>
+        {level === 'none' && (
+          <span className="text-[9px] text-slate-600">alert no longer active</span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-0.5 bg-slate-900/60 border border-slate-700 rounded p-0.5">
+        {['acknowledged', 'dismissed'].map(s => (
+          <button
+            key={s}
+            type="button"
+            onClick={() => setStatus(status === s ? 'open' : s)}
+            className={`flex-1 px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+              status === s ? STATUS_STYLE[s].active : 'text-slate-400 hover:text-slate-200'
+            }`}
+          >
+            {STATUS_STYLE[s].label}
+          </button>
+        ))}
+      </div>
+
+      <input
+        type="text"
+        value={owner}
+        onChange={e => setOwner(e.target.value)}
+        placeholder="Owner"
+        className="w-full bg-slate-900/60 border border-slate-700 rounded px-2 py-1 text-[11px] text-slate-200 placeholder-slate-600 focus:outline-none focus:border-slate-500"
+      />
+      <textarea
+        value={note}
+        onChange={e => setNote(e.target.value)}
+        placeholder="Case note…"
+        rows={2}
+        className="w-full bg-slate-900/60 border border-slate-700 rounded px-2 py-1 text-[11px] text-slate-200 placeholder-slate-600 resize-y focus:outline-none focus:border-slate-500"
+      />
+
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-[9px] text-slate-600 truncate">
+          {stamp ? `Updated ${stamp}` : 'Not reviewed yet'}
+        </span>
+        <span className="flex items-center gap-1.5">
+          {review && (
+            <button
+              type="button"
+              onClick={onClear}
+              className="text-[9px] text-slate-500 hover:text-red-300"
+            >
+              Clear
+            </button>
+          )}
+          <button
+            type="button"
+            disabled={!dirty}
+            onClick={() => onChange({ status, owner: owner.trim(), note: note.trim() })}
+            className="px-2 py-0.5 text-[10px] rounded bg-orange-500/80 hover:bg-orange-500 text-white font-medium transition-colors disabled:opacity-40 disabled:pointer-events-none"
+          >
+            Save note
+          </button>
+        </span>
+      </div>
+    </div>
+  )
+}
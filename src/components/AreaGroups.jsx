@@ -0,0 +1,82 @@
+/**
+ * AreaGroups
+ * ──────────────────────────────────────────────────────────────────────────
+ * Sidebar list of saved borough groups (hooks/useAreaGroups) — a BCU such
+ * as "Central South BCU", or any set of boroughs worth watching together.
+ * Clicking a group selects its members on the maps and ranking, where
+ * ExplainCard and TrendChart show the pooled figures (utils/areaGroups.js).
+ *
+ * Groups are built by shift-clicking boroughs and saved from ExplainCard.
+ *
+ * Props
+ * ─────
+ *   groups       [{ id, name, area_ids }]
+ *   activeName   string | null       saved group matching the current selection
+ *   onLoad       (group) => void
+ *   onRemove     (id) => void
+ */
+
+import { useState } from 'react'
+
+export default function AreaGroups({ groups, activeName, onLoad, onRemove }) {
+  const [open, setOpen] = useState(false)
+
+  return (
+    <div className="px-4 pt-2.5 pb-3 border-b border-slate-700/80 bg-slate-800/60">
+      <button
+        type="button"
+        onClick={() => setOpen(v => !v)}
+        className="flex items-center gap-1.5 text-[10px] text-slate-400 hover:text-slate-200"
+      >
+        {open ? '▾' : '▸'} Borough groups
+        {groups.length > 0 && (
+          <span className={`px-1 rounded text-[9px] font-bold ${
+            activeName ? 'bg-orange-500/30 text-orange-200' : 'bg-slate-600 text-slate-300'
+          }`}>
+            {groups.length}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-1">
+          {groups.length === 0 && (
+            <p className="text-[10px] text-slate-500 leading-snug">
+              No saved groups.  Shift-click boroughs on the map or in the ranking
+              to pool them, then save the selection by name.
+            </p>
+          )}
+          {groups.map(g => {
+            const active = g.name === activeName
+            return (
+              <div
+                key={g.id}
+                className={`flex items-center gap-2 rounded px-1.5 py-1 text-[11px] ${
+                  active ? 'bg-orange-500/15 text-orange-200' : 'text-slate-300 hover:bg-slate-700/50'
+                }`}
+              >
+                <button
+                  type="button"
+                  onClick={() => onLoad(g)}
+                  className="flex-1 min-w-0 text-left truncate"
+                  title={`Select ${g.area_ids.length} boroughs`}
+                >
+                  {g.name}
+                  <span className="ml-1.5 text-[10px] text-slate-500">{g.area_ids.length}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemove(g.id)}
+                  className="text-slate-500 hover:text-red-300 leading-none"
+                  title="Delete group"
+                >
+                  ✕
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
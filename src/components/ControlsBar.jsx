@@ -1,9 +1,17 @@
 /**
  * ControlsBar
  * The top control strip containing:
- *   - metricCompare mode: single-thumb slider + metric toggle
+ *   - metricCompare mode: single-thumb slider + metric toggle; the slider
+ *     continues into the forecast months (utils/forecast.js) picked by the
+ *     forecast horizon control next to it; playback controls (play / pause,
+ *     step, speed, loop, from–to range — hooks/usePlayback) animate it
  *   - monthCompare  mode: dual-thumb slider (A = sky, B = orange) + delta toggle
  *   - Mode toggle always visible at fixed position
+ *   - View toggle: side-by-side maps, a single swipe map, the bivariate
+ *     count × risk map, the hot-spot (spatial cluster) map (DualMapPanel)
+ *     or one small map per month (SmallMultiples); picking one of the last
+ *     three in month comparison switches back to Count vs Risk, the only
+ *     mode they support
  *
  * Layout strategy
  * ───────────────
@@ -17,6 +25,11 @@
  *      The active one is overlaid absolutely on top.
  */
 
+import { PLAYBACK_SPEEDS } from '../hooks/usePlayback'
+
+// Views that only exist in metricCompare mode
+const METRIC_ONLY_LAYOUTS = ['bivariate', 'multiples', 'clusters']
+
 // ── helpers ─────────────────────────────────────────────────────────────────
 
 /** Format 'YYYY-MM' → 'Jan 2025' */
@@ -26,10 +39,16 @@ function fmtMonth(ym) {
   return new Date(+y, +m - 1, 1).toLocaleString('en-GB', { month: 'short', year: 'numeric' })
 }
 
+/** Format 'YYYY-MM' → 'Jan 25' (local date, so no timezone shifts the month) */
+function fmtMonthAbbr(ym) {
+  const [y, m] = ym.split('-')
+  return new Date(+y, +m - 1, 1).toLocaleString('en-GB', { month: 'short', year: '2-digit' })
+}
+
 // ── sub-components ───────────────────────────────────────────────────────────
 
 /**
- * SegmentedControl — pill-shaped toggle for 2–3 options.
+ * SegmentedControl — pill-shaped toggle for 2–5 options.
  */
 /**
  * stretch — when true, the control fills its parent width and each button
@@ -61,7 +80,8 @@ function SegmentedControl({ options, value, onChange, accent = 'bg-orange-500',
 
 // Tick marks shared by both slider variants.
 // thumbR = 8 (half of 16 px thumb width) — corrects for thumb travel range.
-function Ticks({ months, maxIdx, activeA, activeB, thumbR = 8 }) {
+// Months at index ≥ forecastFrom are projections: dotted tick, italic label.
+function Ticks({ months, maxIdx, activeA, activeB, forecastFrom = Infinity, thumbR = 8 }) {
   return (
     <div className="relative mt-0.5" style={{ height: 22 }}>
       {months.map((m, i) => {
@@ -71,6 +91,7 @@ function Ticks({ months, maxIdx, activeA, activeB, thumbR = 8 }) {
         const isB   = activeB !== undefined && i === activeB
         const both  = isA && isB
         const abbr  = new Date(m + '-01').toLocaleString('en-GB', { month: 'short' })
+        const isFc  = i >= forecastFrom
         return (
           <div
             key={m}
@@ -82,6 +103,7 @@ function Ticks({ months, maxIdx, activeA, activeB, thumbR = 8 }) {
               : isA && activeB !== undefined ? 'h-2.5 bg-sky-400'
               : isB ? 'h-2.5 bg-orange-400'
               : isA ? 'h-2.5 bg-orange-400'   // single-slider active
+              : isFc ? 'h-1.5 border-l border-dotted border-slate-500'
               :       'h-1.5 bg-slate-600'
             }`} />
             <span className={`text-[9px] leading-none mt-px transition-colors ${
@@ -90,7 +112,7 @@ function Ticks({ months, maxIdx, activeA, activeB, thumbR = 8 }) {
               : isB ? 'text-orange-300 font-bold'
               : isA ? 'text-orange-300 font-bold'
               :       'text-slate-600'
-            }`}>{abbr}</span>
+            }${isFc ? ' italic' : ''}`}>{abbr}</span>
           </div>
         )
       })}
@@ -103,7 +125,7 @@ function Ticks({ months, maxIdx, activeA, activeB, thumbR = 8 }) {
  * Height structure matches DualRangeSlider exactly so the bar never resizes.
  *   20 px track container + 0.5 gap + 22 px ticks + 0.5 gap + 12 px label = 54 px
  */
-function SingleRangeSlider({ months, monthIndex, setMonthIndex }) {
+function SingleRangeSlider({ months, monthIndex, setMonthIndex, forecastFrom = Infinity }) {
   const maxIdx = months.length - 1
   return (
     <div className="flex flex-col flex-1">
@@ -119,12 +141,15 @@ function SingleRangeSlider({ months, monthIndex, setMonthIndex }) {
         />
       </div>
 
-      <Ticks months={months} maxIdx={maxIdx} activeA={monthIndex} />
+      <Ticks months={months} maxIdx={maxIdx} activeA={monthIndex} forecastFrom={forecastFrom} />
 
       {/* Label row — fixed 12 px to match DualRangeSlider's A/B label row */}
       <div className="flex justify-center mt-0.5" style={{ height: 12 }}>
         <span className="text-[11px] font-semibold text-orange-300 leading-none">
           {fmtMonth(months[monthIndex])}
+          {monthIndex >= forecastFrom && (
+            <span className="font-normal italic text-slate-400"> · forecast</span>
+          )}
         </span>
       </div>
     </div>
@@ -195,6 +220,87 @@ function DualRangeSlider({ months, monthA, monthB, onChangeA, onChangeB }) {
   )
 }
 
+/**
+ * ForecastControl — forecast horizon (Off / +1 / +2 / +3 months) and the
+ * seasonal (Holt-Winters) option, which needs two full years of history.
+ */
+function ForecastControl({ horizon, setHorizon, seasonal, setSeasonal, seasonalAvailable }) {
+  return (
+    <div className="flex items-center gap-2 shrink-0">
+      <span className="text-xs text-slate-500">Forecast:</span>
+      <SegmentedControl
+        options={[0, 1, 2, 3].map(h => ({ value: h, label: h ? `+${h}` : 'Off' }))}
+        value={horizon}
+        onChange={setHorizon}
+        accent="bg-slate-600"
+      />
+      <label
+        className={`flex items-center gap-1 text-[11px] ${
+          seasonalAvailable && horizon > 0 ? 'text-slate-400 cursor-pointer' : 'text-slate-600 pointer-events-none'
+        }`}
+        title={seasonalAvailable ? 'Holt-Winters with a 12-month season' : 'Needs at least 24 months of history'}
+      >
+        <input
+          type="checkbox"
+          checked={seasonal && seasonalAvailable}
+          disabled={!seasonalAvailable || horizon === 0}
+          onChange={e => setSeasonal(e.target.checked)}
+          className="accent-orange-500"
+        />
+        seasonal
+      </label>
+    </div>
+  )
+}
+
+/**
+ * PlaybackControl — ⏮ ▶/⏸ ⏭, speed, loop and the from–to range the
+ * animation runs over (indices into the slider's months).
+ */
+function PlaybackControl({ playback, months }) {
+  const { playing, toggle, step, speed, setSpeed, loop, setLoop, range, setRange } = playback
+  const [from, to] = range
+  const BTN    = 'w-6 h-6 flex items-center justify-center rounded text-slate-300 hover:text-white hover:bg-slate-700 transition-colors'
+  const SELECT = 'bg-slate-900/70 border border-slate-700 rounded px-1 py-0.5 text-[10px] text-slate-300 focus:outline-none focus:border-slate-500'
+
+  return (
+    <div className="flex flex-col items-center gap-0.5 shrink-0">
+      <div className="flex items-center gap-0.5">
+        <button type="button" onClick={() => step(-1)} className={BTN} title="Previous month">⏮</button>
+        <button
+          type="button"
+          onClick={toggle}
+          className={`${BTN} ${playing ? 'bg-orange-500/80 text-white hover:bg-orange-500' : ''}`}
+          title={playing ? 'Pause' : 'Play through the months'}
+        >
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button type="button" onClick={() => step(1)} className={BTN} title="Next month">⏭</button>
+        <select value={speed} onChange={e => setSpeed(e.target.value)} className={`${SELECT} ml-1`} title="Playback speed">
+          {Object.entries(PLAYBACK_SPEEDS).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={() => setLoop(!loop)}
+          className={`${BTN} ${loop ? 'text-orange-300' : 'text-slate-600'}`}
+          title={loop ? 'Looping — click to stop at the end' : 'Stops at the end — click to loop'}
+        >
+          ⟳
+        </button>
+      </div>
+      <div className="flex items-center gap-1 text-[10px] text-slate-500">
+        <select value={from} onChange={e => setRange([+e.target.value, Math.max(+e.target.value, to)])} className={SELECT} title="Playback starts at">
+          {months.map((m, i) => <option key={m} value={i}>{fmtMonthAbbr(m)}</option>)}
+        </select>
+        –
+        <select value={to} onChange={e => setRange([Math.min(from, +e.target.value), +e.target.value])} className={SELECT} title="Playback ends at">
+          {months.map((m, i) => <option key={m} value={i}>{fmtMonthAbbr(m)}</option>)}
+        </select>
+      </div>
+    </div>
+  )
+}
+
 // ── main component ───────────────────────────────────────────────────────────
 
 export default function ControlsBar({
@@ -205,6 +311,11 @@ export default function ControlsBar({
   monthB,        setMonthB,
   displayMetric, setDisplayMetric,
   showDelta,     setShowDelta,
+  forecastMonths = [],
+  forecastHorizon, setForecastHorizon,
+  forecastSeasonal, setForecastSeasonal,
+  layout,        setLayout,
+  playback,
 }) {
   if (!meta?.months) return null
   const months = meta.months
@@ -216,11 +327,28 @@ export default function ControlsBar({
                     flex items-center gap-x-6">
 
       {/* ── Slider section — flex-1, consistent height in both modes ──── */}
-      <div className="flex items-center min-w-[300px] flex-1">
+      <div className="flex items-center min-w-[300px] flex-1 gap-x-6">
         {isMetric
-          ? <SingleRangeSlider months={months} monthIndex={monthIndex} setMonthIndex={setMonthIndex} />
+          ? <SingleRangeSlider
+              months={[...months, ...forecastMonths]}
+              monthIndex={monthIndex}
+              setMonthIndex={setMonthIndex}
+              forecastFrom={months.length}
+            />
           : <DualRangeSlider   months={months} monthA={monthA} monthB={monthB} onChangeA={setMonthA} onChangeB={setMonthB} />
         }
+        {isMetric && playback && (
+          <PlaybackControl playback={playback} months={[...months, ...forecastMonths]} />
+        )}
+        {isMetric && setForecastHorizon && (
+          <ForecastControl
+            horizon={forecastHorizon}
+            setHorizon={setForecastHorizon}
+            seasonal={forecastSeasonal}
+            setSeasonal={setForecastSeasonal}
+            seasonalAvailable={months.length >= 24}
+          />
+        )}
       </div>
 
       {/* ── Mode toggle — position fixed by the right section's constant width ── */}
@@ -237,6 +365,28 @@ export default function ControlsBar({
         />
       </div>
 
+      {/* ── Map layout: side by side, swipe, bivariate, small multiples, hot spots ── */}
+      {setLayout && (
+        <div className="flex items-center gap-2 shrink-0">
+          <span className="text-xs text-slate-500">View:</span>
+          <SegmentedControl
+            options={[
+              { value: 'side',  label: '◫ Side by side' },
+              { value: 'swipe', label: '⇔ Swipe' },
+              { value: 'bivariate', label: '▦ Bivariate' },
+              { value: 'multiples', label: '⊞ Months' },
+              { value: 'clusters',  label: '◎ Hot spots' },
+            ]}
+            value={!isMetric && METRIC_ONLY_LAYOUTS.includes(layout) ? 'side' : layout}
+            onChange={value => {
+              if (METRIC_ONLY_LAYOUTS.includes(value) && !isMetric) setMode('metricCompare')
+              setLayout(value)
+            }}
+            accent="bg-slate-600"
+          />
+        </div>
+      )}
+
       {/* ── Right toggle — constant width via `visibility` trick ────────
           Both SegmentedControls stay in the DOM.  The inactive one is
           `visibility:hidden` (reserves space) and `pointer-events:none`.
@@ -258,8 +408,9 @@ export default function ControlsBar({
           >
             <SegmentedControl
               options={[
-                { value: 'risk_index',  label: 'Risk Index' },
-                { value: 'theft_count', label: 'Theft Count' },
+                { value: 'risk_index',    label: 'Risk Index' },
+                { value: 'risk_index_eb', label: 'Smoothed' },
+                { value: 'theft_count',   label: 'Theft Count' },
               ]}
               value={displayMetric}
               onChange={setDisplayMetric}
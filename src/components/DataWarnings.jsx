@@ -0,0 +1,44 @@
+/**
+ * DataWarnings
+ * Thin collapsible strip under the header listing the non-fatal problems
+ * validateDataset found.  Hidden when the dataset is clean; can be dismissed
+ * for the session.
+ */
+
+import { useState } from 'react'
+import IssueList from './IssueList'
+
+export default function DataWarnings({ warnings }) {
+  const [open,      setOpen]      = useState(false)
+  const [dismissed, setDismissed] = useState(false)
+
+  if (!warnings?.length || dismissed) return null
+
+  return (
+    <div className="flex-shrink-0 bg-yellow-500/5 border-b border-yellow-500/20 px-5 py-1.5">
+      <div className="flex items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen(v => !v)}
+          className="text-[11px] text-yellow-300 hover:text-yellow-200 text-left"
+        >
+          ⚠ {warnings.length} data warning{warnings.length > 1 ? 's' : ''} — some values may show as "no data"
+          <span className="text-yellow-500/70 ml-1.5">{open ? '▾ hide' : '▸ details'}</span>
+        </button>
+        <button
+          type="button"
+          onClick={() => setDismissed(true)}
+          className="text-slate-500 hover:text-slate-300 text-sm leading-none"
+          title="Dismiss"
+        >
+          ×
+        </button>
+      </div>
+      {open && (
+        <div className="mt-1.5 mb-1 max-h-40 overflow-y-auto">
+          <IssueList issues={warnings} />
+        </div>
+      )}
+    </div>
+  )
+}
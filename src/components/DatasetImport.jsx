@@ -0,0 +1,127 @@
+/**
+ * DatasetImport
+ * ──────────────────────────────────────────────────────────────────────────
+ * Header control for swapping the bundled public/data/ snapshot for a local
+ * extract.  Opens a small popover with a drag-and-drop zone + file picker
+ * (features CSV/JSON, optional boundaries GeoJSON) and a button to switch
+ * back to the default snapshot.
+ *
+ * Dragging files anywhere over the window opens the popover automatically.
+ *
+ * Props
+ * ─────
+ *   source         { type: 'bundled' } | { type: 'local', name }
+ *   importStatus   { busy, error, issues }   (from useDataLoader)
+ *   onLoadFiles    (FileList) => void
+ *   onReset        () => void
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import IssueList from './IssueList'
+
+export default function DatasetImport({ source, importStatus, onLoadFiles, onReset }) {
+  const [open,     setOpen]     = useState(false)
+  const [dragOver, setDragOver] = useState(false)
+  const inputRef = useRef(null)
+
+  const isLocal = source?.type === 'local'
+
+  // Open on any file drag entering the window
+  useEffect(() => {
+    const onDragEnter = e => {
+      if ([...(e.dataTransfer?.types ?? [])].includes('Files')) setOpen(true)
+    }
+    window.addEventListener('dragenter', onDragEnter)
+    return () => window.removeEventListener('dragenter', onDragEnter)
+  }, [])
+
+  // Close once a successful import switches the source
+  useEffect(() => {
+    if (isLocal) setOpen(false)
+  }, [isLocal, source?.name])
+
+  const handleFiles = files => {
+    if (files?.length) onLoadFiles(files)
+  }
+
+  const handleDrop = e => {
+    e.preventDefault()
+    setDragOver(false)
+    handleFiles(e.dataTransfer.files)
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(v => !v)}
+        className={`flex items-center gap-1.5 px-2.5 py-1 rounded border text-[11px] font-medium transition-colors ${
+          isLocal
+            ? 'bg-sky-500/15 border-sky-500/50 text-sky-300'
+            : 'bg-slate-800 border-slate-600 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+        }`}
+        title={isLocal ? source.name : 'Load a local dataset'}
+      >
+        <span>⇪</span>
+        <span className="max-w-[220px] truncate">
+          {isLocal ? `Local: ${source.name}` : 'Bundled snapshot'}
+        </span>
+        <span className="text-slate-500">{open ? '▴' : '▾'}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1.5 z-40 w-80 bg-slate-800 border border-slate-600 rounded-lg shadow-xl p-3 space-y-2.5">
+          <div
+            onDragOver={e => { e.preventDefault(); setDragOver(true) }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={handleDrop}
+            onClick={() => inputRef.current?.click()}
+            className={`flex flex-col items-center justify-center gap-1 px-3 py-5 rounded-md border border-dashed cursor-pointer text-center transition-colors ${
+              dragOver
+                ? 'border-sky-400 bg-sky-500/10 text-sky-200'
+                : 'border-slate-600 bg-slate-900/50 text-slate-400 hover:border-slate-500'
+            }`}
+          >
+            <span className="text-xl">⇪</span>
+            <span className="text-xs font-medium">
+              {importStatus?.busy ? 'Reading files…' : 'Drop files here or click to browse'}
+            </span>
+            <span className="text-[10px] text-slate-500 leading-snug">
+              Features <code>.csv</code> / <code>.json</code> + optional boundaries <code>.geojson</code>
+            </span>
+            <input
+              ref={inputRef}
+              type="file"
+              multiple
+              accept=".csv,.json,.geojson,application/json,text/csv"
+              className="hidden"
+              onChange={e => { handleFiles(e.target.files); e.target.value = '' }}
+            />
+          </div>
+
+          <p className="text-[10px] text-slate-500 leading-snug">
+            Required columns: <code className="text-slate-400">area_id, month, theft_count, exposure</code>.
+            Risk index is derived when missing; without a GeoJSON the London Borough boundaries are used.
+          </p>
+
+          {importStatus?.error && (
+            <div className="bg-red-500/10 border border-red-500/30 rounded px-2 py-1.5 space-y-1.5">
+              <p className="text-[11px] text-red-300">{importStatus.error}</p>
+              <IssueList issues={importStatus.issues?.errors} />
+            </div>
+          )}
+
+          {isLocal && (
+            <button
+              type="button"
+              onClick={onReset}
+              className="w-full px-2 py-1 text-[11px] rounded bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors"
+            >
+              ↺ Back to default snapshot
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -5,7 +5,10 @@
  *
  * metricCompare mode
  *   Left  – Theft Count   (currentFeatures)
- *   Right – Risk Index    (currentFeatures)
+ *   Right – Risk Index    (currentFeatures; smoothed risk_index_eb when that
+ *                          is the display metric)
+ *   With a what-if scenario compared against its baseline (baselineFeatures):
+ *   Left  – Baseline Risk Index, Right – Scenario Risk Index
  *
  * monthCompare mode, showDelta = false   [A | B]
  *   Left  – Risk Index, Month A   (featuresA)
@@ -17,74 +20,206 @@
  *
  * D3: every Borough with alert_level 'warning' gets a red border;
  *     'watch' gets a yellow border.  The selected Borough always gets
- *     an orange border at the highest priority.
+ *     an orange border at the highest priority — as does every member of
+ *     a shift-click multi-selection.  Boroughs whose seasonal
+ *     (year-over-year) signal fired get an extra dashed violet inner line.
+ *     Reviewed alerts (hooks/useAlertReviews) stop breathing: acknowledged
+ *     ones get a green inner line, dismissed ones fade to a thin border.
+ *     Watch borders are dashed so the level doesn't depend on colour alone;
+ *     fill ramps and alert colours come from the active palette
+ *     (utils/palettes.js).
+ *
+ * Layout: side-by-side (default), or 'swipe' — both maps stacked on one
+ *     view, the right one clipped at a draggable vertical divider so the
+ *     same borough edge can be compared in place.  Same GeoJSON, fills and
+ *     legends as side-by-side; labels ride either side of the divider.
+ *     'bivariate' (metricCompare only) — a single map coloured by a 3 × 3
+ *     matrix of theft-count class × risk-index class; clicking a cell of
+ *     the 2-D legend highlights the boroughs in it and dims the rest.
+ *     'clusters' (metricCompare only) — the left map shows the displayed
+ *     metric, the right one its local spatial clusters (utils/spatialStats):
+ *     LISA hot / cold spots and outliers, or Getis-Ord Gi* hot / cold spots,
+ *     with the global Moran's I in the legend.
+ *     Month compare falls back to side-by-side.
+ *
+ * Hover: a tooltip at the pointer gives the borough's name, the value the
+ *     map shows, theft count, exposure and alert level (month compare adds
+ *     the A / B risk index and Δ); the same borough is outlined on the
+ *     partner map while hovering.
+ *
+ * Colour classes: hand-picked fixed breaks by default; the Classes picker
+ *     switches both maps to quantile / equal-interval / natural-breaks /
+ *     standard-deviation classes computed from the rows on screen, and the
+ *     legends are generated from whichever breaks are in use.  From the
+ *     first Play until the slider is moved by hand the breaks come from the
+ *     whole playback range (classRows), so the classes don't jump from frame
+ *     to frame or on play / pause.
+ *
+ * Basemap: remote CARTO dark-matter by default.  If that style fails to
+ *     load (error before first render, or no load within
+ *     STYLE_TIMEOUT_MS) both maps switch to the bundled offline style
+ *     (utils/offlineBasemap.js); the Basemap toggle picks it explicitly.
  */
 
-import { useState, useEffect, useMemo, useCallback } from 'react'
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react'
 import { Map, Source, Layer } from 'react-map-gl/maplibre'
 import 'maplibre-gl/dist/maplibre-gl.css'
+import { REMOTE_STYLE_URL, buildOfflineStyle } from '../utils/offlineBasemap'
+import { reviewKey } from '../utils/reviewLog'
+import { DEFAULT_PALETTE, ALERT_MARKS, getPalette } from '../utils/palettes'
+import { CLASSIFICATION_METHODS, CLASS_COUNTS, classBreaks, classIndex, legendItems } from '../utils/classify'
+import { COUNT_SCHEME, RISK_SCHEME, EB_RISK_SCHEME, DELTA_SCHEME, METRIC_SCHEMES, buildClasses } from '../utils/mapSchemes'
+import { CLUSTER_TYPES, SIGNIFICANCE, PERMUTATIONS } from '../utils/spatialStats'
 
-// ── MapLibre paint expressions ───────────────────────────────────────────────
+// Remote style must finish loading within this window, else → offline style
+const STYLE_TIMEOUT_MS = 10000
 
-const THEFT_COUNT_COLOR = [
-  'step', ['coalesce', ['get', 'theft_count'], -1], '#475569',
-  0,   '#ffffff',  1,   '#c7d2fe',  20,  '#818cf8',
-  40,  '#4f46e5',  65,  '#3730a3',  100, '#1e1b4b',
-]
+// Offline style: draw the choropleth fill beneath the roads / Thames lines
+const OFFLINE_FILL_BEFORE_ID = 'offline-roads-trunk'
 
-const RISK_INDEX_COLOR = [
-  'step', ['coalesce', ['get', 'risk_index'], -1], '#475569',
-  0.0, '#fee2e2',  0.6, '#fca5a5',  0.85, '#ef4444',
-  1.15,'#dc2626',  1.5, '#991b1b',  2.0,  '#450a0a',
+// ── Colour schemes ───────────────────────────────────────────────────────────
+// Field / title / fixed breaks per map (utils/mapSchemes.js); buildClasses
+// turns one into the fill expression + legend for the values on screen.
+
+// Alert border legend (appended at bottom of main legend).  Watch borders are
+// dashed and seasonal ones dashed inner lines, so level reads without colour.
+const alertLegendItems = palette => [
+  { color: palette.alert.warning, label: `Warning alert ${ALERT_MARKS.warning}` },
+  { color: palette.alert.watch,   label: `Watch alert ${ALERT_MARKS.watch}`, dashed: true },
 ]
 
-const DELTA_RISK_COLOR = [
-  'step', ['coalesce', ['get', 'delta_risk_index'], 0],
-  '#1d4ed8',
-  -1.5, '#60a5fa',  -0.8, '#bfdbfe',  -0.4, '#ffffff',
-   0.4, '#fca5a5',   0.8, '#dc2626',   1.5, '#7f1d1d',
+const seasonalLegendItem = palette => ({ color: palette.alert.seasonal, label: 'Seasonal signal (inner)', dashed: true })
+
+const seasonalBorderPaint = palette => ({
+  'line-color':     palette.alert.seasonal,
+  'line-width':     1.6,
+  'line-offset':    2.5,
+  'line-dasharray': [2, 1.5],
+})
+
+const REVIEW_LEGEND_ITEMS = [
+  { color: '#34d399', label: 'Acknowledged (inner)' },
+  { color: '#64748b', label: 'Dismissed (faded)' },
 ]
 
-// ── Legend definitions ───────────────────────────────────────────────────────
+const DEFAULT_PALETTE_DEF = getPalette(DEFAULT_PALETTE)
+
+const IS_ALERT = ['in', ['get', 'alert_level'], ['literal', ['warning', 'watch']]]
+
+const ACKNOWLEDGED_FILTER = ['all', ['==', ['get', 'review_status'], 'acknowledged'], IS_ALERT]
 
-const COUNT_LEGEND = {
-  title: 'Theft Count',
-  items: [
-    { color: '#ffffff', label: '0' },         { color: '#c7d2fe', label: '1–19' },
-    { color: '#818cf8', label: '20–39' },      { color: '#4f46e5', label: '40–64' },
-    { color: '#3730a3', label: '65–99' },      { color: '#1e1b4b', label: '≥ 100' },
-  ],
+const ACKNOWLEDGED_BORDER_PAINT = {
+  'line-color':  '#34d399',
+  'line-width':  1.2,
+  'line-offset': 4.5,
 }
 
-const RISK_LEGEND = {
-  title: 'Risk Index',
-  subtitle: 'baseline = 1.0',
-  items: [
-    { color: '#fee2e2', label: '< 0.6' },      { color: '#fca5a5', label: '0.6–0.85' },
-    { color: '#ef4444', label: '0.85–1.15' },  { color: '#dc2626', label: '1.15–1.5' },
-    { color: '#991b1b', label: '1.5–2.0' },    { color: '#450a0a', label: '> 2.0' },
-  ],
+const HOVER_BORDER_PAINT = {
+  'line-color': '#f8fafc',
+  'line-width': 2.2,
 }
 
-const DELTA_LEGEND = {
-  title: 'Δ Risk Index (B − A)',
-  subtitle: 'change vs month A',
-  items: [
-    { color: '#1d4ed8', label: '≤ −1.5  big drop' },
-    { color: '#60a5fa', label: '−1.5 to −0.8  drop' },
-    { color: '#bfdbfe', label: '−0.8 to −0.4  slight drop' },
-    { color: '#ffffff', label: '≈ 0  stable' },
-    { color: '#fca5a5', label: '0.4–0.8  rise' },
-    { color: '#dc2626', label: '0.8–1.5  large rise' },
-    { color: '#7f1d1d', label: '≥ 1.5  big rise' },
-  ],
+// ── Bivariate count × risk classes ───────────────────────────────────────────
+// 3 × 3: count tertiles across, risk classes up.  With the Fixed
+// classification risk splits around the city average (< 0.85 · ≈ 1 · > 1.15);
+// otherwise both axes use the selected method with three classes.
+
+const BIVARIATE_RISK_BREAKS = [0.85, 1.15]
+
+function buildBivariate(rows, riskField, method, palette, breakRows = rows) {
+  const counts = (breakRows ?? []).map(r => r.theft_count)
+  const risks  = (breakRows ?? []).map(r => r[riskField])
+  const xBreaks = classBreaks(counts, method === 'fixed' ? 'quantile' : method, 3, { integer: true })
+  const yBreaks = method === 'fixed' ? BIVARIATE_RISK_BREAKS : classBreaks(risks, method, 3)
+
+  // Cell index = risk class × 3 + count class; -1 when either is missing
+  const cellOf = r => {
+    const x = classIndex(r.theft_count, xBreaks)
+    const y = classIndex(r[riskField], yBreaks)
+    return x == null || y == null ? -1 : y * 3 + x
+  }
+  const cellCounts = new Array(9).fill(0)
+  for (const r of rows ?? []) {
+    const c = cellOf(r)
+    if (c >= 0) cellCounts[c] += 1
+  }
+
+  const colors = palette.bivariate
+  const fill = ['match', ['get', 'bivariate_cell'],
+    ...[0, 1, 2, 3, 4, 5, 6, 7, 8].flatMap(c => [c, colors[Math.floor(c / 3)][c % 3]]),
+    '#475569',
+  ]
+  return { cellOf, cellCounts, xBreaks, yBreaks, colors, fill }
 }
 
-// alert border legends (appended at bottom of main legend)
-const ALERT_LEGEND_ITEMS = [
-  { color: '#ef4444', label: '── Warning alert' },
-  { color: '#fbbf24', label: '── Watch alert' },
-]
+/** "< 26", "26–51", "≥ 52" style tick text for one bivariate axis. */
+function axisLabels(breaks, integer) {
+  return legendItems(breaks, ['', '', ''], { integer, min: integer ? 0 : undefined }).map(it => it.label)
+}
+
+// ── Bivariate legend: clickable 3 × 3 matrix ─────────────────────────────────
+
+function BivariateLegend({ bivariate, riskLabel, highlightCell, onHighlight, showAlerts, palette, alertRule }) {
+  const { colors, cellCounts, xBreaks, yBreaks } = bivariate
+  const xTicks = axisLabels(xBreaks, true)
+  const yTicks = axisLabels(yBreaks, false)
+  const CORNERS = { 2: 'high count · low risk', 6: 'low count · high risk' }
+
+  return (
+    <div
+      className="absolute bottom-5 left-0 z-10 bg-slate-900/90 backdrop-blur-sm text-[10px] border-t border-r border-b border-slate-700 select-none"
+      style={{ borderRadius: '0 8px 8px 0', padding: '10px 12px' }}
+    >
+      <p className="font-semibold text-slate-200">Count × {riskLabel}</p>
+      <p className="text-slate-500 mb-1.5">click a cell to highlight its boroughs</p>
+      <div className="flex items-stretch gap-1">
+        {/* y axis */}
+        <div className="flex flex-col-reverse justify-between text-[9px] text-slate-500 text-right py-0.5" style={{ width: 48 }}>
+          {yTicks.map(t => <span key={t}>{t}</span>)}
+        </div>
+        <div>
+          <div className="grid grid-cols-3 gap-0.5" style={{ width: 96 }}>
+            {[2, 1, 0].flatMap(y => [0, 1, 2].map(x => {
+              const cell   = y * 3 + x
+              const active = highlightCell === cell
+              return (
+                <button
+                  key={cell}
+                  type="button"
+                  onClick={() => onHighlight(active ? null : cell)}
+                  title={`${cellCounts[cell]} borough${cellCounts[cell] === 1 ? '' : 's'}${CORNERS[cell] ? ` — ${CORNERS[cell]}` : ''}`}
+                  className={`h-7 rounded-sm text-[9px] font-semibold transition-transform ${
+                    active ? 'ring-2 ring-white scale-105' : highlightCell != null ? 'opacity-40' : ''
+                  }`}
+                  style={{ backgroundColor: colors[y][x], color: y + x >= 3 ? '#f8fafc' : '#0f172a' }}
+                >
+                  {cellCounts[cell] || ''}
+                </button>
+              )
+            }))}
+          </div>
+          {/* x axis */}
+          <div className="grid grid-cols-3 text-[9px] text-slate-500 text-center mt-0.5" style={{ width: 96 }}>
+            {xTicks.map(t => <span key={t}>{t}</span>)}
+          </div>
+          <p className="text-slate-400 text-center" style={{ width: 96 }}>Theft count →</p>
+        </div>
+      </div>
+      <p className="text-slate-400 mt-0.5">↑ {riskLabel}</p>
+      {showAlerts && (
+        <div className="border-t border-slate-700 mt-1.5 pt-1.5 space-y-0.5">
+          {alertLegendItems(palette).map(it => (
+            <div key={it.label} className="flex items-center gap-1.5">
+              <span className="w-3 shrink-0" style={{ borderTop: `2px ${it.dashed ? 'dashed' : 'solid'} ${it.color}` }} />
+              <span className="text-slate-300 whitespace-nowrap">{it.label}</span>
+            </div>
+          ))}
+          {alertRule && <p className="text-slate-500 leading-snug" style={{ maxWidth: 160 }}>{alertRule}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -96,11 +231,11 @@ function fmtMonth(ym) {
 
 // ── Legend overlay (default open, collapses on click) ────────────────────────
 
-function Legend({ def, showAlerts }) {
+function Legend({ def, palette, showAlerts, showSeasonal, showReviews, alertRule, offset = 0 }) {
   const [open, setOpen] = useState(true)
 
   return (
-    <div className="absolute bottom-5 left-0 z-10 flex items-end select-none">
+    <div className="absolute bottom-5 z-10 flex items-end select-none" style={{ left: offset }}>
 
       {/* ── Collapsible panel (slides in from the left) ── */}
       <div style={{
@@ -128,12 +263,22 @@ function Legend({ def, showAlerts }) {
             {showAlerts && (
               <div className="border-t border-slate-700 mt-1.5 pt-1.5">
                 <p className="text-slate-500 mb-1">Alert borders:</p>
-                {ALERT_LEGEND_ITEMS.map(it => (
+                {[
+                  ...alertLegendItems(palette),
+                  ...(showSeasonal ? [seasonalLegendItem(palette)] : []),
+                  ...(showReviews ? REVIEW_LEGEND_ITEMS : []),
+                ].map(it => (
                   <div key={it.label} className="flex items-center gap-1.5">
-                    <span className="w-2.5 h-0.5 shrink-0 rounded" style={{ backgroundColor: it.color }} />
+                    <span
+                      className="w-3 shrink-0"
+                      style={{ borderTop: `2px ${it.dashed ? 'dashed' : 'solid'} ${it.color}` }}
+                    />
                     <span className="text-slate-300 whitespace-nowrap">{it.label}</span>
                   </div>
                 ))}
+                {alertRule && (
+                  <p className="text-slate-500 mt-1 leading-snug">{alertRule}</p>
+                )}
               </div>
             )}
           </div>
@@ -168,9 +313,14 @@ function Legend({ def, showAlerts }) {
 
 // ── Map header label ──────────────────────────────────────────────────────────
 
-function MapLabel({ title, month, accentClass }) {
+// `style` overrides the default top-left placement (swipe layout pins the
+// labels either side of the divider).
+function MapLabel({ title, month, accentClass, style }) {
   return (
-    <div className="absolute top-3 left-3 z-10 bg-slate-900/85 backdrop-blur-sm rounded-lg px-3.5 py-1.5 border border-slate-600 pointer-events-none shadow-lg">
+    <div
+      className={`absolute z-10 bg-slate-900/85 backdrop-blur-sm rounded-lg px-3.5 py-1.5 border border-slate-600 pointer-events-none shadow-lg whitespace-nowrap ${style ? '' : 'top-3 left-3'}`}
+      style={style}
+    >
       <span className={`text-[15px] font-bold tracking-wide ${accentClass}`}>{title}</span>
       {month && <span className="text-[13px] text-slate-300 font-medium ml-1.5">· {fmtMonth(month)}</span>}
     </div>
@@ -366,15 +516,221 @@ function MapControlsOverlay({ viewState, onZoomIn, onZoomOut, onResetNorth, onHo
   )
 }
 
+// ── Basemap toggle (remote CARTO ↔ bundled offline style) ────────────────────
+
+function BasemapToggle({ value, remoteFailed, onChange }) {
+  const options = [
+    { value: 'carto',   label: 'CARTO' },
+    { value: 'offline', label: 'Offline' },
+  ]
+  return (
+    <div
+      className="absolute z-20 flex items-center bg-slate-900/85 backdrop-blur-sm border border-slate-600 rounded-md p-0.5 gap-0.5 text-[10px]"
+      style={{ top: 10, right: 10 }}
+      title={remoteFailed ? 'Remote basemap unreachable — using bundled offline style' : 'Basemap'}
+    >
+      {options.map(opt => {
+        const active = opt.value === value
+        return (
+          <button
+            key={opt.value}
+            type="button"
+            onClick={() => onChange(opt.value)}
+            className={`px-2 py-0.5 rounded font-medium transition-colors ${
+              active ? 'bg-slate-600 text-white' : 'text-slate-400 hover:text-slate-200'
+            }`}
+          >
+            {opt.label}
+            {opt.value === 'carto' && remoteFailed && <span className="text-yellow-400 ml-1">⚠</span>}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+// ── Classification picker (method + class count) ─────────────────────────────
+
+function ClassificationControl({ method, count, onMethod, onCount }) {
+  const selectClass = 'bg-transparent text-slate-300 focus:outline-none cursor-pointer'
+  return (
+    <div
+      className="absolute z-20 flex items-center gap-1.5 bg-slate-900/85 backdrop-blur-sm border border-slate-600 rounded-md px-1.5 py-0.5 text-[10px]"
+      style={{ top: 38, right: 10 }}
+      title="Colour classes — data-driven methods use the values currently on the map"
+    >
+      <span className="text-slate-500">Classes</span>
+      <select value={method} onChange={e => onMethod(e.target.value)} className={selectClass}>
+        {Object.entries(CLASSIFICATION_METHODS).map(([k, label]) => (
+          <option key={k} value={k} className="bg-slate-800">{label}</option>
+        ))}
+      </select>
+      {method !== 'fixed' && (
+        <select value={count} onChange={e => onCount(+e.target.value)} className={selectClass}>
+          {CLASS_COUNTS.map(n => <option key={n} value={n} className="bg-slate-800">{n}</option>)}
+        </select>
+      )}
+    </div>
+  )
+}
+
+// ── Hot-spot map: LISA quadrants or Gi* classes ──────────────────────────────
+// Colours come from the palette's diverging ramp (hot = rise end), so the
+// CVD-safe palettes stay CVD-safe; non-significant boroughs are slate.
+
+const NOT_SIGNIFICANT = '#334155'
+const CLUSTER_STATS = {
+  lisa: { label: 'LISA', field: 'lisa_cluster', title: "Local Moran's I (LISA)", keys: ['HH', 'HL', 'LH', 'LL'] },
+  gi:   { label: 'Gi*',  field: 'gi_cluster',   title: 'Getis-Ord Gi*',          keys: ['hot99', 'hot95', 'cold95', 'cold99'] },
+}
+
+function buildClusterClasses(stat, spatial, palette, metricLabel) {
+  const def    = CLUSTER_STATS[stat]
+  const ramp   = palette.diverging
+  const colors = [ramp[ramp.length - 1], ramp[ramp.length - 2], ramp[1], ramp[0]]
+  const g      = spatial?.global
+  return {
+    field:   'cluster_label',
+    fill:    ['match', ['coalesce', ['get', def.field], ''], ...def.keys.flatMap((k, i) => [k, colors[i]]), NOT_SIGNIFICANT],
+    legend: {
+      title:    def.title,
+      subtitle: g?.I != null
+        ? `${metricLabel} · Moran's I ${g.I.toFixed(2)} (p ${g.p < 0.001 ? '< 0.001' : g.p.toFixed(3)})`
+        : metricLabel,
+      items: [
+        ...def.keys.map((k, i) => ({ color: colors[i], label: `${CLUSTER_TYPES[k].label} · ${CLUSTER_TYPES[k].detail}` })),
+        { color: NOT_SIGNIFICANT, label: `Not significant (p > ${SIGNIFICANCE})` },
+      ],
+    },
+  }
+}
+
+function ClusterStatControl({ value, onChange }) {
+  return (
+    <div
+      className="absolute z-20 flex items-center gap-1 bg-slate-900/85 backdrop-blur-sm border border-slate-600 rounded-md px-1.5 py-0.5 text-[10px]"
+      style={{ top: 62, right: 10 }}
+      title={`Local statistic behind the hot-spot map (${PERMUTATIONS} permutations)`}
+    >
+      <span className="text-slate-500">Hot spots</span>
+      {Object.entries(CLUSTER_STATS).map(([k, def]) => (
+        <button
+          key={k}
+          type="button"
+          onClick={() => onChange(k)}
+          className={`px-1 rounded ${value === k ? 'bg-slate-600 text-white' : 'text-slate-400 hover:text-slate-200'}`}
+        >
+          {def.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// ── Hover tooltip ────────────────────────────────────────────────────────────
+// Drawn by the hovered map at the pointer; flips left / up near the far edges
+// so it never runs off the panel.
+
+function fmtHoverValue(v, integer) {
+  if (v == null || Number.isNaN(v)) return '—'
+  if (typeof v === 'string') return v
+  if (integer) return Math.round(v).toLocaleString('en-GB')
+  return (+v).toFixed(2)
+}
+
+function HoverTooltip({ point, title, rows, palette, alertLevel }) {
+  const ref = useRef(null)
+  const [flip, setFlip] = useState({ x: false, y: false })
+
+  // Measure against the map container once the content is laid out
+  useEffect(() => {
+    const el = ref.current
+    const parent = el?.parentElement
+    if (!el || !parent) return
+    const next = {
+      x: point.x + 14 + el.offsetWidth  > parent.clientWidth,
+      y: point.y + 14 + el.offsetHeight > parent.clientHeight,
+    }
+    setFlip(f => (f.x === next.x && f.y === next.y ? f : next))
+  }, [point.x, point.y, title, rows.length])
+
+  const alertColor = alertLevel === 'warning' ? palette.alert.warning
+    : alertLevel === 'watch' ? palette.alert.watch
+    : null
+
+  return (
+    <div
+      ref={ref}
+      className="absolute z-30 pointer-events-none bg-slate-900/95 border border-slate-600 rounded-lg shadow-xl px-3 py-2 text-[11px] min-w-[160px]"
+      style={{
+        left: point.x, top: point.y,
+        transform: `translate(${flip.x ? 'calc(-100% - 14px)' : '14px'}, ${flip.y ? 'calc(-100% - 14px)' : '14px'})`,
+      }}
+    >
+      <p className="font-semibold text-slate-100 mb-1 whitespace-nowrap">{title}</p>
+      <table className="w-full">
+        <tbody>
+          {rows.map(([label, value, strong]) => (
+            <tr key={label}>
+              <td className="text-slate-400 pr-3 whitespace-nowrap">{label}</td>
+              <td className={`text-right font-mono whitespace-nowrap ${strong ? 'text-slate-100 font-semibold' : 'text-slate-300'}`}>
+                {value}
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <td className="text-slate-400 pr-3">Alert</td>
+            <td className="text-right whitespace-nowrap" style={{ color: alertColor ?? '#64748b' }}>
+              {alertColor ? `${ALERT_MARKS[alertLevel]} ${alertLevel}` : 'none'}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
 // ── Single map wrapper ────────────────────────────────────────────────────────
 
 function OneMap({
-  id, geoJSON, fillColor, selectedAreaId,
+  id, geoJSON, fillColor, selectedAreaIds,
   filterAlertsOnly,
   viewState, onMove, onClick, getCursor,
   onZoomIn, onZoomOut, onResetNorth, onHome,
-  label, month, accentClass, legend, hasAlerts,
+  label, month, accentClass, legend, hasAlerts, hasSeasonal, hasReviews, alertRule,
+  mapStyle, fillBeforeId, onStyleError, palette,
+  overlays = true,   // false → label / legend / scale / controls drawn by the swipe / bivariate layouts
+  highlight = null,  // filter expression: boroughs outside it are dimmed (bivariate legend)
+  hoveredAreaId, onHover, tooltip,
 }) {
+  // ── Hover: report the borough under the pointer; the parent highlights it
+  //    on every map and hands the tooltip back to the map being hovered ─────
+  const handleMouseMove  = useCallback(evt => {
+    onHover?.(id, evt.features?.[0]?.properties?.area_id ?? null, evt.point)
+  }, [id, onHover])
+  const handleMouseLeave = useCallback(() => onHover?.(id, null), [id, onHover])
+  const hoverFilter = useMemo(() => ['==', ['get', 'area_id'], hoveredAreaId ?? ''], [hoveredAreaId])
+
+  // ── Remote style failure detection → parent switches to offline style ────
+  const styleLoaded = useRef(false)
+  const isRemote    = typeof mapStyle === 'string'
+
+  useEffect(() => {
+    if (!isRemote) return
+    styleLoaded.current = false
+    const timer = setTimeout(() => {
+      if (!styleLoaded.current) onStyleError?.()
+    }, STYLE_TIMEOUT_MS)
+    return () => clearTimeout(timer)
+  }, [isRemote, onStyleError])
+
+  // onLoad covers the first style; onStyleData covers later setStyle swaps
+  const handleLoad  = useCallback(() => { styleLoaded.current = true }, [])
+  const handleError = useCallback(evt => {
+    // Errors after the first render are individual tiles — ignore those
+    if (isRemote && !styleLoaded.current) onStyleError?.(evt?.error)
+  }, [isRemote, onStyleError])
+
   // ── Breathing animation for alert borders (20 fps, 2-second period) ──────
   // breath oscillates 0 → 1 → 0 via sine wave; only warning/watch borders use it.
   const [breath, setBreath] = useState(1)
@@ -386,61 +742,98 @@ function OneMap({
     return () => clearInterval(id)
   }, [])
 
+  // Selected borough, or every member of a shift-click multi-selection
+  const isSelected = useMemo(
+    () => ['in', ['get', 'area_id'], ['literal', selectedAreaIds]],
+    [selectedAreaIds]
+  )
+
   // ── D4: fill opacity responds to filter toggles ──────────────────────────
   // Priority: selected > alert (preserved) > filters (dim) > default
   const fillOpacity = useMemo(() => [
     'case',
     // 1. Selected area: always fully visible
-    ['==', ['get', 'area_id'], selectedAreaId ?? ''], 0.92,
+    isSelected, 0.92,
     // 2. When "Alerts only": non-alert areas become ghost
     ...(filterAlertsOnly
-      ? [['!', ['in', ['get', 'alert_level'], ['literal', ['warning', 'watch']]]], 0.06]
+      ? [['!', IS_ALERT], 0.06]
       : []),
-    // 3. Default
+    // 3. Highlighted legend cell: everything else fades
+    ...(highlight ? [['!', highlight], 0.12] : []),
+    // 4. Default
     0.72,
-  ], [selectedAreaId, filterAlertsOnly])
+  ], [isSelected, filterAlertsOnly, highlight])
+
+  // ── D3 + D4: border — selection > reviewed alerts (static) > alert borders
+  //    (animated) > filter dimming.  Watch alerts are drawn dashed by their
+  //    own layer (line-dasharray can't vary per feature), so they're hidden here.
+  const watchFilter = useMemo(() => [
+    'all', ['==', ['get', 'alert_level'], 'watch'], ['!', isSelected],
+  ], [isSelected])
 
-  // ── D3 + D4: border — selection > alert borders (animated) > filter dimming
   const borderPaint = useMemo(() => {
-    // Breathing values — warning pulses harder than watch
+    // Breathing values (warning; the watch layer pulses more gently)
     const warnOpacity  = 0.50 + 0.50 * breath   // 0.50 → 1.00
-    const watchOpacity = 0.38 + 0.47 * breath   // 0.38 → 0.85
     const warnWidth    = 1.6  + 1.0  * breath   // 1.6  → 2.6
-    const watchWidth   = 1.1  + 0.7  * breath   // 1.1  → 1.8
+
+    const dismissed = ['all', ['==', ['get', 'review_status'], 'dismissed'], IS_ALERT]
+    const ackWarn   = ['all', ['==', ['get', 'review_status'], 'acknowledged'], ['==', ['get', 'alert_level'], 'warning']]
 
     return {
       'line-color': ['case',
-        ['==', ['get', 'area_id'], selectedAreaId ?? ''], '#f97316',
-        ['==', ['get', 'alert_level'], 'warning'],        '#ef4444',
-        ['==', ['get', 'alert_level'], 'watch'],          '#fbbf24',
+        isSelected,                                       palette.selected,
+        ['==', ['get', 'alert_level'], 'warning'],        palette.alert.warning,
+        ['==', ['get', 'alert_level'], 'watch'],          palette.alert.watch,
         '#0f172a',
       ],
       'line-width': ['case',
-        ['==', ['get', 'area_id'], selectedAreaId ?? ''], 2.5,
+        isSelected,                                       2.5,
+        dismissed,                                        0.9,         // static
+        ackWarn,                                          2.0,         // static
         ['==', ['get', 'alert_level'], 'warning'],        warnWidth,   // breathing
-        ['==', ['get', 'alert_level'], 'watch'],          watchWidth,  // breathing
         0.5,                                                           // static
       ],
       'line-opacity': ['case',
-        ['==', ['get', 'area_id'], selectedAreaId ?? ''], 1.0,
+        isSelected,                                       1.0,
+        ['==', ['get', 'alert_level'], 'watch'],          0.0,          // dashed layer
+        dismissed,                                        0.3,          // static
+        ackWarn,                                          0.9,          // static
         ['==', ['get', 'alert_level'], 'warning'],        warnOpacity,  // breathing
-        ['==', ['get', 'alert_level'], 'watch'],          watchOpacity, // breathing
         filterAlertsOnly ? 0.0 : 0.35,                                 // static
       ],
     }
-  }, [selectedAreaId, filterAlertsOnly, breath])
+  }, [isSelected, filterAlertsOnly, breath, palette])
+
+  // Watch: dashed, 0.38 → 0.85 opacity, 1.1 → 1.8 width while breathing
+  const watchPaint = useMemo(() => {
+    const dismissed = ['==', ['get', 'review_status'], 'dismissed']
+    const acked     = ['==', ['get', 'review_status'], 'acknowledged']
+    return {
+      'line-color':     palette.alert.watch,
+      'line-dasharray': [2.5, 1.5],
+      'line-width':     ['case', dismissed, 0.9, acked, 1.4, 1.1 + 0.7 * breath],
+      'line-opacity':   ['case', dismissed, 0.3, acked, 0.8, 0.38 + 0.47 * breath],
+    }
+  }, [breath, palette])
+
+  const seasonalPaint = useMemo(() => seasonalBorderPaint(palette), [palette])
 
   return (
     <div className="flex-1 relative overflow-hidden">
-      <MapLabel title={label} month={month} accentClass={accentClass} />
+      {overlays && <MapLabel title={label} month={month} accentClass={accentClass} />}
       <Map
         id={id}
         {...viewState}
         onMove={onMove}
         style={{ width: '100%', height: '100%' }}
-        mapStyle="https://basemaps.cartocdn.com/gl/dark-matter-gl-style/style.json"
+        mapStyle={mapStyle}
+        onLoad={handleLoad}
+        onStyleData={handleLoad}
+        onError={handleError}
         interactiveLayerIds={['borough-fill']}
         onClick={onClick}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleMouseLeave}
         getCursor={getCursor}
         attributionControl={false}
       >
@@ -448,23 +841,101 @@ function OneMap({
           <Layer
             id="borough-fill"
             type="fill"
+            beforeId={fillBeforeId}
             paint={{ 'fill-color': fillColor, 'fill-opacity': fillOpacity }}
           />
           {/* D3: alert + selection borders */}
           <Layer id="alert-borders" type="line" paint={borderPaint} />
+          <Layer id="watch-borders" type="line" filter={watchFilter} paint={watchPaint} />
+          {/* Seasonal (year-over-year) signal: dashed violet inner line */}
+          <Layer
+            id="seasonal-borders"
+            type="line"
+            filter={['==', ['get', 'alert_seasonal'], true]}
+            paint={seasonalPaint}
+          />
+          {/* Acknowledged alerts: green inner line */}
+          <Layer
+            id="review-borders"
+            type="line"
+            filter={ACKNOWLEDGED_FILTER}
+            paint={ACKNOWLEDGED_BORDER_PAINT}
+          />
+          {/* Hovered borough — drawn on both maps so the partner shows it too */}
+          <Layer id="hover-border" type="line" filter={hoverFilter} paint={HOVER_BORDER_PAINT} />
         </Source>
       </Map>
-      <Legend def={legend} showAlerts={hasAlerts} />
-      {/* ── Scale bar ── */}
-      <CustomScaleBar viewState={viewState} />
-      {/* ── Custom controls: zoom / compass / home ── */}
-      <MapControlsOverlay
-        viewState={viewState}
-        onZoomIn={onZoomIn}
-        onZoomOut={onZoomOut}
-        onResetNorth={onResetNorth}
-        onHome={onHome}
-      />
+      {tooltip}
+      {overlays && (
+        <>
+          <Legend
+            def={legend}
+            palette={palette}
+            showAlerts={hasAlerts}
+            showSeasonal={hasSeasonal}
+            showReviews={hasReviews}
+            alertRule={alertRule}
+          />
+          {/* ── Scale bar ── */}
+          <CustomScaleBar viewState={viewState} />
+          {/* ── Custom controls: zoom / compass / home ── */}
+          <MapControlsOverlay
+            viewState={viewState}
+            onZoomIn={onZoomIn}
+            onZoomOut={onZoomOut}
+            onResetNorth={onResetNorth}
+            onHome={onHome}
+          />
+        </>
+      )}
+    </div>
+  )
+}
+
+// ── Swipe divider (drag to reveal left / right layer) ────────────────────────
+
+function SwipeDivider({ position, onChange, containerRef }) {
+  const handlePointerDown = useCallback(evt => {
+    evt.preventDefault()
+    const rect = containerRef.current?.getBoundingClientRect()
+    if (!rect) return
+    const move = e => {
+      const pct = ((e.clientX - rect.left) / rect.width) * 100
+      onChange(Math.min(98, Math.max(2, pct)))
+    }
+    const up = () => {
+      window.removeEventListener('pointermove', move)
+      window.removeEventListener('pointerup', up)
+    }
+    window.addEventListener('pointermove', move)
+    window.addEventListener('pointerup', up)
+  }, [containerRef, onChange])
+
+  const handleKeyDown = useCallback(evt => {
+    if (evt.key === 'ArrowLeft')  onChange(Math.max(2, position - 2))
+    if (evt.key === 'ArrowRight') onChange(Math.min(98, position + 2))
+  }, [position, onChange])
+
+  return (
+    <div
+      className="absolute top-0 bottom-0 z-10 flex justify-center"
+      style={{ left: `${position}%`, width: 0 }}
+    >
+      <div className="w-0.5 h-full bg-slate-200/80 shadow pointer-events-none" />
+      <button
+        type="button"
+        role="slider"
+        aria-label="Swipe position"
+        aria-valuenow={Math.round(position)}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        onPointerDown={handlePointerDown}
+        onKeyDown={handleKeyDown}
+        className="absolute top-1/2 -translate-y-1/2 w-7 h-7 rounded-full bg-slate-100 text-slate-800 border border-slate-400 shadow-lg flex items-center justify-center text-[11px] font-bold cursor-ew-resize select-none"
+        style={{ touchAction: 'none' }}
+      >
+        ⇔
+      </button>
     </div>
   )
 }
@@ -481,47 +952,152 @@ export default function DualMapPanel({
   featuresB,         // monthCompare: month B rows
   deltaFeatures,     // monthCompare: pre-computed Δ rows
   selectedAreaId,
-  onSelectArea,
+  selectedAreaIds,   // multi-selection (shift-click group); outlined like the selection
+  onSelectArea,      // (id | null, { additive }) — additive on shift-click
   currentMonth,
   monthA,
   monthB,
   mode,              // 'metricCompare' | 'monthCompare'
+  displayMetric,     // metricCompare: 'risk_index_eb' → right map shows smoothed index
   showDelta,         // monthCompare only: false=[A|B]  true=[Δ right panel]
   filterAlertsOnly,  // D4: dim non-alert areas on map
+  alertParams,       // active detector settings (legend text)
+  customRuleCount = 0, // enabled user alert rules (legend text)
+  reviews,           // alert review log → review_status on each borough
+  scenarioActive,    // a what-if scenario drives the rows (label suffix)
+  baselineFeatures,  // metricCompare: baseline rows to set against the scenario
+  palette = DEFAULT_PALETTE_DEF, // utils/palettes: fills, alert and selection colours
+  layout = 'side',   // 'side' | 'swipe' (draggable divider) | 'bivariate' / 'clusters' (metricCompare only)
+  classRows,         // metricCompare playback: rows of the whole range, so breaks hold still
+  spatial,           // clusters layout: utils/spatialStats result for currentFeatures
 }) {
   const [viewState, setViewState] = useState(INITIAL_VIEW)
 
+  // ── Basemap: explicit choice + automatic fallback on remote failure ───────
+  const [basemap,      setBasemap]      = useState('carto')   // 'carto' | 'offline'
+  const [remoteFailed, setRemoteFailed] = useState(() => !navigator.onLine)
+
+  const offlineStyle = useMemo(() => buildOfflineStyle(areas), [areas])
+
+  // ── Swipe layout: divider position in % of the panel width ───────────────
+  const [swipePos, setSwipePos] = useState(50)
+  const swipeRef = useRef(null)
+
+  // ── Choropleth classification (utils/classify.js), shared by both maps ────
+  const [classMethod, setClassMethod] = useState('fixed')
+  const [classCount,  setClassCount]  = useState(5)
+
+  // ── Bivariate layout: highlighted legend cell (0–8) or null ───────────────
+  const [bivariateCell, setBivariateCell] = useState(null)
+
+  // ── Hot-spot layout: which local statistic colours the right map ─────────
+  const [clusterStat, setClusterStat] = useState('lisa')   // 'lisa' | 'gi'
+
+  // Outlined boroughs: the multi-selection, else the single selection
+  const selectedIds = useMemo(
+    () => (selectedAreaIds?.length ? selectedAreaIds : selectedAreaId ? [selectedAreaId] : []),
+    [selectedAreaIds, selectedAreaId]
+  )
+
+  // ── Hover: borough under the pointer, on which map, at which pixel ────────
+  const [hover, setHover] = useState(null)   // { mapId, areaId, point } | null
+  const handleHover = useCallback((mapId, areaId, point) => {
+    // A leave from one map must not clear a hover that moved to the other
+    setHover(h => areaId ? { mapId, areaId, point } : h?.mapId === mapId ? null : h)
+  }, [])
+  const offline      = basemap === 'offline' || remoteFailed
+
+  const handleStyleError = useCallback(err => {
+    if (err) console.warn('Remote basemap failed, using offline style:', err)
+    setRemoteFailed(true)
+  }, [])
+
+  const handleBasemapChange = useCallback(value => {
+    if (value === 'carto') setRemoteFailed(false)   // explicit pick → retry remote
+    setBasemap(value)
+  }, [])
+
   // ── Build enriched GeoJSON from a feature-row array ───────────────────────
-  const makeGeoJSON = useCallback((rows) => {
+  // `month` is the month the rows' alerts belong to (B for delta rows).
+  const makeGeoJSON = useCallback((rows, month) => {
     if (!areas) return null
     if (!rows?.length) return areas
     const dataByArea = Object.fromEntries(rows.map(f => [f.area_id, f]))
     return {
       type: 'FeatureCollection',
-      features: areas.features.map(f => ({
-        ...f,
-        properties: { ...f.properties, ...(dataByArea[f.properties.area_id] ?? {}) },
-      })),
+      features: areas.features.map(f => {
+        const id = f.properties.area_id
+        return {
+          ...f,
+          properties: {
+            ...f.properties,
+            ...(dataByArea[id] ?? {}),
+            review_status: reviews?.[reviewKey(id, month)]?.status ?? null,
+          },
+        }
+      }),
     }
-  }, [areas])
+  }, [areas, reviews])
 
   // GeoJSON for each panel
+  const clustersActive  = layout === 'clusters' && mode === 'metricCompare' && !!spatial
+  const scenarioCompare = mode === 'metricCompare' && baselineFeatures?.length > 0 && !clustersActive
+
+  // Hot-spot rows: the month's rows with their cluster fields and a label
+  const clusterRows = useMemo(() => {
+    if (!clustersActive) return null
+    const field = CLUSTER_STATS[clusterStat].field
+    return (currentFeatures ?? []).map(r => {
+      const c = spatial.byArea[r.area_id]
+      return { ...r, ...c, cluster_label: c?.[field] ? CLUSTER_TYPES[c[field]].label : 'Not significant' }
+    })
+  }, [clustersActive, clusterStat, currentFeatures, spatial])
+
   const leftGeoJSON = useMemo(() => {
-    const rows = mode === 'metricCompare' ? currentFeatures : featuresA
-    return makeGeoJSON(rows)
-  }, [makeGeoJSON, mode, currentFeatures, featuresA])
+    if (scenarioCompare)          return makeGeoJSON(baselineFeatures, currentMonth)
+    if (mode === 'metricCompare') return makeGeoJSON(currentFeatures, currentMonth)
+    return makeGeoJSON(featuresA, monthA)
+  }, [makeGeoJSON, mode, scenarioCompare, baselineFeatures, currentFeatures, featuresA, currentMonth, monthA])
 
   const rightGeoJSON = useMemo(() => {
-    if (mode === 'metricCompare') return makeGeoJSON(currentFeatures)
-    if (showDelta)                return makeGeoJSON(deltaFeatures)
-    return makeGeoJSON(featuresB)
-  }, [makeGeoJSON, mode, showDelta, currentFeatures, featuresB, deltaFeatures])
+    if (clusterRows)              return makeGeoJSON(clusterRows, currentMonth)
+    if (mode === 'metricCompare') return makeGeoJSON(currentFeatures, currentMonth)
+    if (showDelta)                return makeGeoJSON(deltaFeatures, monthB)
+    return makeGeoJSON(featuresB, monthB)
+  }, [makeGeoJSON, clusterRows, mode, showDelta, currentFeatures, featuresB, deltaFeatures, currentMonth, monthB])
+
+  // Bivariate: one map, count × risk cell on each borough
+  const bivariateActive = layout === 'bivariate' && mode === 'metricCompare'
+  const bivariateRisk   = displayMetric === 'risk_index_eb' ? 'risk_index_eb' : 'risk_index'
+  const bivariate = useMemo(
+    () => bivariateActive
+      ? buildBivariate(currentFeatures, bivariateRisk, classMethod, palette, classRows ?? currentFeatures)
+      : null,
+    [bivariateActive, currentFeatures, bivariateRisk, classMethod, palette, classRows]
+  )
+  const bivariateGeoJSON = useMemo(() => {
+    if (!bivariate || !rightGeoJSON?.features) return null
+    return {
+      ...rightGeoJSON,
+      features: rightGeoJSON.features.map(f => ({
+        ...f,
+        properties: { ...f.properties, bivariate_cell: bivariate.cellOf(f.properties) },
+      })),
+    }
+  }, [bivariate, rightGeoJSON])
+  const bivariateHighlight = useMemo(
+    () => bivariateCell == null ? null : ['==', ['get', 'bivariate_cell'], bivariateCell],
+    [bivariateCell]
+  )
 
   // ── Event handlers ────────────────────────────────────────────────────────
   const handleMove  = useCallback(evt => setViewState(evt.viewState), [])
   const handleClick = useCallback(evt => {
     const clickedId = evt.features?.[0]?.properties?.area_id ?? null
-    onSelectArea(clickedId === selectedAreaId ? null : clickedId)
+    // Shift-click adds / removes the borough from the multi-selection
+    const additive = !!evt.originalEvent?.shiftKey
+    if (additive && !clickedId) return
+    onSelectArea(clickedId === selectedAreaId && !additive ? null : clickedId, { additive })
   }, [selectedAreaId, onSelectArea])
   const getCursor = useCallback(
     ({ isHovering, isDragging }) => isDragging ? 'grabbing' : isHovering ? 'pointer' : 'grab',
@@ -538,63 +1114,269 @@ export default function DualMapPanel({
 
   // ── Label / colour / legend config per mode ───────────────────────────────
   let leftLabel, rightLabel, leftMonth, rightMonth
-  let leftFill, rightFill, leftLegend, rightLegend
-
-  if (mode === 'metricCompare') {
-    leftLabel  = 'Theft Count';  rightLabel  = 'Risk Index'
-    leftMonth  = currentMonth;   rightMonth  = currentMonth
-    leftFill   = THEFT_COUNT_COLOR
-    rightFill  = RISK_INDEX_COLOR
-    leftLegend = COUNT_LEGEND;   rightLegend = RISK_LEGEND
+  let leftClasses, rightClasses
+
+  const cls = (scheme, rows) => ({
+    ...buildClasses(scheme, rows, classMethod, classCount, palette),
+    field: scheme.field, integer: scheme.integer,
+  })
+
+  if (clustersActive) {
+    const scheme = METRIC_SCHEMES[displayMetric] ?? RISK_SCHEME
+    leftLabel    = scheme.title;   rightLabel  = `Hot spots · ${CLUSTER_STATS[clusterStat].label}`
+    leftMonth    = currentMonth;   rightMonth  = currentMonth
+    leftClasses  = cls(scheme, classRows ?? currentFeatures)
+    rightClasses = buildClusterClasses(clusterStat, spatial, palette, scheme.title)
+  } else if (scenarioCompare) {
+    // Shared classes so baseline and scenario colours are comparable
+    const smoothed = displayMetric === 'risk_index_eb'
+    const riLabel  = smoothed ? 'Smoothed Risk Index' : 'Risk Index'
+    leftLabel    = `Baseline ${riLabel}`;  rightLabel = `Scenario ${riLabel}`
+    leftMonth    = currentMonth;           rightMonth = currentMonth
+    leftClasses  = rightClasses = cls(smoothed ? EB_RISK_SCHEME : RISK_SCHEME, [...baselineFeatures, ...(classRows ?? currentFeatures)])
+  } else if (mode === 'metricCompare') {
+    const smoothed = displayMetric === 'risk_index_eb'
+    const tag      = currentFeatures?.[0]?.forecast ? ' (forecast)' : scenarioActive ? ' (scenario)' : ''
+    leftLabel    = `Theft Count${tag}`
+    rightLabel   = `${smoothed ? 'Smoothed Risk Index' : 'Risk Index'}${tag}`
+    leftMonth    = currentMonth;   rightMonth  = currentMonth
+    leftClasses  = cls(COUNT_SCHEME, classRows ?? currentFeatures)
+    rightClasses = cls(smoothed ? EB_RISK_SCHEME : RISK_SCHEME, classRows ?? currentFeatures)
   } else if (showDelta) {
-    leftLabel  = 'Risk Index A';  rightLabel  = 'Δ Risk Index'
-    leftMonth  = monthA;          rightMonth  = null
-    leftFill   = RISK_INDEX_COLOR
-    rightFill  = DELTA_RISK_COLOR
-    leftLegend = RISK_LEGEND;    rightLegend = DELTA_LEGEND
+    leftLabel    = 'Risk Index A';  rightLabel  = 'Δ Risk Index'
+    leftMonth    = monthA;          rightMonth  = null
+    leftClasses  = cls(RISK_SCHEME, featuresA)
+    rightClasses = cls(DELTA_SCHEME, deltaFeatures)
   } else {
-    leftLabel  = 'Risk Index A';  rightLabel  = 'Risk Index B'
-    leftMonth  = monthA;          rightMonth  = monthB
-    leftFill   = RISK_INDEX_COLOR
-    rightFill  = RISK_INDEX_COLOR
-    leftLegend = RISK_LEGEND;    rightLegend = RISK_LEGEND
+    // Shared classes so A and B colours are comparable
+    leftLabel    = 'Risk Index A';  rightLabel  = 'Risk Index B'
+    leftMonth    = monthA;          rightMonth  = monthB
+    leftClasses  = rightClasses = cls(RISK_SCHEME, [...(featuresA ?? []), ...(featuresB ?? [])])
   }
 
   // Check if any alerts exist to decide whether to show alert legend items
   const hasAlerts = [...(featuresA ?? []), ...(currentFeatures ?? [])]
     .some(f => f.alert_level && f.alert_level !== 'none')
+  const hasSeasonal = [...(featuresA ?? []), ...(currentFeatures ?? [])]
+    .some(f => f.alert_seasonal)
+  const hasReviews = [leftGeoJSON, rightGeoJSON]
+    .some(g => g.features?.some(f => f.properties.review_status && f.properties.review_status !== 'open'))
+
+  // Active detector rule, e.g. "spike > +50% vs 6-mo mean · 3-mo rise"
+  const alertRule = alertParams
+    ? (alertParams.spikeMethod === 'ratio'
+        ? `spike > +${Math.round(alertParams.threshold * 100)}% vs ${alertParams.baselineWindow}-mo mean`
+        : `spike: ${alertParams.spikeMethod === 'negbin' ? 'NB' : 'Poisson'} p < ${+(1 - alertParams.confidence).toFixed(3)}`
+          + ` vs ${alertParams.baselineWindow}-mo baseline`)
+      + ` · ${alertParams.trendRun}-mo rise`
+      + (alertParams.seasonalMode !== 'off' ? ` · seasonal (${alertParams.seasonalMode})` : '')
+      + (alertParams.metric === 'risk_index_eb' ? ' · on smoothed index' : '')
+      + (alertParams.excludeUnstable ? ' · low-exposure excluded' : '')
+      + (customRuleCount > 0 ? ` · ${customRuleCount} custom rule${customRuleCount > 1 ? 's' : ''}` : '')
+    : null
 
   const common = {
     viewState, onMove: handleMove, onClick: handleClick, getCursor,
-    selectedAreaId, hasAlerts,
+    selectedAreaIds: selectedIds, hasAlerts, hasSeasonal, hasReviews, alertRule, palette,
     filterAlertsOnly: !!filterAlertsOnly,
+    mapStyle:      offline ? offlineStyle : REMOTE_STYLE_URL,
+    fillBeforeId:  offline ? OFFLINE_FILL_BEFORE_ID : undefined,
+    onStyleError:  handleStyleError,
     onZoomIn:      handleZoomIn,
     onZoomOut:     handleZoomOut,
     onResetNorth:  handleResetNorth,
     onHome:        handleHome,
+    hoveredAreaId: hover?.areaId,
+    onHover:       handleHover,
+  }
+
+  // ── Hover tooltip for the map under the pointer ───────────────────────────
+  // Month compare: counts / exposure / alert are that map's month (B for Δ),
+  // plus the A / B risk index and the change between them.
+  const bivariateRiskLabel = bivariateRisk === 'risk_index_eb' ? 'Smoothed RI' : 'Risk Index'
+  const hoverTooltip = mapId => {
+    if (hover?.mapId !== mapId) return null
+    const geo   = mapId === 'map-left' ? leftGeoJSON : mapId === 'map-right' ? rightGeoJSON : bivariateGeoJSON
+    const props = geo?.features?.find(f => f.properties.area_id === hover.areaId)?.properties
+    if (!props) return null
+
+    const isMonth = mode === 'monthCompare'
+    const row = isMonth
+      ? (mapId === 'map-left' ? featuresA : featuresB)?.find(r => r.area_id === hover.areaId) ?? {}
+      : props
+    const classes = mapId === 'map-left' ? leftClasses : rightClasses
+
+    const rows = mapId === 'map-bivariate'
+      ? [
+          ['Theft count',      fmtHoverValue(row.theft_count, true), true],
+          [bivariateRiskLabel, fmtHoverValue(row[bivariateRisk]),    true],
+        ]
+      : [
+          [mapId === 'map-left' ? leftLabel : rightLabel, fmtHoverValue(props[classes.field], classes.integer), true],
+          ...(classes.field === 'theft_count' ? [] : [['Theft count', fmtHoverValue(row.theft_count, true)]]),
+        ]
+    rows.push(['Exposure', fmtHoverValue(row.exposure, true)])
+    if (clusterRows && mapId === 'map-right') {
+      const p = clusterStat === 'gi' ? props.gi_p : props.lisa_p
+      rows.push([`${CLUSTER_STATS[clusterStat].label} p (${PERMUTATIONS} perm.)`, p == null ? '—' : p.toFixed(3)])
+    }
+
+    if (isMonth) {
+      const d = deltaFeatures?.find(r => r.area_id === hover.areaId)
+      if (d) {
+        rows.push(
+          [`Risk index A · ${fmtMonth(monthA)}`, fmtHoverValue(d.risk_index_a)],
+          [`Risk index B · ${fmtMonth(monthB)}`, fmtHoverValue(d.risk_index_b)],
+          ['Thefts A → B', `${d.theft_count_a} → ${d.theft_count_b}`],
+        )
+        if (classes.field !== 'delta_risk_index') {
+          const delta = d.delta_risk_index
+          rows.push(['Δ Risk index', delta == null ? '—' : `${delta >= 0 ? '+' : '−'}${Math.abs(delta).toFixed(2)}`])
+        }
+      }
+    }
+
+    return (
+      <HoverTooltip
+        point={hover.point}
+        title={props.area_name ?? hover.areaId}
+        rows={rows}
+        palette={palette}
+        alertLevel={row.alert_level}
+      />
+    )
+  }
+
+  const rightAccent = showDelta && mode === 'monthCompare' ? 'text-purple-400' : 'text-orange-400'
+  const toggles = (
+    <>
+      <BasemapToggle
+        value={offline ? 'offline' : 'carto'}
+        remoteFailed={remoteFailed}
+        onChange={handleBasemapChange}
+      />
+      <ClassificationControl
+        method={classMethod} count={classCount}
+        onMethod={setClassMethod} onCount={setClassCount}
+      />
+      {clustersActive && <ClusterStatControl value={clusterStat} onChange={setClusterStat} />}
+    </>
+  )
+
+  // ── Bivariate layout: one map, colour = count class × risk class ──────────
+  if (bivariateGeoJSON) {
+    const riskLabel = bivariateRiskLabel
+    const tag       = currentFeatures?.[0]?.forecast ? ' (forecast)' : scenarioActive ? ' (scenario)' : ''
+    return (
+      <div className="relative flex h-full">
+        {toggles}
+        <OneMap
+          id="map-bivariate"
+          geoJSON={bivariateGeoJSON}
+          fillColor={bivariate.fill}
+          overlays={false}
+          highlight={bivariateHighlight}
+          tooltip={hoverTooltip('map-bivariate')}
+          {...common}
+        />
+        <MapLabel title={`Theft Count × ${riskLabel}${tag}`} month={currentMonth} accentClass="text-violet-300" />
+        <BivariateLegend
+          bivariate={bivariate}
+          riskLabel={riskLabel}
+          highlightCell={bivariateCell}
+          onHighlight={setBivariateCell}
+          showAlerts={hasAlerts}
+          palette={palette}
+          alertRule={alertRule}
+        />
+        <CustomScaleBar viewState={viewState} />
+        <MapControlsOverlay
+          viewState={viewState}
+          onZoomIn={handleZoomIn}
+          onZoomOut={handleZoomOut}
+          onResetNorth={handleResetNorth}
+          onHome={handleHome}
+        />
+      </div>
+    )
+  }
+
+  // ── Swipe layout: right map stacked on the left one, clipped at the divider
+  if (layout === 'swipe') {
+    const legendProps = { palette, showAlerts: hasAlerts, showSeasonal: hasSeasonal, showReviews: hasReviews, alertRule }
+    const sharedLegend = leftClasses === rightClasses
+    return (
+      <div ref={swipeRef} className="relative h-full overflow-hidden">
+        {toggles}
+        <div className="absolute inset-0 flex">
+          <OneMap
+            id="map-left"
+            geoJSON={leftGeoJSON}
+            fillColor={leftClasses.fill}
+            legend={leftClasses.legend}
+            overlays={false}
+            tooltip={hoverTooltip('map-left')}
+            {...common}
+          />
+        </div>
+        <div className="absolute inset-0 flex" style={{ clipPath: `inset(0 0 0 ${swipePos}%)` }}>
+          <OneMap
+            id="map-right"
+            geoJSON={rightGeoJSON}
+            fillColor={rightClasses.fill}
+            legend={rightClasses.legend}
+            overlays={false}
+            tooltip={hoverTooltip('map-right')}
+            {...common}
+          />
+        </div>
+        <SwipeDivider position={swipePos} onChange={setSwipePos} containerRef={swipeRef} />
+        <MapLabel
+          title={`◀ ${leftLabel}`} month={leftMonth} accentClass="text-sky-400"
+          style={{ top: 12, right: `calc(${100 - swipePos}% + 10px)` }}
+        />
+        <MapLabel
+          title={`${rightLabel} ▶`} month={rightMonth} accentClass={rightAccent}
+          style={{ top: 12, left: `calc(${swipePos}% + 10px)` }}
+        />
+        <Legend def={leftClasses.legend} {...legendProps} />
+        {!sharedLegend && <Legend def={rightClasses.legend} {...legendProps} offset={190} />}
+        <CustomScaleBar viewState={viewState} />
+        <MapControlsOverlay
+          viewState={viewState}
+          onZoomIn={handleZoomIn}
+          onZoomOut={handleZoomOut}
+          onResetNorth={handleResetNorth}
+          onHome={handleHome}
+        />
+      </div>
+    )
   }
 
   return (
-    <div className="flex h-full">
+    <div className="relative flex h-full">
+      {toggles}
       <OneMap
         id="map-left"
         geoJSON={leftGeoJSON}
-        fillColor={leftFill}
+        fillColor={leftClasses.fill}
         label={leftLabel}
         month={leftMonth}
         accentClass="text-sky-400"
-        legend={leftLegend}
+        legend={leftClasses.legend}
+        tooltip={hoverTooltip('map-left')}
         {...common}
       />
       <div className="w-px bg-slate-700 flex-shrink-0" />
       <OneMap
         id="map-right"
         geoJSON={rightGeoJSON}
-        fillColor={rightFill}
+        fillColor={rightClasses.fill}
         label={rightLabel}
         month={rightMonth}
-        accentClass={showDelta && mode === 'monthCompare' ? 'text-purple-400' : 'text-orange-400'}
-        legend={rightLegend}
+        accentClass={rightAccent}
+        legend={rightClasses.legend}
+        tooltip={hoverTooltip('map-right')}
         {...common}
       />
     </div>
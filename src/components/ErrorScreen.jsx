@@ -1,9 +1,18 @@
-export default function ErrorScreen({ message }) {
+import IssueList from './IssueList'
+
+export default function ErrorScreen({ message, issues }) {
+  const problems = [...(issues?.errors ?? []), ...(issues?.warnings ?? [])]
+
   return (
-    <div className="flex flex-col items-center justify-center h-screen bg-slate-900 text-slate-300 gap-3">
+    <div className="flex flex-col items-center justify-center h-screen bg-slate-900 text-slate-300 gap-3 px-6">
       <span className="text-3xl">⚠</span>
       <p className="text-base font-medium text-red-400">Failed to load data</p>
       <p className="text-sm text-slate-500 max-w-sm text-center">{message}</p>
+      {problems.length > 0 && (
+        <div className="max-w-xl w-full max-h-[50vh] overflow-y-auto bg-slate-800/60 border border-slate-700 rounded-lg px-4 py-3">
+          <IssueList issues={problems} />
+        </div>
+      )}
       <p className="text-xs text-slate-600 text-center">
         Make sure <code className="text-slate-400">public/data/</code> contains{' '}
         <code className="text-slate-400">areas.geojson</code>,{' '}
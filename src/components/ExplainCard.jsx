@@ -1,35 +1,66 @@
 /**
  * ExplainCard  (C6)
  * ──────────────────────────────────────────────────────────────────────────
- * Detailed analysis panel shown in the right sidebar when a Borough is selected.
+ * Detailed analysis panel shown in the right sidebar when a Borough (or a
+ * group of boroughs) is selected.
  *
- * metricCompare mode  →  shows current-month snapshot:
- *   theft_count, exposure, risk_ratio, risk_index
+ * metricCompare mode  →  shows current-month snapshot (or, for a forecast
+ *                        month, the projection with its prediction interval):
+ *   theft_count, exposure, risk_ratio, risk_index (± 95 % interval)
+ *   under a what-if scenario: edited inputs as "baseline → scenario" and the
+ *   baseline risk index
  *   stability_flag warning
- *   alert_spike / alert_trend3 explanation (with computed context)
+ *   alert_spike / alert_trend3 / alert_seasonal explanation + matched custom rules
+ *   (with the active detector settings)
+ *   spatial cluster type (LISA quadrant, Gi* z) of the displayed metric among
+ *   neighbouring boroughs, with the city-wide Moran's I
  *
  * monthCompare mode   →  shows delta view:
  *   Month A and Month B values side-by-side
  *   Δ risk_index and Δ theft_count
  *   Alert flags from Month B
  *
+ * Borough group       →  (two or more boroughs shift-clicked, or a saved group
+ *                        loaded) the members pooled as one area
+ *                        (utils/areaGroups.js): combined theft count and
+ *                        exposure, the pooled risk index with its interval,
+ *                        members on alert — or pooled A vs B with Δ — plus the
+ *                        member list and a form to save the group by name
+ *
  * Props
  * ─────
  *   selectedAreaId   string
- *   features         all rows (for alert context computation)
- *   currentFeatures  rows for the current month
- *   deltaFeatures    pre-computed delta rows
+ *   groupAreaIds     string[]   multi-selection (≥ 2 pools them); [] otherwise
+ *   groupName        string | null   saved name of the current group
+ *   onSaveGroup      (name) => void
+ *   onRemoveMember   (areaId) => void
+ *   store            indexed panel from createDataStore (lookups + history)
  *   meta             { months, ... }
  *   mode             'metricCompare' | 'monthCompare'
  *   currentMonth     'YYYY-MM'
  *   monthA / monthB  'YYYY-MM'
+ *   alertParams      active detector settings (threshold, window, trend run…)
+ *   reviews          alert review log (hooks/useAlertReviews)
+ *   onReview         (areaId, month, patch) => void
+ *   onClearReview    (areaId, month) => void
  *   onClose          () => void
+ *   spatial          utils/spatialStats result for the current month, or null
+ *   palette          utils/palettes palette — alert colours and marks
  */
 
-import { useMemo } from 'react'
+import { useState, useMemo } from 'react'
+import { DEFAULT_ALERT_PARAMS } from '../utils/recomputeAlerts'
+import { reviewKey } from '../utils/reviewLog'
+import { INTERVAL_CONFIDENCE } from '../utils/riskMetrics'
+import { CLUSTER_TYPES, PERMUTATIONS } from '../utils/spatialStats'
+import { poolRows } from '../utils/areaGroups'
+import { ALERT_MARKS, DEFAULT_PALETTE, getPalette, withAlpha } from '../utils/palettes'
+import AlertReview from './AlertReview'
 
 // ── helpers ──────────────────────────────────────────────────────────────────
 
+const DEFAULT_PALETTE_DEF = getPalette(DEFAULT_PALETTE)
+
 function fmtMonth(ym) {
   if (!ym) return '—'
   const [y, m] = ym.split('-')
@@ -44,6 +75,17 @@ function sign(v) {
   return v > 0 ? '+' : ''
 }
 
+function fmtP(p) {
+  if (p == null) return '—'
+  return p < 0.001 ? '< 0.001' : p.toFixed(3)
+}
+
+function riskAccent(v) {
+  return v > 1.5  ? 'text-red-400' :
+    v > 1.15 ? 'text-orange-300' :
+    v < 0.6  ? 'text-green-400' : 'text-slate-100'
+}
+
 // ── sub-components ───────────────────────────────────────────────────────────
 
 function Row({ label, value, accent }) {
@@ -57,37 +99,64 @@ function Row({ label, value, accent }) {
   )
 }
 
+/** Scenario-edited value with the baseline it replaced: "310 → 610". */
+function withBaseline(value, baseline) {
+  if (baseline == null || baseline === value) return value
+  return <><span className="text-slate-500 font-normal">{baseline} → </span>{value}</>
+}
+
 function Divider() {
   return <div className="border-t border-slate-700/60 my-2" />
 }
 
-function AlertBadge({ level, spike, trend3 }) {
+function AlertBadge({ level, spike, trend3, seasonal, ruleHits = [], review, trendRun = 3, palette }) {
   if (level === 'none' || !level) return null
   const isWarning = level === 'warning'
+  const nSignals  = [spike, trend3, seasonal].filter(Boolean).length
+  const byRule    = ruleHits.some(h => h.severity === level) && !(isWarning ? nSignals >= 2 : nSignals >= 1)
 
   // Human-readable definition of this alert level
-  const definition = isWarning
-    ? 'Both signals active — high-confidence anomaly.'
+  const definition = byRule
+    ? `Raised by custom rule${ruleHits.length > 1 ? 's' : ''}.`
+    : isWarning
+    ? (nSignals > 2 ? 'All three signals active' : 'Two signals active') + ' — high-confidence anomaly.'
     : spike
       ? 'Risk spiked above rolling baseline — single signal.'
-      : 'Risk rising for 3 consecutive months — single signal.'
+      : seasonal
+        ? 'Risk above the same month in prior years — single signal.'
+        : `Risk rising for ${trendRun} consecutive months — single signal.`
+
+  const color = palette.alert[level]
 
   return (
-    <div className={`mt-2 px-2 py-1.5 rounded text-[10px] font-medium border ${
-      isWarning
-        ? 'bg-red-500/10 border-red-500/30 text-red-300'
-        : 'bg-yellow-500/10 border-yellow-500/30 text-yellow-300'
-    }`}>
+    <div
+      className="mt-2 px-2 py-1.5 rounded text-[10px] font-medium border"
+      style={{ color, backgroundColor: withAlpha(color, 0.1), borderColor: withAlpha(color, 0.3) }}
+    >
       {/* Badge header: level + triggered signals */}
       <div className="flex flex-wrap items-center gap-1.5">
-        <span>{isWarning ? '⚠ Warning' : '● Watch'}</span>
+        <span>{ALERT_MARKS[level]} {isWarning ? 'Warning' : 'Watch'}</span>
         {spike  && <span className="opacity-70">· risk spike</span>}
-        {trend3 && <span className="opacity-70">· 3-month rise</span>}
+        {trend3 && <span className="opacity-70">· {trendRun}-month rise</span>}
+        {seasonal && <span style={{ color: palette.alert.seasonal }}>{ALERT_MARKS.seasonal} seasonal</span>}
+        {ruleHits.map(h => (
+          <span key={h.id} className="px-1 rounded bg-slate-900/40 text-slate-300" title={`Custom rule (${h.severity})`}>
+            ✎ {h.name}
+          </span>
+        ))}
+        {review?.status === 'acknowledged' && (
+          <span className="ml-auto text-emerald-300" title={review.note || undefined}>
+            ✓ acknowledged{review.owner ? ` · ${review.owner}` : ''}
+          </span>
+        )}
+        {review?.status === 'dismissed' && (
+          <span className="ml-auto text-slate-400" title={review.note || undefined}>
+            ✕ dismissed{review.owner ? ` · ${review.owner}` : ''}
+          </span>
+        )}
       </div>
       {/* One-line definition */}
-      <p className={`text-[9px] mt-0.5 leading-snug ${
-        isWarning ? 'text-red-400/60' : 'text-yellow-400/60'
-      }`}>
+      <p className="text-[9px] mt-0.5 leading-snug opacity-60">
         {definition}
       </p>
     </div>
@@ -96,32 +165,98 @@ function AlertBadge({ level, spike, trend3 }) {
 
 // ── Metric-compare panel ──────────────────────────────────────────────────────
 
-function MetricPanel({ data, spikeContext, alertThreshold }) {
+function MetricPanel({ data, spikeContext, alertParams, review, palette }) {
+  const { threshold, baselineWindow, trendRun, spikeMethod, confidence, seasonalMode } = alertParams
+  const isRatio    = spikeMethod === 'ratio'
+  const modelLabel = spikeMethod === 'negbin' ? 'neg. binomial' : 'Poisson'
   const ri = data.risk_index
 
-  const riskAccent =
-    ri > 1.5  ? 'text-red-400' :
-    ri > 1.15 ? 'text-orange-300' :
-    ri < 0.6  ? 'text-green-400' : 'text-slate-100'
+  const hasCi = data.risk_index_lo != null && data.risk_index_hi != null
+
+  // Index the detectors ran on (raw or Empirical-Bayes smoothed)
+  const metric      = alertParams.metric ?? 'risk_index'
+  const detRi       = data[metric]
+  const detLabel    = metric === 'risk_index_eb' ? 'Smoothed Risk Index' : 'Risk Index'
 
   return (
     <>
       <p className="text-[10px] text-slate-500 uppercase tracking-widest mb-2">
-        Current snapshot
+        {data.forecast ? `Forecast · +${data.forecast_step} month${data.forecast_step > 1 ? 's' : ''}` : 'Current snapshot'}
       </p>
 
-      <Row label="Theft count"  value={data.theft_count} />
-      <Row label="Exposure"     value={data.exposure}
-           accent={data.stability_flag ? 'text-yellow-300' : undefined} />
-      <Row label="Risk ratio"   value={round(data.risk_ratio, 4)} />
-      <Row label="City mean"    value={round(data.city_mean_ratio, 4)} />
+      {data.forecast ? (
+        <>
+          <Row
+            label="Thefts (projected)"
+            value={data.theft_count_lo != null
+              ? <>~{data.theft_count}<span className="text-slate-500 font-normal"> ({Math.round(data.theft_count_lo)}–{Math.round(data.theft_count_hi)})</span></>
+              : data.theft_count}
+          />
+          <Row label="Exposure (last)" value={data.exposure} />
+        </>
+      ) : (
+        <>
+          <Row label="Theft count"  value={withBaseline(data.theft_count, data.baseline_theft_count)} />
+          <Row label="Exposure"     value={withBaseline(data.exposure, data.baseline_exposure)}
+               accent={data.stability_flag ? 'text-yellow-300' : undefined} />
+          <Row label="Risk ratio"   value={round(data.risk_ratio, 4)} />
+          <Row label="City mean"    value={round(data.city_mean_ratio, 4)} />
+        </>
+      )}
       <Divider />
-      <Row label="Risk Index"   value={round(ri)} accent={riskAccent} />
+      <Row
+        label="Risk Index"
+        value={hasCi ? (
+          <>
+            {round(ri)}
+            <span className="text-slate-500 font-normal"> ± {round((data.risk_index_hi - data.risk_index_lo) / 2)}</span>
+          </>
+        ) : round(ri)}
+        accent={riskAccent(ri)}
+      />
+      {data.baseline_risk_index != null && data.baseline_risk_index !== data.risk_index && (
+        <Row
+          label={<>Baseline RI <span className="text-slate-600">(before what-if)</span></>}
+          value={round(data.baseline_risk_index)}
+          accent="text-cyan-300"
+        />
+      )}
+      {hasCi && (
+        <>
+          <Row
+            label={`${Math.round(INTERVAL_CONFIDENCE * 100)}% ${data.forecast ? 'prediction' : 'interval'}`}
+            value={`${round(data.risk_index_lo)} – ${round(data.risk_index_hi)}`}
+            accent="text-slate-300"
+          />
+          {data.risk_index_lo <= 1 && data.risk_index_hi >= 1 && (
+            <p className="text-[10px] text-slate-500 leading-snug">
+              Interval includes 1.0 — not distinguishable from the city average.
+            </p>
+          )}
+        </>
+      )}
+      {data.risk_index_eb != null && (
+        <Row
+          label={data.eb_weight != null
+            ? <>Smoothed RI <span className="text-slate-600">(w {round(data.eb_weight)})</span></>
+            : 'Smoothed RI'}
+          value={round(data.risk_index_eb)}
+          accent={riskAccent(data.risk_index_eb)}
+        />
+      )}
+
+      {data.forecast && (
+        <p className="text-[10px] text-slate-500 leading-snug mt-1.5">
+          {data.forecast_method === 'holt-winters' ? 'Seasonal Holt-Winters' : 'Damped-trend Holt'} exponential
+          smoothing of this borough's history; ranges are prediction intervals.
+        </p>
+      )}
 
       {/* stability warning */}
-      {data.stability_flag && (
+      {!data.forecast && data.stability_flag && (
         <p className="text-[10px] text-yellow-400 leading-snug mt-1.5">
-          ⚠ Low exposure ({data.exposure} spots) — ratio may be unreliable.
+          ⚠ Low exposure ({data.exposure} spots) — ratio may be unreliable;
+          the smoothed index shrinks it toward the city mean.
         </p>
       )}
 
@@ -130,30 +265,113 @@ function MetricPanel({ data, spikeContext, alertThreshold }) {
         level={data.alert_level}
         spike={data.alert_spike}
         trend3={data.alert_trend3}
+        seasonal={data.alert_seasonal}
+        ruleHits={data.rule_hits}
+        review={review}
+        trendRun={trendRun}
+        palette={palette}
       />
 
       {/* alert explanation */}
-      {data.alert_spike && spikeContext && (
+      {data.alert_spike && spikeContext && isRatio && (
         <div className="mt-2 bg-slate-700/40 rounded p-2 text-[10px] text-slate-300 leading-snug">
           <span className="text-orange-300 font-semibold">Spike: </span>
-          Risk Index <span className="font-mono">{round(ri)}</span> exceeds
-          6-month mean <span className="font-mono">{round(spikeContext.baseline)}</span> by{' '}
+          {detLabel} <span className="font-mono">{round(detRi)}</span> exceeds{' '}
+          {baselineWindow}-month mean <span className="font-mono">{round(spikeContext.baseline)}</span> by{' '}
           <span className="font-mono text-orange-300">
-            +{Math.round((ri / spikeContext.baseline - 1) * 100)}%
+            +{Math.round((detRi / spikeContext.baseline - 1) * 100)}%
+          </span>
+          {' '}(threshold {Math.round(threshold * 100)}%).
+        </div>
+      )}
+      {data.alert_spike && !isRatio && data.spike_expected != null && (
+        <div className="mt-2 bg-slate-700/40 rounded p-2 text-[10px] text-slate-300 leading-snug">
+          <span className="text-orange-300 font-semibold">Spike: </span>
+          <span className="font-mono">{data.theft_count}</span> thefts vs{' '}
+          <span className="font-mono">{round(data.spike_expected, 1)}</span> expected from the{' '}
+          {baselineWindow}-month baseline — significant at the {+(confidence * 100).toFixed(1)}% level.
+        </div>
+      )}
+
+      {/* count-model p-value: always with the statistical methods, and
+          alongside the ratio explanation when a ratio spike fires */}
+      {data.spike_pvalue != null && (data.alert_spike || !isRatio) && (
+        <div className="mt-1.5 flex justify-between items-baseline gap-2 text-[10px] px-0.5">
+          <span className="text-slate-400">
+            p-value <span className="text-slate-600">({modelLabel}, exp. {round(data.spike_expected, 1)})</span>
+          </span>
+          <span className={`font-mono ${data.spike_pvalue < 1 - confidence ? 'text-orange-300' : 'text-slate-300'}`}>
+            {fmtP(data.spike_pvalue)}
           </span>
-          {' '}(threshold {Math.round((alertThreshold ?? 0.5) * 100)}%).
+        </div>
+      )}
+      {data.alert_seasonal && data.seasonal_baseline != null && (
+        <div className="mt-2 bg-slate-700/40 rounded p-2 text-[10px] text-slate-300 leading-snug">
+          <span className="text-violet-300 font-semibold">Seasonal: </span>
+          {isRatio ? (
+            <>
+              {detLabel} <span className="font-mono">{round(detRi)}</span> exceeds the{' '}
+              {seasonalMode === 'blend' ? 'blended year-over-year' : 'same-month prior-year'} baseline{' '}
+              <span className="font-mono">{round(data.seasonal_baseline)}</span> by{' '}
+              <span className="font-mono text-violet-300">
+                +{Math.round((detRi / data.seasonal_baseline - 1) * 100)}%
+              </span>.
+            </>
+          ) : (
+            <>
+              <span className="font-mono">{data.theft_count}</span> thefts vs{' '}
+              <span className="font-mono">{round(data.seasonal_expected, 1)}</span> expected from the same
+              month in prior years (p = {fmtP(data.seasonal_pvalue)}).
+            </>
+          )}
         </div>
       )}
       {data.alert_trend3 && (
         <div className="mt-2 bg-slate-700/40 rounded p-2 text-[10px] text-slate-300 leading-snug">
           <span className="text-yellow-300 font-semibold">Rising trend: </span>
-          Risk Index has risen for 3 consecutive months.
+          {detLabel} has risen for {trendRun} consecutive months.
         </div>
       )}
     </>
   )
 }
 
+// ── Spatial cluster (utils/spatialStats) ─────────────────────────────────────
+
+const CLUSTER_METRIC_LABELS = {
+  risk_index:    'risk index',
+  risk_index_eb: 'smoothed risk index',
+  theft_count:   'theft count',
+}
+
+function ClusterPanel({ cluster, global }) {
+  const lisa = cluster.lisa_cluster ? CLUSTER_TYPES[cluster.lisa_cluster] : null
+  const hot  = cluster.lisa_cluster === 'HH' || cluster.lisa_cluster === 'HL'
+  return (
+    <>
+      <Divider />
+      <Row
+        label="Spatial cluster"
+        value={lisa ? `${lisa.label} · ${lisa.detail}` : 'Not significant'}
+        accent={!lisa ? 'text-slate-400' : hot ? 'text-red-300' : 'text-sky-300'}
+      />
+      <Row label="Local Moran p" value={fmtP(cluster.lisa_p)} accent="text-slate-300" />
+      <Row
+        label="Gi* z-score"
+        value={cluster.gi_z != null
+          ? <>{sign(cluster.gi_z)}{round(cluster.gi_z, 2)}<span className="text-slate-500 font-normal"> (p {fmtP(cluster.gi_p)})</span></>
+          : null}
+        accent={cluster.gi_cluster?.startsWith('hot') ? 'text-red-300' : cluster.gi_cluster ? 'text-sky-300' : 'text-slate-300'}
+      />
+      <p className="text-[10px] text-slate-500 leading-snug mt-1">
+        {CLUSTER_METRIC_LABELS[global.field] ?? global.field} against neighbouring boroughs
+        ({PERMUTATIONS} permutations).  City-wide Moran's I {round(global.I, 2)}, p {fmtP(global.p)}
+        {global.p <= 0.05 ? (global.I > 0 ? ' — values cluster.' : ' — values disperse.') : ' — no clear pattern.'}
+      </p>
+    </>
+  )
+}
+
 // ── Month-compare panel ───────────────────────────────────────────────────────
 
 function DeltaPanel({ data, monthA, monthB }) {
@@ -212,52 +430,265 @@ function DeltaPanel({ data, monthA, monthB }) {
   )
 }
 
+// ── Borough group (utils/areaGroups) ─────────────────────────────────────────
+
+function GroupSnapshot({ pooled, size, palette }) {
+  const hasCi = pooled.risk_index_lo != null && pooled.risk_index_hi != null
+  const ri    = pooled.risk_index
+  return (
+    <>
+      <p className="text-[10px] text-slate-500 uppercase tracking-widest mb-2">
+        {pooled.forecast ? 'Forecast · pooled' : 'Pooled snapshot'}
+        {pooled.n < size && <span className="normal-case tracking-normal"> · {pooled.n} of {size} with data</span>}
+      </p>
+      <Row label={pooled.forecast ? 'Thefts (projected)' : 'Theft count'} value={pooled.theft_count} />
+      <Row label="Exposure" value={pooled.exposure} accent={pooled.stability_flag ? 'text-yellow-300' : undefined} />
+      <Row label="Risk ratio" value={round(pooled.risk_ratio, 4)} />
+      <Row label="City mean"  value={round(pooled.city_mean_ratio, 4)} />
+      <Divider />
+      <Row
+        label="Pooled Risk Index"
+        value={hasCi ? (
+          <>
+            {round(ri)}
+            <span className="text-slate-500 font-normal"> ± {round((pooled.risk_index_hi - pooled.risk_index_lo) / 2)}</span>
+          </>
+        ) : round(ri)}
+        accent={riskAccent(ri)}
+      />
+      {hasCi && (
+        <Row
+          label={`${Math.round(INTERVAL_CONFIDENCE * 100)}% interval`}
+          value={`${round(pooled.risk_index_lo)} – ${round(pooled.risk_index_hi)}`}
+          accent="text-slate-300"
+        />
+      )}
+      <p className="text-[10px] text-slate-500 leading-snug mt-1">
+        Total thefts over total exposure, against the city mean — larger
+        boroughs weigh more than in an average of member indices.
+      </p>
+
+      {pooled.alert_members.length > 0 && (
+        <div className="mt-2 px-2 py-1.5 rounded text-[10px] border bg-slate-700/30 border-slate-600/60 text-slate-300">
+          <span className="font-medium">{pooled.alert_members.length} of {size} on alert: </span>
+          {pooled.alert_members.map((m, i) => (
+            <span key={m.area_id} style={{ color: palette.alert[m.level] }}>
+              {i > 0 && <span className="text-slate-500">, </span>}
+              {ALERT_MARKS[m.level]} {m.area_name}
+            </span>
+          ))}
+        </div>
+      )}
+    </>
+  )
+}
+
+function GroupDelta({ pooledA, pooledB, monthA, monthB }) {
+  const delta = pooledA?.risk_index != null && pooledB?.risk_index != null
+    ? pooledB.risk_index - pooledA.risk_index : null
+  const deltaCount = pooledA && pooledB ? pooledB.theft_count - pooledA.theft_count : null
+  return (
+    <>
+      <p className="text-[10px] text-slate-500 uppercase tracking-widest mb-2">
+        {fmtMonth(monthA)} → {fmtMonth(monthB)} · pooled
+      </p>
+      <div className="grid grid-cols-3 gap-x-2 text-[10px] text-slate-400 mb-1">
+        <span />
+        <span className="text-sky-400 font-medium text-center">A</span>
+        <span className="text-orange-400 font-medium text-center">B</span>
+      </div>
+      <div className="grid grid-cols-3 gap-x-2 text-[10px] mb-1">
+        <span className="text-slate-400">Risk Index</span>
+        <span className="font-mono text-slate-200 text-center">{round(pooledA?.risk_index)}</span>
+        <span className="font-mono text-slate-200 text-center">{round(pooledB?.risk_index)}</span>
+      </div>
+      <div className="grid grid-cols-3 gap-x-2 text-[10px] mb-1">
+        <span className="text-slate-400">Thefts</span>
+        <span className="font-mono text-slate-200 text-center">{pooledA?.theft_count ?? '—'}</span>
+        <span className="font-mono text-slate-200 text-center">{pooledB?.theft_count ?? '—'}</span>
+      </div>
+      <Divider />
+      <Row
+        label="Δ Risk Index"
+        value={delta != null ? sign(delta) + round(delta) : '—'}
+        accent={delta > 0.3 ? 'text-orange-300' : delta < -0.3 ? 'text-green-400' : undefined}
+      />
+      <Row
+        label="Δ Theft Count"
+        value={deltaCount != null ? sign(deltaCount) + deltaCount : '—'}
+        accent={deltaCount > 0 ? 'text-orange-300' : deltaCount < 0 ? 'text-green-400' : undefined}
+      />
+    </>
+  )
+}
+
+function GroupMembers({ members, groupName, onRemoveMember, onSaveGroup }) {
+  const [name, setName] = useState(groupName ?? '')
+  const trimmed = name.trim()
+
+  const handleSubmit = e => {
+    e.preventDefault()
+    if (trimmed) onSaveGroup(trimmed)
+  }
+
+  return (
+    <>
+      <Divider />
+      <p className="text-[10px] text-slate-500 uppercase tracking-widest mb-1.5">Members</p>
+      <div className="flex flex-wrap gap-1">
+        {members.map(m => (
+          <span key={m.id} className="flex items-center gap-1 pl-1.5 pr-1 py-0.5 rounded bg-slate-700/60 text-[10px] text-slate-200">
+            {m.name}
+            {onRemoveMember && (
+              <button
+                type="button"
+                onClick={() => onRemoveMember(m.id)}
+                className="text-slate-500 hover:text-slate-200 leading-none"
+                title="Remove from group"
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+      {onSaveGroup && (
+        <form onSubmit={handleSubmit} className="flex items-center gap-1.5 mt-2">
+          <input
+            type="text"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            placeholder="Central South BCU"
+            className="flex-1 min-w-0 bg-slate-900/60 border border-slate-700 rounded px-1.5 py-1 text-[11px] text-slate-200 focus:outline-none focus:border-slate-500"
+          />
+          <button
+            type="submit"
+            disabled={!trimmed}
+            className="px-2 py-1 rounded text-[10px] font-medium bg-slate-700 text-slate-200 hover:bg-slate-600 disabled:opacity-40"
+          >
+            {groupName && trimmed.toLowerCase() === groupName.toLowerCase() ? 'Update' : 'Save'}
+          </button>
+        </form>
+      )}
+    </>
+  )
+}
+
 // ── Main component ────────────────────────────────────────────────────────────
 
 export default function ExplainCard({
   selectedAreaId,
-  features,
-  currentFeatures,
-  deltaFeatures,
+  groupAreaIds = [],
+  groupName,
+  onSaveGroup,
+  onRemoveMember,
+  store,
   meta,
   mode,
   currentMonth,
   monthA,
   monthB,
-  alertThreshold,
+  alertParams = DEFAULT_ALERT_PARAMS,
+  reviews,
+  onReview,
+  onClearReview,
   onClose,
+  spatial,
+  palette = DEFAULT_PALETTE_DEF,
 }) {
   // ── Find the row for this area ──────────────────────────────────────────
   const currentData = useMemo(
-    () => currentFeatures.find(f => f.area_id === selectedAreaId) ?? null,
-    [currentFeatures, selectedAreaId]
+    () => store.get(selectedAreaId, currentMonth),
+    [store, selectedAreaId, currentMonth]
   )
 
   const deltaData = useMemo(
-    () => deltaFeatures.find(f => f.area_id === selectedAreaId) ?? null,
-    [deltaFeatures, selectedAreaId]
+    () => store.monthPair(monthA, monthB).find(f => f.area_id === selectedAreaId) ?? null,
+    [store, monthA, monthB, selectedAreaId]
   )
 
-  // ── Spike context: 6-month rolling baseline ─────────────────────────────
+  // ── Borough group: members pooled for the month(s) on screen ───────────
+  const isGroup = groupAreaIds.length > 1
+  const group = useMemo(() => {
+    if (!isGroup) return null
+    const pool = month => (month ? poolRows(groupAreaIds.map(id => store.get(id, month))) : null)
+    const nameById = Object.fromEntries((meta?.areas ?? []).map(a => [a.id, a.name]))
+    return {
+      current: pool(currentMonth),
+      a:       mode === 'monthCompare' ? pool(monthA) : null,
+      b:       mode === 'monthCompare' ? pool(monthB) : null,
+      members: groupAreaIds.map(id => ({ id, name: nameById[id] ?? id })),
+    }
+  }, [isGroup, groupAreaIds, store, meta, mode, currentMonth, monthA, monthB])
+
+  // ── Spike context: rolling baseline the spike rule compared against ─────
+  // recomputeAlerts attaches it as spike_baseline; pipeline rows (shown until
+  // the worker's first result) lack it, so derive it from the store instead.
+  const { baselineWindow, minPeriods, metric = 'risk_index' } = alertParams
   const spikeContext = useMemo(() => {
-    if (!currentData?.alert_spike || !features || !meta) return null
+    if (!currentData?.alert_spike || !store || !meta) return null
+    if (currentData.spike_baseline != null) return { baseline: currentData.spike_baseline }
+
     const monthIdx = meta.months.indexOf(currentMonth)
-    if (monthIdx < 3) return null   // not enough history
+    if (monthIdx < minPeriods) return null   // not enough history
 
-    const baseline = meta.months
-      .slice(Math.max(0, monthIdx - 6), monthIdx)
-      .map(m => features.find(f => f.area_id === selectedAreaId && f.month === m)?.risk_index)
+    const baseline = store
+      .areaSeries(selectedAreaId, meta.months.slice(Math.max(0, monthIdx - baselineWindow), monthIdx))
+      .map(row => row?.[metric])
       .filter(v => v != null)
       .reduce((sum, v, _, arr) => sum + v / arr.length, 0)
 
     return { baseline }
-  }, [currentData, features, meta, currentMonth, selectedAreaId])
+  }, [currentData, store, meta, currentMonth, selectedAreaId, baselineWindow, minPeriods, metric])
+
+  // ── Alert review: current month, or month B when comparing ──────────────
+  const isDelta     = mode === 'monthCompare' && !!deltaData
+  const reviewMonth = isDelta ? monthB : currentMonth
+  const reviewLevel = (isDelta ? deltaData : currentData)?.alert_level ?? 'none'
+  const review      = reviews?.[reviewKey(selectedAreaId, reviewMonth)]
+  const showReview  = !!onReview && !!reviewMonth && (reviewLevel !== 'none' || !!review)
 
   // ── Area name ───────────────────────────────────────────────────────────
   const areaName = currentData?.area_name
     ?? deltaData?.area_name
     ?? selectedAreaId
 
+  if (group) {
+    return (
+      <div className="border-b border-slate-700">
+        <div className="flex items-center justify-between px-4 pt-4 pb-2">
+          <h3 className="text-sm font-semibold text-slate-100 leading-tight">
+            {groupName ?? `${groupAreaIds.length} boroughs`}
+            {groupName && <span className="ml-1.5 text-[10px] font-normal text-slate-500">{groupAreaIds.length} boroughs</span>}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-slate-500 hover:text-slate-300 text-lg leading-none ml-2 flex-shrink-0"
+            title="Clear selection"
+          >
+            ×
+          </button>
+        </div>
+        <div className="px-4 pb-4 text-xs">
+          {mode === 'monthCompare' ? (
+            <GroupDelta pooledA={group.a} pooledB={group.b} monthA={monthA} monthB={monthB} />
+          ) : group.current ? (
+            <GroupSnapshot pooled={group.current} size={groupAreaIds.length} palette={palette} />
+          ) : (
+            <p className="text-slate-500">No data for these boroughs this month.</p>
+          )}
+          <GroupMembers
+            key={groupName ?? ''}
+            members={group.members}
+            groupName={groupName}
+            onRemoveMember={onRemoveMember}
+            onSaveGroup={onSaveGroup}
+          />
+        </div>
+      </div>
+    )
+  }
+
   if (!currentData && !deltaData) {
     return (
       <div className="p-4 text-xs text-slate-500">
@@ -284,11 +715,26 @@ export default function ExplainCard({
 
       {/* ── Body ── */}
       <div className="px-4 pb-4 text-xs">
-        {mode === 'monthCompare' && deltaData ? (
+        {isDelta ? (
           <DeltaPanel data={deltaData} monthA={monthA} monthB={monthB} />
         ) : currentData ? (
-          <MetricPanel data={currentData} spikeContext={spikeContext} alertThreshold={alertThreshold} />
+          <>
+            <MetricPanel data={currentData} spikeContext={spikeContext} alertParams={alertParams} review={review} palette={palette} />
+            {spatial?.global?.I != null && spatial.byArea[selectedAreaId] && (
+              <ClusterPanel cluster={spatial.byArea[selectedAreaId]} global={spatial.global} />
+            )}
+          </>
         ) : null}
+
+        {showReview && (
+          <AlertReview
+            key={reviewKey(selectedAreaId, reviewMonth)}
+            review={review}
+            level={reviewLevel}
+            onChange={patch => onReview(selectedAreaId, reviewMonth, patch)}
+            onClear={() => onClearReview(selectedAreaId, reviewMonth)}
+          />
+        )}
       </div>
     </div>
   )
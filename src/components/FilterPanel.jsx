@@ -1,3 +1,6 @@
+import { useState } from 'react'
+import { DEFAULT_ALERT_PARAMS } from '../utils/recomputeAlerts'
+
 function ToggleChip({ active, onClick, color, children }) {
   const colors = {
     red:    active ? 'bg-red-500/20 border-red-500/60 text-red-300'          : 'bg-slate-700/50 border-slate-600 text-slate-400 hover:border-slate-500',
@@ -13,12 +16,80 @@ function ToggleChip({ active, onClick, color, children }) {
   )
 }
 
+const SPIKE_METHODS = [
+  { value: 'ratio',   label: 'Ratio',    title: 'Risk index vs rolling mean × (1 + threshold)' },
+  { value: 'poisson', label: 'Poisson',  title: 'Theft count significantly above baseline expectation (Poisson)' },
+  { value: 'negbin',  label: 'Neg-bin',  title: 'As Poisson, allowing for over-dispersion (negative binomial)' },
+]
+
+const SEASONAL_MODES = [
+  { value: 'off',   label: 'Off',   title: 'No seasonal signal' },
+  { value: 'yoy',   label: 'YoY',   title: 'Same month in prior years' },
+  { value: 'blend', label: 'Blend', title: 'Year-over-year blended with the rolling baseline' },
+]
+
+const DETECTOR_METRICS = [
+  { value: 'risk_index',    label: 'Raw',      title: 'Pipeline risk_index' },
+  { value: 'risk_index_eb', label: 'Smoothed', title: 'Empirical-Bayes smoothed risk index (shrinks low-exposure boroughs toward the city mean)' },
+]
+
+const CONFIDENCE_LEVELS = [0.8, 0.9, 0.95, 0.99, 0.999]
+
+function fmtConfidence(c) {
+  return +(c * 100).toFixed(1)
+}
+
+function fmtAlpha(c) {
+  return +(1 - c).toFixed(3)
+}
+
+// Compact labelled range input for the detector settings block
+function ParamSlider({ label, value, display, min, max, step = 1, onChange }) {
+  return (
+    <div>
+      <div className="flex justify-between items-baseline">
+        <span className="text-[10px] text-slate-500">{label}</span>
+        <span className="text-[10px] font-mono text-slate-300">{display ?? value}</span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={e => onChange(+e.target.value)}
+        className="w-full"
+      />
+    </div>
+  )
+}
+
 export default function FilterPanel({
   filterAlertsOnly, setFilterAlertsOnly,
-  alertThreshold,   setAlertThreshold,
+  alertParams,      setAlertParams,
   alertCount,
+  recomputing,
+  recomputeError,
+  seasonalAvailable,
 }) {
-  const pct = Math.round(alertThreshold * 100)
+  const [showSettings, setShowSettings] = useState(false)
+
+  const {
+    metric, threshold, baselineWindow, minPeriods, trendRun, excludeUnstable,
+    spikeMethod, confidence, seasonalMode, seasonalWeight,
+  } = alertParams
+  const pct     = Math.round(threshold * 100)
+  const isRatio = spikeMethod === 'ratio'
+
+  const setParam = (key, value) => setAlertParams(p => {
+    const next = { ...p, [key]: value }
+    // Minimum history can never exceed the window it is drawn from
+    if (next.minPeriods > next.baselineWindow) next.minPeriods = next.baselineWindow
+    return next
+  })
+
+  const isDefault = Object.keys(DEFAULT_ALERT_PARAMS)
+    .every(k => alertParams[k] === DEFAULT_ALERT_PARAMS[k])
 
   return (
     <div className="px-4 pt-3 pb-3 border-b border-slate-700/80 bg-slate-800/60">
@@ -39,25 +110,187 @@ export default function FilterPanel({
         </ToggleChip>
       </div>
 
-      {/* Row 2: alert threshold slider */}
+      {/* Row 2: spike method + its threshold / confidence slider */}
+      <div className="flex items-center gap-0.5 mb-2 bg-slate-900/60 border border-slate-700 rounded p-0.5">
+        {SPIKE_METHODS.map(m => (
+          <button
+            key={m.value}
+            type="button"
+            onClick={() => setParam('spikeMethod', m.value)}
+            title={m.title}
+            className={`flex-1 px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+              spikeMethod === m.value ? 'bg-orange-500/80 text-white' : 'text-slate-400 hover:text-slate-200'
+            }`}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
       <div>
         <div className="flex justify-between items-baseline mb-1">
-          <span className="text-[10px] text-slate-500">Spike threshold</span>
-          <span className="text-[10px] font-mono text-orange-300">+{pct}%</span>
+          <span className="text-[10px] text-slate-500">
+            {isRatio ? 'Spike threshold' : 'Confidence level'}
+          </span>
+          <span className="flex items-baseline gap-1.5">
+            {recomputing ? (
+              <span className="text-[9px] text-slate-500 animate-pulse">recomputing…</span>
+            ) : recomputeError && (
+              <span className="text-[9px] text-red-300" title={recomputeError}>
+                recompute failed — showing pipeline alerts
+              </span>
+            )}
+            <span className="text-[10px] font-mono text-orange-300">
+              {isRatio ? `+${pct}%` : `${fmtConfidence(confidence)}%`}
+            </span>
+          </span>
         </div>
-        <input
-          type="range"
-          min={10}
-          max={100}
-          step={5}
-          value={pct}
-          onChange={e => setAlertThreshold(+e.target.value / 100)}
-          className="w-full"
-        />
+        {isRatio ? (
+          <input
+            type="range"
+            min={10}
+            max={100}
+            step={5}
+            value={pct}
+            onChange={e => setParam('threshold', +e.target.value / 100)}
+            className="w-full"
+          />
+        ) : (
+          <input
+            type="range"
+            min={0}
+            max={CONFIDENCE_LEVELS.length - 1}
+            step={1}
+            value={Math.max(0, CONFIDENCE_LEVELS.indexOf(confidence))}
+            onChange={e => setParam('confidence', CONFIDENCE_LEVELS[+e.target.value])}
+            className="w-full"
+          />
+        )}
         <p className="text-[9px] text-slate-600 mt-0.5 leading-snug">
-          Flag spike when risk exceeds 6-month mean by more than this %
+          {isRatio
+            ? `Flag spike when risk exceeds ${baselineWindow}-month mean by more than this %`
+            : `Flag spike when thefts exceed the ${baselineWindow}-month baseline expectation with p < ${fmtAlpha(confidence)} (${spikeMethod === 'negbin' ? 'negative binomial' : 'Poisson'})`}
         </p>
       </div>
+
+      {/* Row 3: remaining detector parameters (collapsed by default) */}
+      <div className="mt-2">
+        <div className="flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => setShowSettings(v => !v)}
+            className="text-[10px] text-slate-400 hover:text-slate-200"
+          >
+            {showSettings ? '▾' : '▸'} Detector settings
+          </button>
+          {!isDefault && (
+            <button
+              type="button"
+              onClick={() => setAlertParams(DEFAULT_ALERT_PARAMS)}
+              className="text-[9px] text-slate-500 hover:text-slate-300"
+            >
+              ↺ defaults
+            </button>
+          )}
+        </div>
+
+        {showSettings && (
+          <div className="mt-1.5 space-y-1.5">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-[10px] text-slate-500">Detector metric</span>
+              <div className="flex items-center gap-0.5 bg-slate-900/60 border border-slate-700 rounded p-0.5">
+                {DETECTOR_METRICS.map(m => (
+                  <button
+                    key={m.value}
+                    type="button"
+                    onClick={() => setParam('metric', m.value)}
+                    title={m.title}
+                    className={`px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+                      metric === m.value ? 'bg-orange-500/80 text-white' : 'text-slate-400 hover:text-slate-200'
+                    }`}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <ParamSlider
+              label="Baseline window"
+              value={baselineWindow}
+              display={`${baselineWindow} mo`}
+              min={2} max={12}
+              onChange={v => setParam('baselineWindow', v)}
+            />
+            <ParamSlider
+              label="Minimum history"
+              value={minPeriods}
+              display={`${minPeriods} mo`}
+              min={1} max={baselineWindow}
+              onChange={v => setParam('minPeriods', v)}
+            />
+            <ParamSlider
+              label="Trend run length"
+              value={trendRun}
+              display={`${trendRun} mo`}
+              min={2} max={6}
+              onChange={v => setParam('trendRun', v)}
+            />
+            <label className="flex items-center gap-1.5 text-[10px] text-slate-400 cursor-pointer pt-0.5">
+              <input
+                type="checkbox"
+                checked={excludeUnstable}
+                onChange={e => setParam('excludeUnstable', e.target.checked)}
+                className="accent-orange-500"
+              />
+              Exclude low-exposure (stability_flag) rows
+            </label>
+
+            {/* Seasonal (year-over-year) baseline — needs > 12 months */}
+            <div className="pt-1.5 border-t border-slate-700/60">
+              <div className="flex justify-between items-baseline mb-1">
+                <span className="text-[10px] text-slate-500">Seasonal baseline</span>
+                {!seasonalAvailable && (
+                  <span className="text-[9px] text-slate-600">needs &gt; 12 months</span>
+                )}
+              </div>
+              <div className={`flex items-center gap-0.5 bg-slate-900/60 border border-slate-700 rounded p-0.5 ${
+                seasonalAvailable ? '' : 'opacity-40 pointer-events-none'
+              }`}>
+                {SEASONAL_MODES.map(m => (
+                  <button
+                    key={m.value}
+                    type="button"
+                    onClick={() => setParam('seasonalMode', m.value)}
+                    title={m.title}
+                    className={`flex-1 px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+                      seasonalMode === m.value ? 'bg-violet-500/80 text-white' : 'text-slate-400 hover:text-slate-200'
+                    }`}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+              {seasonalAvailable && seasonalMode === 'blend' && (
+                <div className="mt-1.5">
+                  <ParamSlider
+                    label="Year-over-year weight"
+                    value={Math.round(seasonalWeight * 100)}
+                    display={`${Math.round(seasonalWeight * 100)}%`}
+                    min={10} max={90} step={10}
+                    onChange={v => setParam('seasonalWeight', v / 100)}
+                  />
+                </div>
+              )}
+              {seasonalAvailable && seasonalMode !== 'off' && (
+                <p className="text-[9px] text-slate-600 mt-0.5 leading-snug">
+                  Adds a separate <span className="text-violet-400">seasonal</span> signal comparing
+                  each month with the same month in up to {DEFAULT_ALERT_PARAMS.seasonalYears} prior years.
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
     </div>
   )
 }
@@ -0,0 +1,35 @@
+/**
+ * IssueList
+ * Renders the { level, file, message, count?, examples? } issues produced by
+ * validateDataset.  Shared by ErrorScreen (fatal) and DataWarnings (banner).
+ */
+
+const LEVEL_STYLE = {
+  error:   { icon: '✕', text: 'text-red-400' },
+  warning: { icon: '⚠', text: 'text-yellow-400' },
+}
+
+export default function IssueList({ issues }) {
+  if (!issues?.length) return null
+  return (
+    <ul className="space-y-1.5 text-left">
+      {issues.map((it, i) => {
+        const style = LEVEL_STYLE[it.level] ?? LEVEL_STYLE.warning
+        return (
+          <li key={`${it.file}-${i}`} className="flex gap-2 text-[11px] leading-snug">
+            <span className={`${style.text} shrink-0`}>{style.icon}</span>
+            <div>
+              <code className="text-slate-400">{it.file}</code>
+              <span className="text-slate-300"> — {it.message}</span>
+              {it.count > 0 && (
+                <span className="text-slate-500">
+                  {' '}({it.count}: {it.examples.join(', ')}{it.count > it.examples.length ? ', …' : ''})
+                </span>
+              )}
+            </div>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
@@ -0,0 +1,35 @@
+/**
+ * PaletteSelect
+ * Header picker for the colour palette (utils/palettes.js) used by the map
+ * fills, legends, RankingChart and TrendChart.  Colour-blind safe palettes
+ * are marked "CVD-safe"; a strip of the active ramp previews the choice.
+ *
+ * Props
+ * ─────
+ *   value      palette id
+ *   onChange   (id) => void
+ */
+
+import { PALETTES, getPalette } from '../utils/palettes'
+
+export default function PaletteSelect({ value, onChange }) {
+  const palette = getPalette(value)
+  return (
+    <label className="flex items-center gap-1.5 text-[11px] text-slate-400" title="Colour palette for maps and charts">
+      <span className="flex h-2.5 w-10 rounded-sm overflow-hidden border border-slate-600">
+        {palette.sequential.map(c => <span key={c} className="flex-1" style={{ backgroundColor: c }} />)}
+      </span>
+      <select
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        className="bg-slate-800 border border-slate-600 rounded px-1.5 py-0.5 text-[11px] text-slate-300 focus:outline-none focus:border-slate-500"
+      >
+        {Object.entries(PALETTES).map(([id, p]) => (
+          <option key={id} value={id}>
+            {p.label}{p.cvdSafe ? ' · CVD-safe' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
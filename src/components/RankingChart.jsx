@@ -6,18 +6,26 @@
  *
  * Bar colours communicate two things simultaneously:
  *   • Alert status  – warning = red, watch = amber, (or selected = orange)
+ *                     in the default palette; the name also gets ▲ / ●
  *   • Metric value  – for non-alert non-selected bars, a risk-index colour
- *                     scale matching the map is used (green → red)
+ *                     scale on the fixed map classes (green → red by default)
  *
  * Clicking a bar selects / deselects the corresponding Borough.
  *
+ * When ranking by risk index the tooltip also gives the interval estimate and
+ * says whether it overlaps the neighbouring bars' intervals — i.e. whether
+ * the difference in rank is distinguishable from noise.  Under a what-if
+ * scenario (utils/scenario.js) it also shows the borough's baseline value.
+ *
  * Props
  * ─────
  *   rankedTopN     array  – pre-sorted rows from App.jsx (max 10)
  *   mode           'metricCompare' | 'monthCompare'
- *   displayMetric  'risk_index' | 'theft_count'   (metricCompare only)
+ *   displayMetric  'risk_index' | 'risk_index_eb' | 'theft_count'   (metricCompare only)
  *   selectedAreaId string | null
- *   onSelectArea   (id: string | null) => void
+ *   selectedAreaIds string[]  – multi-selection (group members); bars drawn as selected
+ *   onSelectArea   (id: string | null, { additive }) => void   additive = shift-click
+ *   palette        utils/palettes palette (bar and alert colours)
  */
 
 import { useMemo, useCallback, useRef } from 'react'
@@ -27,42 +35,58 @@ import {
   BarElement, Tooltip, Legend,
 } from 'chart.js'
 import { Bar } from 'react-chartjs-2'
+import { INTERVAL_CONFIDENCE } from '../utils/riskMetrics'
+import { ALERT_MARKS, DEFAULT_PALETTE, getPalette, riskStepColor, withAlpha } from '../utils/palettes'
+
+const DEFAULT_PALETTE_DEF = getPalette(DEFAULT_PALETTE)
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend)
 
 // ── Colour helpers ────────────────────────────────────────────────────────────
 
-/** Map a risk_index value to the same colour steps used on the choropleth. */
-function riskColor(ri) {
-  if (ri == null || isNaN(ri)) return 'rgba(71,85,105,0.55)'   // slate: no data
-  if (ri >= 2.0)  return 'rgba(153,27,27,0.85)'
-  if (ri >= 1.5)  return 'rgba(239,68,68,0.80)'
-  if (ri >= 1.15) return 'rgba(249,115,22,0.80)'
-  if (ri >= 0.85) return 'rgba(251,191,36,0.80)'
-  if (ri >= 0.6)  return 'rgba(134,239,172,0.80)'
-  return 'rgba(34,197,94,0.80)'
+/** Map a risk_index value to the fixed risk classes of the active palette. */
+function riskColor(ri, palette) {
+  return riskStepColor(ri, palette)
 }
 
-function barColor(f, metric, selectedAreaId, showAlerts) {
-  if (f.area_id === selectedAreaId)              return 'rgba(249,115,22,0.95)'  // orange: selected
-  if (showAlerts && f.alert_level === 'warning') return 'rgba(239,68,68,0.80)'   // red
-  if (showAlerts && f.alert_level === 'watch')   return 'rgba(251,191,36,0.80)'  // yellow
-  // Non-alert: use metric-based colour for risk_index; flat slate for others
-  return metric === 'risk_index' ? riskColor(f.risk_index) : 'rgba(100,116,139,0.60)'
+function barColor(f, metric, selected, showAlerts, palette) {
+  if (selected.has(f.area_id))                   return withAlpha(palette.selected, 0.95)
+  if (showAlerts && f.alert_level === 'warning') return withAlpha(palette.alert.warning, 0.80)
+  if (showAlerts && f.alert_level === 'watch')   return withAlpha(palette.alert.watch, 0.80)
+  // Non-alert: use metric-based colour for the risk indices; flat slate for others
+  if (metric === 'risk_index' || metric === 'risk_index_eb') return riskColor(f[metric], palette)
+  return 'rgba(100,116,139,0.60)'
 }
 
-function barBorderColor(f, selectedAreaId, showAlerts) {
-  if (f.area_id === selectedAreaId)              return 'rgba(249,115,22,1)'
-  if (showAlerts && f.alert_level === 'warning') return 'rgba(239,68,68,1)'
-  if (showAlerts && f.alert_level === 'watch')   return 'rgba(251,191,36,1)'
+function barBorderColor(f, selected, showAlerts, palette) {
+  if (selected.has(f.area_id))                   return palette.selected
+  if (showAlerts && f.alert_level === 'warning') return palette.alert.warning
+  if (showAlerts && f.alert_level === 'watch')   return palette.alert.watch
   return 'transparent'
 }
 
+/** Shape cue in front of the name so alert level doesn't rely on colour. */
+function alertMark(f, showAlerts) {
+  return showAlerts && ALERT_MARKS[f?.alert_level] ? `${ALERT_MARKS[f.alert_level]} ` : ''
+}
+
 // ── Metric label / value accessor ─────────────────────────────────────────────
 
+/** [lo, hi] interval for the ranked metric, or null when none is available. */
+function intervalOf(f, metric) {
+  if (metric !== 'risk_index' || f?.risk_index_lo == null || f?.risk_index_hi == null) return null
+  return [f.risk_index_lo, f.risk_index_hi]
+}
+
+function intervalsOverlap(a, b) {
+  return a[0] <= b[1] && b[0] <= a[1]
+}
+
 function metricLabel(mode, displayMetric) {
   if (mode === 'monthCompare') return 'Δ Risk Index'
-  return displayMetric === 'risk_index' ? 'Risk Index' : 'Theft Count'
+  if (displayMetric === 'risk_index')    return 'Risk Index'
+  if (displayMetric === 'risk_index_eb') return 'Smoothed Risk Index'
+  return 'Theft Count'
 }
 
 function metricValue(f, mode, displayMetric) {
@@ -77,10 +101,17 @@ export default function RankingChart({
   mode,
   displayMetric,
   selectedAreaId,
+  selectedAreaIds,
   onSelectArea,
+  palette = DEFAULT_PALETTE_DEF,
 }) {
   const chartRef = useRef(null)
 
+  const selected = useMemo(
+    () => new Set(selectedAreaIds?.length ? selectedAreaIds : [selectedAreaId]),
+    [selectedAreaIds, selectedAreaId]
+  )
+
   const metric     = mode === 'monthCompare' ? 'delta_risk_index' : displayMetric
   const showAlerts = mode === 'metricCompare'   // alerts only in Count vs Risk mode
 
@@ -89,22 +120,25 @@ export default function RankingChart({
     labels: rankedTopN.map(f => f.area_name),
     datasets: [{
       data:            rankedTopN.map(f => metricValue(f, mode, displayMetric)),
-      backgroundColor: rankedTopN.map(f => barColor(f, metric, selectedAreaId, showAlerts)),
-      borderColor:     rankedTopN.map(f => barBorderColor(f, selectedAreaId, showAlerts)),
+      backgroundColor: rankedTopN.map(f => barColor(f, metric, selected, showAlerts, palette)),
+      borderColor:     rankedTopN.map(f => barBorderColor(f, selected, showAlerts, palette)),
       borderWidth:     rankedTopN.map(f =>
-        f.area_id === selectedAreaId || (showAlerts && f.alert_level !== 'none') ? 1.5 : 0
+        selected.has(f.area_id) || (showAlerts && f.alert_level !== 'none') ? 1.5 : 0
       ),
       borderRadius:    3,
       borderSkipped:   false,
     }],
-  }), [rankedTopN, mode, displayMetric, metric, selectedAreaId])
+  }), [rankedTopN, mode, displayMetric, metric, selected, palette])
 
   // ── Chart options ─────────────────────────────────────────────────────────
   const handleClick = useCallback((event, elements) => {
     if (!elements.length) return
     const idx  = elements[0].index
     const item = rankedTopN[idx]
-    if (item) onSelectArea(item.area_id === selectedAreaId ? null : item.area_id)
+    if (!item) return
+    // Shift-click adds / removes the borough from the multi-selection
+    const additive = !!event.native?.shiftKey
+    onSelectArea(item.area_id === selectedAreaId && !additive ? null : item.area_id, { additive })
   }, [rankedTopN, selectedAreaId, onSelectArea])
 
   const options = useMemo(() => ({
@@ -132,9 +166,29 @@ export default function RankingChart({
             const fmtVal = val != null
               ? (mode === 'monthCompare' && val > 0 ? '+' : '') + (+val).toFixed(3)
               : '—'
-            const alert = showAlerts && f?.alert_level !== 'none' ? `  ⚠ ${f.alert_level}` : ''
+            const alert = showAlerts && f?.alert_level !== 'none' ? `  ${ALERT_MARKS[f.alert_level] ?? '⚠'} ${f.alert_level}` : ''
             return `${fmtVal}${alert}`
           },
+          afterLabel: ctx => {
+            const i    = ctx.dataIndex
+            const row  = rankedTopN[i]
+            const base = metric === 'risk_index' && row?.baseline_risk_index != null
+              ? `baseline ${row.baseline_risk_index.toFixed(3)} (what-if scenario)`
+              : null
+            const ci = intervalOf(row, metric)
+            if (!ci) return base ?? ''
+            const lines = [`${Math.round(INTERVAL_CONFIDENCE * 100)}% interval ${ci[0].toFixed(2)}–${ci[1].toFixed(2)}`]
+            if (base) lines.unshift(base)
+            for (const j of [i - 1, i + 1]) {
+              const other   = rankedTopN[j]
+              const otherCi = intervalOf(other, metric)
+              if (!otherCi) continue
+              lines.push(intervalsOverlap(ci, otherCi)
+                ? `≈ overlaps ${other.area_name} (#${j + 1}) — difference not clear`
+                : `${j < i ? 'below' : 'above'} ${other.area_name} (#${j + 1}), intervals separate`)
+            }
+            return lines
+          },
           title: ctx => rankedTopN[ctx[0]?.dataIndex]?.area_name ?? '',
         },
       },
@@ -150,16 +204,16 @@ export default function RankingChart({
         ticks:  {
           color: '#94a3b8',
           font:  { size: 9 },
-          // Truncate long names
+          // Truncate long names; alert boroughs get their ▲ / ● mark
           callback: (_, i) => {
             const name = rankedTopN[i]?.area_name ?? ''
-            return name.length > 18 ? name.slice(0, 17) + '…' : name
+            return alertMark(rankedTopN[i], showAlerts) + (name.length > 18 ? name.slice(0, 17) + '…' : name)
           },
         },
         border: { color: '#334155' },
       },
     },
-  }), [handleClick, rankedTopN, mode])
+  }), [handleClick, rankedTopN, mode, metric])
 
   // ── Legend for alert colours (metricCompare only) ─────────────────────────
   const hasWarning = showAlerts && rankedTopN.some(f => f.alert_level === 'warning')
@@ -178,15 +232,13 @@ export default function RankingChart({
         {(hasWarning || hasWatch) && (
           <div className="flex items-center gap-2">
             {hasWarning && (
-              <span className="flex items-center gap-1 text-[9px] text-red-400">
-                <span className="w-2 h-2 rounded-sm bg-red-500/80 inline-block" />
-                Warning
+              <span className="flex items-center gap-1 text-[9px]" style={{ color: palette.alert.warning }}>
+                {ALERT_MARKS.warning} Warning
               </span>
             )}
             {hasWatch && (
-              <span className="flex items-center gap-1 text-[9px] text-yellow-400">
-                <span className="w-2 h-2 rounded-sm bg-yellow-500/80 inline-block" />
-                Watch
+              <span className="flex items-center gap-1 text-[9px]" style={{ color: palette.alert.watch }}>
+                {ALERT_MARKS.watch} Watch
               </span>
             )}
           </div>
@@ -0,0 +1,225 @@
+/**
+ * RuleBuilder
+ * ──────────────────────────────────────────────────────────────────────────
+ * Sidebar editor for user-defined alert rules (utils/alertRules.js).  Rules
+ * are evaluated with the built-in detectors; a borough-month matching a rule
+ * is raised to that rule's severity, which drives the map border colour and
+ * the "Alerts only" count.
+ *
+ * Props
+ * ─────
+ *   rules      rule[]            (from useAlertRules)
+ *   fields     meta.fields       { name: description }
+ *   onAdd      (rule) => void
+ *   onUpdate   (id, patch) => void
+ *   onRemove   (id) => void
+ */
+
+import { useState, useMemo } from 'react'
+import { compileRule, RULE_SEVERITIES } from '../utils/alertRules'
+
+const SEVERITY_STYLE = {
+  watch:   { label: '● Watch',   active: 'bg-yellow-500/80 text-slate-900', text: 'text-yellow-300' },
+  warning: { label: '⚠ Warning', active: 'bg-red-500/80 text-white',        text: 'text-red-300' },
+}
+
+const EXAMPLES = [
+  'risk_index > 1.5 AND theft_count >= 20',
+  'delta_risk_index > 0.8',
+]
+
+function SeverityPicker({ value, onChange }) {
+  return (
+    <div className="flex items-center gap-0.5 bg-slate-900/60 border border-slate-700 rounded p-0.5">
+      {RULE_SEVERITIES.map(s => (
+        <button
+          key={s}
+          type="button"
+          onClick={() => onChange(s)}
+          className={`flex-1 px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+            value === s ? SEVERITY_STYLE[s].active : 'text-slate-400 hover:text-slate-200'
+          }`}
+        >
+          {SEVERITY_STYLE[s].label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default function RuleBuilder({ rules, fields, onAdd, onUpdate, onRemove }) {
+  const [open,      setOpen]      = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [name,      setName]      = useState('')
+  const [expr,      setExpr]      = useState('')
+  const [severity,  setSeverity]  = useState('watch')
+
+  const fieldNames = useMemo(() => Object.keys(fields ?? {}), [fields])
+  const check      = useMemo(() => compileRule(expr, fieldNames), [expr, fieldNames])
+  const activeCount = rules.filter(r => r.enabled !== false).length
+
+  const resetForm = () => {
+    setEditingId(null)
+    setName('')
+    setExpr('')
+    setSeverity('watch')
+  }
+
+  const startEdit = rule => {
+    setEditingId(rule.id)
+    setName(rule.name ?? '')
+    setExpr(rule.expr)
+    setSeverity(rule.severity ?? 'watch')
+  }
+
+  const handleSubmit = e => {
+    e.preventDefault()
+    if (!check.ok) return
+    const rule = { name: name.trim(), expr: expr.trim(), severity }
+    if (editingId) onUpdate(editingId, rule)
+    else onAdd(rule)
+    resetForm()
+  }
+
+  const insertField = f => setExpr(v => (v && !/\s$/.test(v) ? `${v} ${f}` : `${v}${f}`))
+
+  return (
+    <div className="px-4 pt-2.5 pb-3 border-b border-slate-700/80 bg-slate-800/60">
+      <button
+        type="button"
+        onClick={() => setOpen(v => !v)}
+        className="flex items-center gap-1.5 text-[10px] text-slate-400 hover:text-slate-200"
+      >
+        {open ? '▾' : '▸'} Custom alert rules
+        {activeCount > 0 && (
+          <span className="px-1 rounded text-[9px] font-bold bg-slate-600 text-slate-300">{activeCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-2">
+          {/* Saved rules */}
+          {rules.length > 0 && (
+            <ul className="space-y-1">
+              {rules.map(r => {
+                const valid = compileRule(r.expr, fieldNames).ok
+                return (
+                  <li
+                    key={r.id}
+                    className={`flex items-start gap-1.5 px-1.5 py-1 rounded border text-[10px] ${
+                      editingId === r.id ? 'border-orange-500/60 bg-orange-500/5' : 'border-slate-700 bg-slate-900/40'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={r.enabled !== false}
+                      onChange={e => onUpdate(r.id, { enabled: e.target.checked })}
+                      className="accent-orange-500 mt-0.5"
+                      title="Enable rule"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-1">
+                        <span className={SEVERITY_STYLE[r.severity]?.text ?? 'text-slate-300'}>
+                          {r.severity === 'warning' ? '⚠' : '●'}
+                        </span>
+                        <span className="text-slate-200 truncate">{r.name || r.expr}</span>
+                      </div>
+                      {r.name && (
+                        <code className="block text-[9px] text-slate-500 truncate">{r.expr}</code>
+                      )}
+                      {!valid && (
+                        <span className="text-[9px] text-yellow-400">fields not in this dataset — inactive</span>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => startEdit(r)}
+                      className="text-slate-500 hover:text-slate-200"
+                      title="Edit rule"
+                    >
+                      ✎
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => { if (editingId === r.id) resetForm(); onRemove(r.id) }}
+                      className="text-slate-500 hover:text-red-300"
+                      title="Delete rule"
+                    >
+                      ✕
+                    </button>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+
+          {/* Editor */}
+          <form onSubmit={handleSubmit} className="space-y-1.5">
+            <input
+              type="text"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="Rule name (optional)"
+              className="w-full bg-slate-900/60 border border-slate-700 rounded px-2 py-1 text-[11px] text-slate-200 placeholder-slate-600 focus:outline-none focus:border-slate-500"
+            />
+            <textarea
+              value={expr}
+              onChange={e => setExpr(e.target.value)}
+              placeholder={EXAMPLES[0]}
+              rows={2}
+              spellCheck={false}
+              className={`w-full bg-slate-900/60 border rounded px-2 py-1 text-[11px] font-mono text-slate-200 placeholder-slate-600 resize-none focus:outline-none ${
+                expr && !check.ok ? 'border-red-500/60' : 'border-slate-700 focus:border-slate-500'
+              }`}
+            />
+            {expr && !check.ok && (
+              <p className="text-[9px] text-red-300 leading-snug">{check.error}</p>
+            )}
+
+            <SeverityPicker value={severity} onChange={setSeverity} />
+
+            <div className="flex items-center gap-1.5">
+              <button
+                type="submit"
+                disabled={!check.ok}
+                className="flex-1 px-2 py-1 text-[11px] rounded bg-orange-500/80 hover:bg-orange-500 text-white font-medium transition-colors disabled:opacity-40 disabled:pointer-events-none"
+              >
+                {editingId ? 'Save rule' : '+ Add rule'}
+              </button>
+              {(editingId || expr) && (
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-2 py-1 text-[11px] rounded bg-slate-700 hover:bg-slate-600 text-slate-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+
+          {/* Field reference */}
+          <div className="text-[9px] text-slate-600 leading-snug space-y-1">
+            <p>
+              Fields (click to insert) — prefix <code className="text-slate-400">delta_</code> for
+              the change vs the previous month. Combine with AND / OR / NOT, &gt; &gt;= &lt; &lt;= == !=.
+            </p>
+            <div className="flex flex-wrap gap-1">
+              {fieldNames.map(f => (
+                <button
+                  key={f}
+                  type="button"
+                  onClick={() => insertField(f)}
+                  title={fields[f]}
+                  className="px-1 rounded bg-slate-700/60 text-slate-400 hover:text-slate-200 font-mono"
+                >
+                  {f}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
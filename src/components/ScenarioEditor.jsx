@@ -0,0 +1,208 @@
+/**
+ * ScenarioEditor
+ * ──────────────────────────────────────────────────────────────────────────
+ * Sidebar editor for what-if scenarios (utils/scenario.js): override exposure
+ * or theft counts for chosen boroughs and months.  While the scenario is
+ * applied, risk_index, the maps, rankings and alerts are all recomputed from
+ * the edited inputs; "Compare with baseline" puts the baseline risk index on
+ * the left map in Metric compare mode.
+ *
+ * Props
+ * ─────
+ *   edits          edit[]              (from useScenario)
+ *   areas          meta.areas          [{ id, name }]
+ *   months         meta.months
+ *   applied        bool                scenario drives the app
+ *   setApplied     (bool) => void
+ *   compare        bool                baseline vs scenario maps
+ *   setCompare     (bool) => void
+ *   alertSummary   { baseline, scenario } | null   alert counts this month
+ *   onAdd / onUpdate(id, patch) / onRemove(id) / onClear()
+ */
+
+import { useState } from 'react'
+import { ALL_MONTHS, SCENARIO_FIELDS, SCENARIO_OPS, describeEdit } from '../utils/scenario'
+
+const MONTH_NAMES = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec']
+
+function fmtMonth(m) {
+  if (m === ALL_MONTHS) return 'all months'
+  const [y, mo] = m.split('-')
+  return `${MONTH_NAMES[+mo - 1]} ${y}`
+}
+
+const SELECT_CLASS = 'bg-slate-900/60 border border-slate-700 rounded px-1.5 py-1 text-[11px] text-slate-200 focus:outline-none focus:border-slate-500'
+
+export default function ScenarioEditor({
+  edits, areas, months,
+  applied, setApplied, compare, setCompare, alertSummary,
+  onAdd, onUpdate, onRemove, onClear,
+}) {
+  const [open,   setOpen]   = useState(false)
+  const [areaId, setAreaId] = useState('')
+  const [month,  setMonth]  = useState(ALL_MONTHS)
+  const [field,  setField]  = useState('exposure')
+  const [op,     setOp]     = useState('add')
+  const [value,  setValue]  = useState('')
+
+  const nameById    = Object.fromEntries((areas ?? []).map(a => [a.id, a.name]))
+  const activeCount = edits.filter(e => e.enabled !== false).length
+  const num         = Number(value)
+  const valid       = !!areaId && value.trim() !== '' && Number.isFinite(num) &&
+                      (op === 'add' || num >= 0)
+
+  const handleSubmit = e => {
+    e.preventDefault()
+    if (!valid) return
+    onAdd({ area_id: areaId, month, field, op, value: num })
+    setValue('')
+  }
+
+  return (
+    <div className="px-4 pt-2.5 pb-3 border-b border-slate-700/80 bg-slate-800/60">
+      <button
+        type="button"
+        onClick={() => setOpen(v => !v)}
+        className="flex items-center gap-1.5 text-[10px] text-slate-400 hover:text-slate-200"
+      >
+        {open ? '▾' : '▸'} What-if scenario
+        {activeCount > 0 && (
+          <span className={`px-1 rounded text-[9px] font-bold ${
+            applied ? 'bg-cyan-500/30 text-cyan-200' : 'bg-slate-600 text-slate-300'
+          }`}>
+            {activeCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-2">
+          {/* Saved edits */}
+          {edits.length > 0 && (
+            <ul className="space-y-1">
+              {edits.map(e => (
+                <li
+                  key={e.id}
+                  className="flex items-center gap-1.5 px-1.5 py-1 rounded border border-slate-700 bg-slate-900/40 text-[10px]"
+                >
+                  <input
+                    type="checkbox"
+                    checked={e.enabled !== false}
+                    onChange={ev => onUpdate(e.id, { enabled: ev.target.checked })}
+                    className="accent-cyan-500"
+                    title="Include in scenario"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <span className="text-slate-200 truncate block">
+                      {nameById[e.area_id] ?? e.area_id}
+                      <span className="text-slate-500"> · {fmtMonth(e.month)}</span>
+                    </span>
+                    <span className="text-cyan-300 font-mono text-[9px]">{describeEdit(e)}</span>
+                    {areas && !nameById[e.area_id] && (
+                      <span className="text-[9px] text-yellow-400"> — borough not in this dataset</span>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => onRemove(e.id)}
+                    className="text-slate-500 hover:text-red-300"
+                    title="Delete edit"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Editor */}
+          <form onSubmit={handleSubmit} className="space-y-1.5">
+            <select value={areaId} onChange={e => setAreaId(e.target.value)} className={`w-full ${SELECT_CLASS}`}>
+              <option value="">Borough…</option>
+              {(areas ?? []).map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+            <div className="flex gap-1">
+              <select value={month} onChange={e => setMonth(e.target.value)} className={`flex-1 ${SELECT_CLASS}`}>
+                <option value={ALL_MONTHS}>All months</option>
+                {(months ?? []).map(m => <option key={m} value={m}>{fmtMonth(m)}</option>)}
+              </select>
+              <select value={field} onChange={e => setField(e.target.value)} className={`flex-1 ${SELECT_CLASS}`}>
+                {Object.entries(SCENARIO_FIELDS).map(([k, label]) => (
+                  <option key={k} value={k}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex gap-1">
+              <select value={op} onChange={e => setOp(e.target.value)} className={`w-12 ${SELECT_CLASS}`}>
+                {Object.entries(SCENARIO_OPS).map(([k, sym]) => (
+                  <option key={k} value={k}>{sym}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                step="any"
+                value={value}
+                onChange={e => setValue(e.target.value)}
+                placeholder={op === 'scale' ? '1.2' : op === 'set' ? '500' : '300'}
+                className={`flex-1 min-w-0 ${SELECT_CLASS} placeholder-slate-600`}
+              />
+              <button
+                type="submit"
+                disabled={!valid}
+                className="px-2 py-1 text-[11px] rounded bg-cyan-600/80 hover:bg-cyan-600 text-white font-medium transition-colors disabled:opacity-40 disabled:pointer-events-none"
+              >
+                + Add
+              </button>
+            </div>
+          </form>
+
+          {/* Scenario switches */}
+          {edits.length > 0 && (
+            <div className="space-y-1 pt-1 border-t border-slate-700/60">
+              <label className="flex items-center gap-1.5 text-[10px] text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={applied}
+                  onChange={e => setApplied(e.target.checked)}
+                  className="accent-cyan-500"
+                />
+                Apply scenario
+              </label>
+              <label className={`flex items-center gap-1.5 text-[10px] cursor-pointer ${
+                applied ? 'text-slate-300' : 'text-slate-600 pointer-events-none'
+              }`}>
+                <input
+                  type="checkbox"
+                  checked={compare}
+                  disabled={!applied}
+                  onChange={e => setCompare(e.target.checked)}
+                  className="accent-cyan-500"
+                />
+                Compare with baseline (left map)
+              </label>
+              {applied && alertSummary && (
+                <p className="text-[9px] text-slate-500">
+                  Alerts this month: baseline {alertSummary.baseline}
+                  {' → '}
+                  <span className="text-cyan-300">scenario {alertSummary.scenario}</span>
+                </p>
+              )}
+              <button
+                type="button"
+                onClick={onClear}
+                className="text-[9px] text-slate-500 hover:text-red-300"
+              >
+                Clear all edits
+              </button>
+            </div>
+          )}
+
+          <p className="text-[9px] text-slate-600 leading-snug">
+            Risk ratio, city mean and risk index are recomputed for every borough
+            in the edited months, the same way the data pipeline derives them.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,166 @@
+/**
+ * SmallMultiples
+ * ──────────────────────────────────────────────────────────────────────────
+ * "The whole year on one screen": one mini choropleth per month in
+ * meta.months for the chosen metric, drawn as SVG (utils/geoPath.js) from
+ * the same colour schemes as the main maps (utils/mapSchemes.js).
+ *
+ *   • One shared legend — Fixed classes, so a colour means the same value
+ *     in every panel
+ *   • Hovering a borough outlines it in every panel and shows its value
+ *     under each month
+ *   • Warning / watch alerts keep their palette colours; watch is dashed
+ *   • The slider's current month is ringed (and moves during playback)
+ *   • Clicking a panel opens that month (and the hovered borough) in the
+ *     main view
+ *
+ * Props
+ * ─────
+ *   areas           GeoJSON FeatureCollection (areas.geojson)
+ *   months          meta.months
+ *   rowsByMonth     rows[] per entry of `months`
+ *   metric          'risk_index' | 'risk_index_eb' | 'theft_count'
+ *   currentMonth    'YYYY-MM'           ringed panel
+ *   selectedAreaIds string[]            selection / group, outlined in every panel
+ *   palette         utils/palettes palette
+ *   onOpenMonth     (month, areaId | null) => void
+ */
+
+import { useState, useMemo } from 'react'
+import { classIndex } from '../utils/classify'
+import { METRIC_SCHEMES, buildClasses } from '../utils/mapSchemes'
+import { projectAreas } from '../utils/geoPath'
+
+// Panel drawing width in SVG units; panels scale to their grid cell
+const PANEL_WIDTH = 240
+
+function fmtMonth(ym) {
+  if (!ym) return '—'
+  const [y, m] = ym.split('-')
+  return new Date(+y, +m - 1, 1).toLocaleString('en-GB', { month: 'short', year: 'numeric' })
+}
+
+function fmtValue(v, integer) {
+  if (v == null || Number.isNaN(v)) return '—'
+  return integer ? String(Math.round(v)) : (+v).toFixed(2)
+}
+
+export default function SmallMultiples({
+  areas, months, rowsByMonth, metric, currentMonth, selectedAreaIds = [], palette, onOpenMonth,
+}) {
+  const [hoveredId, setHoveredId] = useState(null)
+
+  const shape  = useMemo(() => projectAreas(areas, PANEL_WIDTH), [areas])
+  const scheme = METRIC_SCHEMES[metric] ?? METRIC_SCHEMES.risk_index
+
+  // Fixed classes across every month → one legend for all panels
+  const classes = useMemo(
+    () => buildClasses(scheme, rowsByMonth.flat(), 'fixed', 0, palette),
+    [scheme, rowsByMonth, palette]
+  )
+
+  const panels = useMemo(() => months.map((month, i) => {
+    const byArea = Object.fromEntries((rowsByMonth[i] ?? []).map(r => [r.area_id, r]))
+    return { month, byArea }
+  }), [months, rowsByMonth])
+
+  const fillOf = row => {
+    const c = classIndex(row?.[scheme.field], classes.breaks)
+    return c == null ? (classes.missing ?? '#475569') : classes.colors[c]
+  }
+  const hoveredName = shape.paths.find(p => p.id === hoveredId)?.name
+
+  return (
+    <div className="h-full overflow-y-auto bg-slate-900 p-3">
+      {/* ── Header: shared legend + hovered borough ── */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mb-2 text-[10px]">
+        <span className="text-[13px] font-bold text-slate-200">{classes.legend.title}</span>
+        {classes.legend.subtitle && <span className="text-slate-500">{classes.legend.subtitle}</span>}
+        <div className="flex items-center gap-2">
+          {classes.legend.items.map(it => (
+            <span key={it.label} className="flex items-center gap-1 text-slate-300 whitespace-nowrap">
+              <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: it.color }} />
+              {it.label}
+            </span>
+          ))}
+        </div>
+        <span className="flex items-center gap-2 text-slate-400">
+          <span className="w-3" style={{ borderTop: `2px solid ${palette.alert.warning}` }} /> warning
+          <span className="w-3" style={{ borderTop: `2px dashed ${palette.alert.watch}` }} /> watch
+        </span>
+        <span className="ml-auto text-slate-400">
+          {hoveredName
+            ? <>Borough: <span className="text-slate-100 font-semibold">{hoveredName}</span></>
+            : 'Hover a borough to compare it across months · click a month to open it'}
+        </span>
+      </div>
+
+      {/* ── One panel per month ── */}
+      <div className="grid gap-2" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))' }}>
+        {panels.map(({ month, byArea }) => {
+          const current = month === currentMonth
+          const hovered = hoveredId ? byArea[hoveredId] : null
+          return (
+            <button
+              key={month}
+              type="button"
+              onClick={() => onOpenMonth(month, hoveredId)}
+              className={`text-left rounded-lg border bg-slate-800/60 p-1.5 transition-colors hover:border-slate-400 ${
+                current ? 'border-orange-400' : 'border-slate-700'
+              }`}
+              title={`Open ${fmtMonth(month)} in the main view`}
+            >
+              <div className="flex items-baseline justify-between px-0.5">
+                <span className={`text-[11px] font-semibold ${current ? 'text-orange-300' : 'text-slate-300'}`}>
+                  {fmtMonth(month)}
+                </span>
+                {hoveredId && (
+                  <span className="text-[10px] font-mono text-slate-200">
+                    {fmtValue(hovered?.[scheme.field], scheme.integer)}
+                  </span>
+                )}
+              </div>
+              <svg
+                viewBox={`0 0 ${shape.width} ${shape.height}`}
+                className="w-full h-auto block"
+                onMouseLeave={() => setHoveredId(null)}
+              >
+                {shape.paths.map(p => {
+                  const row   = byArea[p.id]
+                  const level = row?.alert_level
+                  return (
+                    <path
+                      key={p.id}
+                      d={p.d}
+                      fill={fillOf(row)}
+                      fillOpacity={hoveredId && hoveredId !== p.id ? 0.45 : 0.9}
+                      stroke={level === 'warning' ? palette.alert.warning
+                        : level === 'watch' ? palette.alert.watch
+                        : '#0f172a'}
+                      strokeWidth={level === 'warning' || level === 'watch' ? 1.6 : 0.5}
+                      strokeDasharray={level === 'watch' ? '3 2' : undefined}
+                      onMouseEnter={() => setHoveredId(p.id)}
+                    />
+                  )
+                })}
+                {/* Hovered + selected outlines drawn last so they sit on top */}
+                {shape.paths
+                  .filter(p => p.id === hoveredId || selectedAreaIds.includes(p.id))
+                  .map(p => (
+                    <path
+                      key={`outline-${p.id}`}
+                      d={p.d}
+                      fill="none"
+                      stroke={p.id === hoveredId ? '#ffffff' : palette.selected}
+                      strokeWidth={2}
+                      pointerEvents="none"
+                    />
+                  ))}
+              </svg>
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
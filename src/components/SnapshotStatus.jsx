@@ -0,0 +1,60 @@
+/**
+ * SnapshotStatus
+ * Header chips for the offline cache (see useDataLoader / datasetCache):
+ *   • "Offline · cached snapshot" when the network is unreachable
+ *   • "New data available · Refresh" when the server has a newer meta.json
+ *
+ * Props
+ * ─────
+ *   snapshot   { version, fromCache, updateAvailable, updating }
+ *   onUpdate   () => void
+ */
+
+import { useState, useEffect } from 'react'
+
+function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine)
+  useEffect(() => {
+    const up   = () => setOnline(true)
+    const down = () => setOnline(false)
+    window.addEventListener('online',  up)
+    window.addEventListener('offline', down)
+    return () => {
+      window.removeEventListener('online',  up)
+      window.removeEventListener('offline', down)
+    }
+  }, [])
+  return online
+}
+
+export default function SnapshotStatus({ snapshot, onUpdate }) {
+  const online = useOnline()
+  const offline = !online || snapshot?.fromCache
+
+  if (!offline && !snapshot?.updateAvailable) return null
+
+  return (
+    <div className="flex items-center gap-2">
+      {offline && (
+        <span
+          className="flex items-center gap-1.5 px-2 py-0.5 rounded border border-slate-600 bg-slate-800 text-[11px] text-slate-400"
+          title={snapshot?.version ? `Snapshot ${snapshot.version}` : undefined}
+        >
+          <span className="w-1.5 h-1.5 rounded-full bg-slate-500" />
+          Offline · cached snapshot
+        </span>
+      )}
+      {snapshot?.updateAvailable && online && (
+        <button
+          type="button"
+          onClick={onUpdate}
+          disabled={snapshot.updating}
+          className="flex items-center gap-1.5 px-2.5 py-0.5 rounded border border-emerald-500/50 bg-emerald-500/15 text-[11px] font-medium text-emerald-300 hover:bg-emerald-500/25 transition-colors disabled:opacity-60"
+          title={`New snapshot ${snapshot.updateAvailable}`}
+        >
+          {snapshot.updating ? 'Updating…' : '↻ New data available · Refresh'}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -4,14 +4,25 @@
  * Chart.js line chart showing risk_index over all available months for the
  * selected Borough, with:
  *   • City baseline dashed line at y = 1.0
- *   • Alert months highlighted with red dots
+ *   • Shaded 95 % interval band (risk_index_lo … risk_index_hi, from the
+ *     Poisson uncertainty in theft_count — see utils/riskMetrics)
+ *   • Alert months drawn as triangles (red in the default palette);
+ *     seasonal (year-over-year) alerts as diamonds (violet) — shape carries
+ *     the meaning, colour comes from the active palette (utils/palettes.js)
  *   • A vertical marker line at currentMonthIndex (blue dashed)
+ *   • Forecast months (rows flagged `forecast`, utils/forecast.js) as a
+ *     dashed continuation; the band there is the prediction interval
+ *   • For a borough group (`areaIds`, two or more) the members' pooled
+ *     series (utils/areaGroups.js) — one line, no per-member alert points
  *
  * Uses a custom inline Chart.js plugin for the vertical marker so no extra
  * dependency is required.
  */
 
 import { useMemo } from 'react'
+import { INTERVAL_CONFIDENCE } from '../utils/riskMetrics'
+import { ALERT_MARKS, DEFAULT_PALETTE, getPalette, withAlpha } from '../utils/palettes'
+import { groupSeries } from '../utils/areaGroups'
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -59,6 +70,10 @@ ChartJS.register(verticalLinePlugin)
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
+const CI_LABEL = `${Math.round(INTERVAL_CONFIDENCE * 100)}% interval`
+
+const DEFAULT_PALETTE_DEF = getPalette(DEFAULT_PALETTE)
+
 function fmtMonthShort(ym) {
   if (!ym) return ''
   const [y, m] = ym.split('-')
@@ -68,43 +83,82 @@ function fmtMonthShort(ym) {
 // ── Main component ────────────────────────────────────────────────────────────
 
 export default function TrendChart({
-  features,
+  store,
   selectedAreaId,
+  areaIds = [],          // borough group: pooled when two or more
+  groupName,
   meta,
+  months: timeline,      // observed + forecast months (defaults to meta.months)
   currentMonthIndex,
+  palette = DEFAULT_PALETTE_DEF,
 }) {
+  const months = timeline ?? meta?.months
+
   // ── Build per-month series for this area ──────────────────────────────────
   const series = useMemo(() => {
-    if (!features || !selectedAreaId || !meta?.months) return []
-    return meta.months.map(month => {
-      const row = features.find(f => f.area_id === selectedAreaId && f.month === month)
+    if (!store || !months) return []
+    if (areaIds.length > 1) {
+      const name = groupName ?? `${areaIds.length} boroughs (pooled)`
+      return groupSeries(store, areaIds, months).map((row, i) => ({
+        month:          months[i],
+        forecast:       row?.forecast ?? false,
+        risk_index:     row?.risk_index ?? null,
+        risk_index_lo:  row?.risk_index_lo ?? null,
+        risk_index_hi:  row?.risk_index_hi ?? null,
+        alert_spike:    false,
+        alert_trend3:   false,
+        alert_seasonal: false,
+        theft_count:    row?.theft_count ?? null,
+        area_name:      name,
+      }))
+    }
+    if (!selectedAreaId) return []
+    const rows = store.areaSeries(selectedAreaId, months)
+    return months.map((month, i) => {
+      const row = rows[i]
       return {
         month,
+        forecast:     row?.forecast ?? false,
         risk_index:   row?.risk_index ?? null,
+        risk_index_lo: row?.risk_index_lo ?? null,
+        risk_index_hi: row?.risk_index_hi ?? null,
         alert_spike:  row?.alert_spike  ?? false,
         alert_trend3: row?.alert_trend3 ?? false,
+        alert_seasonal: row?.alert_seasonal ?? false,
         theft_count:  row?.theft_count  ?? null,
         area_name:    row?.area_name    ?? '',
       }
     })
-  }, [features, selectedAreaId, meta])
+  }, [store, selectedAreaId, areaIds, groupName, months])
 
-  const areaName = series.find(s => s.area_name)?.area_name ?? selectedAreaId
+  const areaName     = series.find(s => s.area_name)?.area_name ?? selectedAreaId
+  const lastObsIndex = series.findLastIndex(s => !s.forecast)
 
   // ── Chart dataset ─────────────────────────────────────────────────────────
   const data = useMemo(() => {
-    const labels    = meta?.months.map(fmtMonthShort) ?? []
-    const riValues  = series.map(s => s.risk_index)
+    const labels    = months?.map(fmtMonthShort) ?? []
+    const riValues  = series.map(s => (s.forecast ? null : s.risk_index))
+
+    // Forecast continuation starts at the last observed point so the dashed
+    // line joins the solid one
+    const hasFc     = series.some(s => s.forecast)
+    const fcValues  = series.map((s, i) => (s.forecast || (hasFc && i === lastObsIndex) ? s.risk_index : null))
 
-    // Point styling: red/larger for alert months
+    // Point styling: larger triangle for alert months; diamond when the
+    // seasonal signal fired (takes precedence so it stays distinguishable)
+    const { warning, seasonal } = palette.alert
+    const isAlert = s => s.alert_spike || s.alert_trend3
     const pointColors = series.map(s =>
-      s.alert_spike || s.alert_trend3 ? '#ef4444' : '#f97316'
+      s.alert_seasonal ? seasonal : isAlert(s) ? warning : '#f97316'
     )
     const pointRadii = series.map(s =>
-      s.alert_spike || s.alert_trend3 ? 6 : 3
+      s.alert_seasonal ? 7 : isAlert(s) ? 6 : 3
     )
     const pointBorders = series.map(s =>
-      s.alert_spike || s.alert_trend3 ? '#fca5a5' : '#f97316'
+      s.alert_seasonal ? '#ffffff' : isAlert(s) ? withAlpha(warning, 0.55) : '#f97316'
+    )
+    const pointStyles = series.map(s =>
+      s.alert_seasonal ? 'rectRot' : isAlert(s) ? 'triangle' : 'circle'
     )
 
     return {
@@ -118,11 +172,26 @@ export default function TrendChart({
           pointBackgroundColor:  pointColors,
           pointBorderColor:      pointBorders,
           pointRadius:           pointRadii,
+          pointStyle:            pointStyles,
           pointHoverRadius:      7,
           tension:               0.35,
-          fill:                  true,
+          fill:                  false,
           spanGaps:              true,
         },
+        {
+          label: 'Forecast',
+          data: fcValues,
+          borderColor:           '#f97316',
+          borderDash:            [4, 4],
+          borderWidth:           2,
+          pointBackgroundColor:  '#0f172a',
+          pointBorderColor:      '#f97316',
+          pointRadius:           series.map(s => (s.forecast ? 3 : 0)),
+          pointHoverRadius:      6,
+          tension:               0.35,
+          fill:                  false,
+          spanGaps:              false,
+        },
         {
           label: 'City baseline',
           data: labels.map(() => 1.0),
@@ -134,9 +203,33 @@ export default function TrendChart({
           fill:            false,
           tension:         0,
         },
+        // Interval band: upper edge fills down to the lower edge (next dataset)
+        {
+          label: CI_LABEL,
+          data: series.map(s => s.risk_index_hi),
+          borderColor:     'rgba(249,115,22,0.25)',
+          backgroundColor: 'rgba(249,115,22,0.14)',
+          borderWidth:     1,
+          pointRadius:     0,
+          pointHoverRadius:0,
+          tension:         0.35,
+          fill:            '+1',
+          spanGaps:        true,
+        },
+        {
+          label: `${CI_LABEL} (lower)`,
+          data: series.map(s => s.risk_index_lo),
+          borderColor:     'rgba(249,115,22,0.25)',
+          borderWidth:     1,
+          pointRadius:     0,
+          pointHoverRadius:0,
+          tension:         0.35,
+          fill:            false,
+          spanGaps:        true,
+        },
       ],
     }
-  }, [series, areaName, meta])
+  }, [series, areaName, months, lastObsIndex, palette])
 
   // ── Chart options ─────────────────────────────────────────────────────────
   const options = useMemo(() => ({
@@ -180,6 +273,9 @@ export default function TrendChart({
           font:     { size: 9 },
           padding:  8,
           usePointStyle: true,
+          // One legend entry for the band; forecast entry only when present
+          filter: item => item.datasetIndex !== 4
+            && (item.datasetIndex !== 1 || series.some(s => s.forecast)),
         },
       },
       tooltip: {
@@ -189,23 +285,35 @@ export default function TrendChart({
         borderColor:     '#334155',
         borderWidth:     1,
         padding:         8,
+        // Band edges are reported on the main line instead; the forecast line
+        // only for forecast months (it shares the last observed point)
+        filter: item => item.datasetIndex < 3
+          && (item.datasetIndex !== 1 || series[item.dataIndex]?.forecast),
         callbacks: {
           label: ctx => {
-            if (ctx.datasetIndex === 0) {
+            if (ctx.datasetIndex <= 1) {
               const s = series[ctx.dataIndex]
               const alerts = [
-                s?.alert_spike  ? 'Spike'       : '',
-                s?.alert_trend3 ? '3mo rising'  : '',
+                s?.alert_spike    ? 'Spike'    : '',
+                s?.alert_trend3   ? 'Rising'   : '',
+                s?.alert_seasonal ? 'Seasonal' : '',
               ].filter(Boolean).join(', ')
               const val = ctx.raw?.toFixed(3) ?? '—'
-              return alerts ? `${val}  ⚠ ${alerts}` : val
+              const ci  = s?.risk_index_lo != null
+                ? `  (${s.risk_index_lo.toFixed(2)}–${s.risk_index_hi.toFixed(2)})`
+                : ''
+              if (s?.forecast) return `${val}${ci}  forecast +${ctx.dataIndex - lastObsIndex}`
+              return alerts ? `${val}${ci}  ⚠ ${alerts}` : `${val}${ci}`
             }
             return ctx.raw?.toFixed(1) ?? '—'
           },
           title: ctx => {
             const i   = ctx[0]?.dataIndex
             const s   = series[i]
-            return s ? `${s.month}  (thefts: ${s.theft_count ?? '—'})` : ''
+            if (!s) return ''
+            return s.forecast
+              ? `${s.month}  (projected thefts: ~${s.theft_count ?? '—'})`
+              : `${s.month}  (thefts: ${s.theft_count ?? '—'})`
           },
         },
       },
@@ -214,7 +322,7 @@ export default function TrendChart({
         xValue: currentMonthIndex,
       },
     },
-  }), [data.labels, currentMonthIndex, series])
+  }), [data.labels, currentMonthIndex, series, lastObsIndex])
 
   if (!series.length) return null
 
@@ -227,8 +335,22 @@ export default function TrendChart({
         <span className="inline-block w-2 h-0.5 bg-blue-400 opacity-70 mr-1 align-middle" />
         Blue line = currently selected month
         {'  '}
-        <span className="inline-block w-2 h-2 rounded-full bg-red-500 mr-1 align-middle" />
-        Red dot = alert
+        <span className="mr-1" style={{ color: palette.alert.warning }}>{ALERT_MARKS.warning}</span>
+        Triangle = alert
+        {series.some(s => s.alert_seasonal) && (
+          <>
+            {'  '}
+            <span className="mx-1" style={{ color: palette.alert.seasonal }}>{ALERT_MARKS.seasonal}</span>
+            Diamond = seasonal
+          </>
+        )}
+        {series.some(s => s.forecast) && (
+          <>
+            {'  '}
+            <span className="inline-block w-2.5 border-t border-dashed border-orange-400 mr-1 align-middle" />
+            Dashed = forecast
+          </>
+        )}
       </p>
       <div className="h-44">
         <Line data={data} options={options} />
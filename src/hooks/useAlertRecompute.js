@@ -0,0 +1,101 @@
+/**
+ * useAlertRecompute
+ * Runs recomputeAlerts (+ user alert rules) in a Web Worker
+ * (workers/alertsWorker.js) and returns the latest result plus a
+ * `recomputing` flag for the UI.
+ *
+ *   const { features, recomputing, error } = useAlertRecompute(rawFeatures, { ...alertParams, rules, ruleFields }, dataset)
+ *
+ * Cancellation: every request gets an increasing id; only the response to
+ * the most recent id is applied, so results for stale slider values are
+ * dropped even if they arrive late.  The worker additionally coalesces
+ * queued requests (see the worker header).
+ *
+ * When `features` changes within the same `dataset` (any value identifying
+ * the loaded dataset, e.g. its meta — scenario edits, smoothing re-derived)
+ * the previous result stays on screen, flagged `recomputing`, until the new
+ * one lands: the raw rows carry the pipeline's alert levels, not the user's
+ * detector settings.  Only before the first result for a dataset are the raw
+ * features returned.
+ *
+ * If the worker fails, the raw features are returned for the current rows
+ * (rather than leaving an older result on screen as if it were current) and
+ * `error` carries the worker's message for the UI.
+ * Falls back to a synchronous recompute where Workers are unavailable.
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { recomputeAlerts } from '../utils/recomputeAlerts'
+import { applyAlertRules } from '../utils/alertRules'
+
+const HAS_WORKER = typeof Worker !== 'undefined'
+
+export function useAlertRecompute(features, params, dataset = null) {
+  const workerRef = useRef(null)
+  const latestId  = useRef(0)
+
+  const [result,      setResult]      = useState(null)   // { source, dataset, features, error? }
+  const [recomputing, setRecomputing] = useState(false)
+
+  // ── Worker lifecycle ──────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!HAS_WORKER) return
+    const worker = new Worker(new URL('../workers/alertsWorker.js', import.meta.url), { type: 'module' })
+    workerRef.current = worker
+    return () => {
+      worker.terminate()
+      workerRef.current = null
+    }
+  }, [])
+
+  // ── Ship the panel once per dataset ───────────────────────────────────────
+  useEffect(() => {
+    workerRef.current?.postMessage({ type: 'setFeatures', features: features ?? [] })
+  }, [features])
+
+  // ── Request a recomputation whenever params change ────────────────────────
+  const paramsKey = JSON.stringify(params)
+
+  useEffect(() => {
+    if (!features?.length) { setRecomputing(false); return }
+    const worker = workerRef.current
+    const parsed = JSON.parse(paramsKey)
+
+    if (!worker) {
+      const { rules, ruleFields, ...detectorParams } = parsed
+      const next = applyAlertRules(recomputeAlerts(features, detectorParams), rules, ruleFields)
+      setResult({ source: features, dataset, features: next })
+      return
+    }
+
+    const id = ++latestId.current
+    setRecomputing(true)
+
+    const onMessage = ({ data }) => {
+      if (data.id !== latestId.current) return   // stale — a newer request is in flight
+      if (data.type === 'result') {
+        setResult({ source: features, dataset, features: data.features })
+      } else {
+        console.error('Alert worker failed:', data.message)
+        setResult({ source: features, dataset, features, error: data.message })
+      }
+      setRecomputing(false)
+    }
+    worker.addEventListener('message', onMessage)
+    worker.postMessage({ type: 'run', id, detector: 'alerts', params: parsed })
+
+    return () => worker.removeEventListener('message', onMessage)
+  }, [features, paramsKey, dataset])
+
+  // A result for older rows of the same dataset stands in until the new one
+  // lands; one from a previous dataset is ignored
+  const fresh   = result?.source === features
+  const stale   = !fresh && dataset != null && result?.dataset === dataset && !!features?.length
+  const current = fresh || stale ? result.features : features
+
+  return {
+    features:    current ?? [],
+    recomputing: recomputing || stale,
+    error:       fresh ? result.error ?? null : null,
+  }
+}
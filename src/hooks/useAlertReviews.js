@@ -0,0 +1,75 @@
+/**
+ * useAlertReviews
+ * Alert acknowledgement / dismissal log with owner and case notes
+ * (see utils/reviewLog.js), persisted in localStorage.
+ *
+ *   const { reviews, setReview, clearReview, exportLog, importLog } = useAlertReviews()
+ *
+ *   reviews                       { [reviewKey]: entry }
+ *   setReview(areaId, month, p)   merge `p` ({ status, owner, note }) into the entry
+ *   clearReview(areaId, month)    forget the entry
+ *   exportLog()                   download the log as JSON
+ *   importLog(file)               → Promise<{ imported, skipped }>; merges,
+ *                                   newest entry per alert wins
+ */
+
+import { useCallback } from 'react'
+import { usePersistentState } from './usePersistentState'
+import { reviewKey, serializeReviewLog, parseReviewLog, mergeReviewLogs } from '../utils/reviewLog'
+
+const STORAGE_KEY = 'bike-theft-explorer:alert-reviews'
+
+function loadReviews(raw) {
+  return parseReviewLog(raw ?? '[]').log
+}
+
+// Stored as an array of entries, the same shape as an exported log
+function saveReviews(reviews) {
+  return JSON.stringify(Object.values(reviews))
+}
+
+export function useAlertReviews() {
+  const [reviews, setReviews] = usePersistentState(STORAGE_KEY, loadReviews, saveReviews)
+
+  const setReview = useCallback((areaId, month, patch) => {
+    const key = reviewKey(areaId, month)
+    setReviews(rs => ({
+      ...rs,
+      [key]: {
+        status: 'open', owner: '', note: '',
+        ...rs[key],
+        ...patch,
+        area_id:    areaId,
+        month,
+        updated_at: new Date().toISOString(),
+      },
+    }))
+  }, [setReviews])
+
+  const clearReview = useCallback((areaId, month) => {
+    const key = reviewKey(areaId, month)
+    setReviews(rs => {
+      const next = { ...rs }
+      delete next[key]
+      return next
+    })
+  }, [setReviews])
+
+  const exportLog = useCallback(() => {
+    const blob = new Blob([serializeReviewLog(reviews)], { type: 'application/json' })
+    const url  = URL.createObjectURL(blob)
+    const a    = document.createElement('a')
+    a.href     = url
+    a.download = `alert-reviews-${new Date().toISOString().slice(0, 10)}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }, [reviews])
+
+  const importLog = useCallback(async file => {
+    const { log, skipped } = parseReviewLog(await file.text())
+    setReviews(rs => mergeReviewLogs(rs, log))
+    return { imported: Object.keys(log).length, skipped }
+  }, [setReviews])
+
+  return { reviews, setReview, clearReview, exportLog, importLog }
+}
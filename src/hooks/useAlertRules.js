@@ -0,0 +1,43 @@
+/**
+ * useAlertRules
+ * User-defined alert rules (see utils/alertRules.js), persisted in
+ * localStorage so they survive reloads and dataset swaps.
+ *
+ *   const { rules, addRule, updateRule, removeRule } = useAlertRules()
+ *
+ * Each rule: { id, name, expr, severity: 'watch' | 'warning', enabled }.
+ * Rules are stored as written; validation against meta.fields happens in
+ * the editor and again at evaluation time.
+ */
+
+import { useCallback } from 'react'
+import { usePersistentState } from './usePersistentState'
+
+const STORAGE_KEY = 'bike-theft-explorer:alert-rules'
+
+function loadRules(raw) {
+  const parsed = JSON.parse(raw ?? '[]')
+  return Array.isArray(parsed) ? parsed.filter(r => r && typeof r.expr === 'string') : []
+}
+
+function newRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+export function useAlertRules() {
+  const [rules, setRules] = usePersistentState(STORAGE_KEY, loadRules)
+
+  const addRule = useCallback(rule => {
+    setRules(rs => [...rs, { enabled: true, severity: 'watch', ...rule, id: newRuleId() }])
+  }, [setRules])
+
+  const updateRule = useCallback((id, patch) => {
+    setRules(rs => rs.map(r => (r.id === id ? { ...r, ...patch } : r)))
+  }, [setRules])
+
+  const removeRule = useCallback(id => {
+    setRules(rs => rs.filter(r => r.id !== id))
+  }, [setRules])
+
+  return { rules, addRule, updateRule, removeRule }
+}
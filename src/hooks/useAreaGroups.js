@@ -0,0 +1,47 @@
+/**
+ * useAreaGroups
+ * Saved borough groups (e.g. a BCU: "Central South BCU"), persisted in
+ * localStorage so they survive reloads and dataset swaps.
+ *
+ *   const { groups, saveGroup, removeGroup } = useAreaGroups()
+ *
+ * Each group: { id, name, area_ids }.  Saving under an existing name
+ * (case-insensitive) replaces that group's members.  Ids missing from the
+ * loaded dataset are kept, and skipped when the group is pooled.
+ */
+
+import { useCallback } from 'react'
+import { usePersistentState } from './usePersistentState'
+
+const STORAGE_KEY = 'bike-theft-explorer:area-groups'
+
+function loadGroups(raw) {
+  const parsed = JSON.parse(raw ?? '[]')
+  return Array.isArray(parsed)
+    ? parsed.filter(g => g && typeof g.name === 'string' && Array.isArray(g.area_ids))
+    : []
+}
+
+function newGroupId() {
+  return `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+export function useAreaGroups() {
+  const [groups, setGroups] = usePersistentState(STORAGE_KEY, loadGroups)
+
+  const saveGroup = useCallback((name, areaIds) => {
+    const trimmed = name.trim()
+    if (!trimmed || !areaIds?.length) return
+    setGroups(gs => {
+      const existing = gs.find(g => g.name.toLowerCase() === trimmed.toLowerCase())
+      if (existing) return gs.map(g => (g === existing ? { ...g, name: trimmed, area_ids: [...areaIds] } : g))
+      return [...gs, { id: newGroupId(), name: trimmed, area_ids: [...areaIds] }]
+    })
+  }, [setGroups])
+
+  const removeGroup = useCallback(id => {
+    setGroups(gs => gs.filter(g => g.id !== id))
+  }, [setGroups])
+
+  return { groups, saveGroup, removeGroup }
+}
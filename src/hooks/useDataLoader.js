@@ -20,49 +20,195 @@
  *   purposes; replace with a fresh pipeline run once real data is available.
  *
  * All three files are fetched in parallel and cached for the app lifetime.
- * Returns { areas, features, meta, loading, error }.
+ *
+ * Offline cache: the last good snapshot is persisted in IndexedDB
+ * (datasetCache.js) keyed by meta.generated_at.  On start-up the cached copy
+ * renders immediately, then only meta.json is fetched to compare versions:
+ *   same version   → nothing to do
+ *   newer version  → `snapshot.updateAvailable`; applyUpdate() fetches the
+ *                    rest, swaps it in and re-caches
+ *   network down   → keep running from cache (`snapshot.fromCache`)
+ * Without a cached copy the three files are fetched and then cached.
+ *
+ * Before anything is exposed the bundle is run through validateDataset:
+ * fatal problems become `error` (ErrorScreen), the rest are returned as
+ * `issues.warnings` so the app can render and surface them.
+ *
+ * A user-supplied dataset (drag-and-drop / file picker, see localDataset.js)
+ * can replace the bundled snapshot at runtime via loadLocalFiles(files).  It
+ * is validated the same way; if it has fatal problems it is rejected and the
+ * current dataset stays active, with the report exposed as `importStatus`.
+ * resetToBundled() switches back without refetching.
+ *
+ * Returns {
+ *   areas, features, meta, issues, loading, error,
+ *   source,          { type: 'bundled' } | { type: 'local', name }
+ *   importStatus,    { busy, error, issues }
+ *   loadLocalFiles,  (FileList | File[]) => Promise<void>
+ *   resetToBundled,  () => void
+ *   snapshot,        { version, fromCache, updateAvailable, updating }
+ *   applyUpdate,     () => Promise<void>
+ * }
  */
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
+import { validateDataset } from '../utils/validateDataset'
+import { readLocalDataset } from '../utils/localDataset'
+import { getCachedDataset, putCachedDataset, snapshotVersion } from '../utils/datasetCache'
 
 const BASE = import.meta.env.BASE_URL   // '/' in dev, '/repo-name/' in prod
 
+const NO_ISSUES   = { errors: [], warnings: [] }
+const IDLE_IMPORT = { busy: false, error: null, issues: null }
+const NO_SNAPSHOT = { version: null, fromCache: false, updateAvailable: null, updating: false }
+
 async function fetchJson(path) {
-  const res = await fetch(BASE + path)
+  // no-cache → always revalidate so a newly deployed snapshot is noticed
+  const res = await fetch(BASE + path, { cache: 'no-cache' })
   if (!res.ok) throw new Error(`Failed to load ${path} (HTTP ${res.status})`)
   return res.json()
 }
 
+async function fetchRest(metaData) {
+  const [areasData, featuresData] = await Promise.all([
+    fetchJson('data/areas.geojson'),
+    fetchJson('data/features.json'),
+  ])
+  return { areas: areasData, features: featuresData, meta: metaData }
+}
+
+function describeFailure(report) {
+  const n = report.errors.length
+  return `Dataset failed validation (${n} problem${n > 1 ? 's' : ''})`
+}
+
 export function useDataLoader() {
-  const [areas,    setAreas]    = useState(null)
-  const [features, setFeatures] = useState(null)
-  const [meta,     setMeta]     = useState(null)
-  const [loading,  setLoading]  = useState(true)
-  const [error,    setError]    = useState(null)
+  const [bundled,      setBundled]      = useState(null)   // { areas, features, meta, issues }
+  const [local,        setLocal]        = useState(null)   // same + name
+  const [issues,       setIssues]       = useState(NO_ISSUES)
+  const [loading,      setLoading]      = useState(true)
+  const [error,        setError]        = useState(null)
+  const [importStatus, setImportStatus] = useState(IDLE_IMPORT)
+
+  const [snapshot,     setSnapshot]     = useState(NO_SNAPSHOT)
 
   useEffect(() => {
     let cancelled = false
 
-    Promise.all([
-      fetchJson('data/areas.geojson'),
-      fetchJson('data/features.json'),
-      fetchJson('data/meta.json'),
-    ])
-      .then(([areasData, featuresData, metaData]) => {
-        if (cancelled) return
-        setAreas(areasData)
-        setFeatures(featuresData)
-        setMeta(metaData)
+    async function load() {
+      // 1. Cached snapshot first — renders instantly / offline
+      const cached = await getCachedDataset()
+      if (cancelled) return
+      const cachedReport = cached ? validateDataset(cached) : null
+      const cachedOk     = cachedReport && !cachedReport.errors.length
+      if (cachedOk) {
+        const { areas, features, meta } = cached
+        setIssues(cachedReport)
+        setBundled({ areas, features, meta, issues: cachedReport })
+        setSnapshot({ ...NO_SNAPSHOT, version: cached.version })
         setLoading(false)
-      })
-      .catch(err => {
-        if (cancelled) return
-        setError(err.message)
+      }
+
+      // 2. Network: compare versions via meta.json only
+      let metaData
+      try {
+        metaData = await fetchJson('data/meta.json')
+      } catch (err) {
+        if (cachedOk) {               // offline — keep running from cache
+          if (!cancelled) setSnapshot(s => ({ ...s, fromCache: true }))
+          return
+        }
+        throw err
+      }
+      if (cancelled) return
+
+      const version = snapshotVersion(metaData)
+      if (cachedOk) {
+        if (version !== cached.version) setSnapshot(s => ({ ...s, updateAvailable: version }))
+        return
+      }
+
+      // 3. First visit (or unusable cache): fetch everything, then cache
+      const dataset = await fetchRest(metaData)
+      if (cancelled) return
+      const report = validateDataset(dataset)
+      setIssues(report)
+      if (report.errors.length) {
+        setError(describeFailure(report))
         setLoading(false)
-      })
+        return
+      }
+      setBundled({ ...dataset, issues: report })
+      setSnapshot({ ...NO_SNAPSHOT, version })
+      setLoading(false)
+      putCachedDataset(dataset)
+    }
+
+    load().catch(err => {
+      if (cancelled) return
+      setError(err.message)
+      setLoading(false)
+    })
 
     return () => { cancelled = true }
   }, [])
 
-  return { areas, features, meta, loading, error }
+  // ── Newer snapshot on the server → swap it in on request ──────────────────
+  const applyUpdate = useCallback(async () => {
+    setSnapshot(s => ({ ...s, updating: true }))
+    try {
+      const metaData = await fetchJson('data/meta.json')
+      const dataset  = await fetchRest(metaData)
+      const report   = validateDataset(dataset)
+      if (report.errors.length) throw new Error(describeFailure(report))
+      setBundled({ ...dataset, issues: report })
+      setSnapshot({ ...NO_SNAPSHOT, version: snapshotVersion(metaData) })
+      putCachedDataset(dataset)
+    } catch (err) {
+      console.error('Snapshot update failed:', err)
+      setSnapshot(s => ({ ...s, updating: false }))
+    }
+  }, [])
+
+  // ── Local dataset import ──────────────────────────────────────────────────
+  const loadLocalFiles = useCallback(async (files) => {
+    setImportStatus({ busy: true, error: null, issues: null })
+    try {
+      const dataset = await readLocalDataset(files, {
+        fallbackAreas: bundled?.areas,
+        fallbackMeta:  bundled?.meta,
+      })
+      const report = validateDataset(dataset)
+      if (report.errors.length) {
+        setImportStatus({ busy: false, error: describeFailure(report), issues: report })
+        return
+      }
+      setLocal({ ...dataset, issues: report })
+      setImportStatus(IDLE_IMPORT)
+    } catch (err) {
+      setImportStatus({ busy: false, error: err.message, issues: null })
+    }
+  }, [bundled])
+
+  const resetToBundled = useCallback(() => {
+    setLocal(null)
+    setImportStatus(IDLE_IMPORT)
+  }, [])
+
+  const active = local ?? bundled
+
+  return {
+    areas:    active?.areas    ?? null,
+    features: active?.features ?? null,
+    meta:     active?.meta     ?? null,
+    issues:   active?.issues   ?? issues,
+    source:   local ? { type: 'local', name: local.name } : { type: 'bundled' },
+    importStatus,
+    loadLocalFiles,
+    resetToBundled,
+    snapshot,
+    applyUpdate,
+    loading,
+    error,
+  }
 }
@@ -0,0 +1,27 @@
+/**
+ * usePalette
+ * Selected colour palette (utils/palettes.js), persisted in localStorage.
+ *
+ *   const { paletteId, setPaletteId, palette } = usePalette()
+ */
+
+import { useMemo } from 'react'
+import { usePersistentState } from './usePersistentState'
+import { DEFAULT_PALETTE, PALETTES, getPalette } from '../utils/palettes'
+
+const STORAGE_KEY = 'bike-theft-explorer:palette'
+
+function loadPaletteId(raw) {
+  return raw && PALETTES[raw] ? raw : DEFAULT_PALETTE
+}
+
+// Stored as the bare id, not JSON
+const saveId = id => id
+
+export function usePalette() {
+  const [paletteId, setPaletteId] = usePersistentState(STORAGE_KEY, loadPaletteId, saveId)
+
+  const palette = useMemo(() => getPalette(paletteId), [paletteId])
+
+  return { paletteId, setPaletteId, palette }
+}
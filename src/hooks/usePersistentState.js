@@ -0,0 +1,46 @@
+/**
+ * usePersistentState
+ * useState backed by one localStorage key — the shared plumbing behind the
+ * saved palette, alert rules, review log, scenario and borough groups.
+ *
+ *   const [value, setValue] = usePersistentState(key, load, serialize)
+ *
+ *   load(raw)          stored string (null when absent) → initial value; may
+ *                      throw on malformed data, load(null) is then used
+ *   serialize(value)   → string to store (default JSON.stringify)
+ *
+ * Pass module-level `load` / `serialize` so the write effect stays stable.
+ *
+ * Storage that is full, disabled (private browsing, blocked cookies) or
+ * unreadable never breaks the app: the state simply lasts for this session.
+ */
+
+import { useState, useEffect } from 'react'
+
+function readStored(key, load) {
+  let raw = null
+  try {
+    raw = localStorage.getItem(key)
+  } catch {
+    // unreadable storage → start from the default
+  }
+  try {
+    return load(raw)
+  } catch {
+    return load(null)
+  }
+}
+
+export function usePersistentState(key, load, serialize = JSON.stringify) {
+  const [value, setValue] = useState(() => readStored(key, load))
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, serialize(value))
+    } catch {
+      // full or disabled → kept in memory for this session only
+    }
+  }, [key, value, serialize])
+
+  return [value, setValue]
+}
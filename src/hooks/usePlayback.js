@@ -0,0 +1,89 @@
+/**
+ * usePlayback
+ * Animated month playback for the metricCompare time slider: steps the
+ * month index through [from, to] at the chosen speed, optionally looping.
+ *
+ *   const playback = usePlayback({ length, index, setIndex, enabled })
+ *   playback.playing / toggle() / pause() / step(±1)
+ *   playback.active                         from the first Play until pause()
+ *   playback.speed   / setSpeed(id)          (PLAYBACK_SPEEDS)
+ *   playback.loop    / setLoop(bool)
+ *   playback.range   / setRange([from, to])  inclusive indices; null = all
+ *
+ * Playback pauses itself at the end of the range unless looping.  When
+ * `enabled` goes false (month comparison) it pauses, and stays paused after
+ * switching back until Play is pressed again.
+ *
+ * `active` outlives `playing`: it stays true while paused from the ⏸ button,
+ * stepping or stopped at the range end, and ends only with pause() (the
+ * slider taken by hand) or disabling — so views tied to the playback range
+ * don't jump on every play / pause.  The range is
+ * clamped to the timeline, so shrinking the forecast horizon is safe.
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+
+// Frame interval per speed setting (ms per month)
+export const PLAYBACK_SPEEDS = {
+  slow:   { label: '0.5×', ms: 1600 },
+  normal: { label: '1×',   ms: 800 },
+  fast:   { label: '2×',   ms: 400 },
+}
+
+export function usePlayback({ length, index, setIndex, enabled = true }) {
+  const [running,  setRunning]  = useState(false)
+  const [session,  setSession]  = useState(false)
+  const [speed,    setSpeed]    = useState('normal')
+  const [loop,     setLoop]     = useState(true)
+  const [rawRange, setRange]    = useState(null)
+
+  // Clamp the stored range to the current timeline
+  const last    = Math.max(0, length - 1)
+  const from    = Math.min(rawRange?.[0] ?? 0, last)
+  const to      = Math.max(from, Math.min(rawRange?.[1] ?? last, last))
+  const range   = [from, to]
+  const playing = running && enabled
+  const active  = session && enabled
+
+  // Disabling pauses for good (state adjusted during render, not in an effect)
+  if (!enabled && running) setRunning(false)
+  if (!enabled && session) setSession(false)
+
+  // Advance one frame per tick.  A timeout per frame (rather than an
+  // interval) means a slow render delays the next month instead of queueing.
+  useEffect(() => {
+    if (!playing) return
+    const timer = setTimeout(() => {
+      if (index < from || index >= to) {
+        if (index >= to && !loop) { setRunning(false); return }
+        setIndex(from)
+      } else {
+        setIndex(index + 1)
+      }
+    }, PLAYBACK_SPEEDS[speed].ms)
+    return () => clearTimeout(timer)
+  }, [playing, index, from, to, loop, speed, setIndex])
+
+  const toggle = useCallback(() => {
+    // Starting at the end of a non-looping range rewinds first
+    if (!playing && !loop && index >= to) setIndex(from)
+    if (!playing) setSession(true)
+    setRunning(!playing)
+  }, [playing, loop, index, from, to, setIndex])
+
+  const pause = useCallback(() => {
+    setRunning(false)
+    setSession(false)
+  }, [])
+
+  // Manual step: stays inside the range, wrapping when looping
+  const step = useCallback(delta => {
+    setRunning(false)
+    let next = index + delta
+    if (next > to)   next = loop ? from : to
+    if (next < from) next = loop ? to : from
+    setIndex(next)
+  }, [index, from, to, loop, setIndex])
+
+  return { playing, active, toggle, pause, step, speed, setSpeed, loop, setLoop, range, setRange }
+}
@@ -0,0 +1,44 @@
+/**
+ * useScenario
+ * What-if exposure / count edits (see utils/scenario.js), persisted in
+ * localStorage so a scenario survives reloads.
+ *
+ *   const { edits, addEdit, updateEdit, removeEdit, clearEdits } = useScenario()
+ *
+ * Each edit: { id, area_id, month, field, op, value, enabled }.  Edits for
+ * boroughs missing from the loaded dataset are kept but match nothing.
+ */
+
+import { useCallback } from 'react'
+import { usePersistentState } from './usePersistentState'
+
+const STORAGE_KEY = 'bike-theft-explorer:scenario'
+
+function loadEdits(raw) {
+  const parsed = JSON.parse(raw ?? '[]')
+  return Array.isArray(parsed) ? parsed.filter(e => e && typeof e.area_id === 'string') : []
+}
+
+function newEditId() {
+  return `edit-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+export function useScenario() {
+  const [edits, setEdits] = usePersistentState(STORAGE_KEY, loadEdits)
+
+  const addEdit = useCallback(edit => {
+    setEdits(es => [...es, { enabled: true, ...edit, id: newEditId() }])
+  }, [setEdits])
+
+  const updateEdit = useCallback((id, patch) => {
+    setEdits(es => es.map(e => (e.id === id ? { ...e, ...patch } : e)))
+  }, [setEdits])
+
+  const removeEdit = useCallback(id => {
+    setEdits(es => es.filter(e => e.id !== id))
+  }, [setEdits])
+
+  const clearEdits = useCallback(() => setEdits([]), [setEdits])
+
+  return { edits, addEdit, updateEdit, removeEdit, clearEdits }
+}
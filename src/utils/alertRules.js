@@ -0,0 +1,315 @@
+/**
+ * alertRules
+ * User-defined alert rules: a small expression language over the feature
+ * fields listed in meta.fields, evaluated per borough-month alongside the
+ * built-in detectors in recomputeAlerts.
+ *
+ *   risk_index > 1.5 AND theft_count >= 20
+ *   delta_risk_index > 0.8
+ *   NOT stability_flag AND (alert_spike OR risk_index >= 2)
+ *
+ * Language
+ * ────────
+ *   fields       any key of meta.fields; booleans can be used bare
+ *   delta_<f>    <f> this month − <f> the previous calendar month (same
+ *                borough); null when that month has no row
+ *   literals     numbers, 'strings' / "strings", true, false
+ *   arithmetic   + − * /        comparison  > >= < <= == != (also = ≥ ≤ ≠)
+ *   logic        AND OR NOT     (also && || !), parentheses
+ *
+ * Missing values propagate: arithmetic with null is null and a comparison
+ * involving null is false, so a rule never fires on incomplete data.
+ *
+ * Rules are plain serialisable objects so they can be posted to the alerts
+ * worker:  { id, name, expr, severity: 'watch' | 'warning', enabled }
+ *
+ *   compileRule(expr, fields)        → { ok, ast, fields, error }
+ *   applyAlertRules(features, rules, fields)
+ *                                    → rows with `rule_hits` and alert_level
+ *                                      raised to the highest hit severity
+ */
+
+export const RULE_SEVERITIES = ['watch', 'warning']
+
+const LEVEL_RANK = { none: 0, watch: 1, warning: 2 }
+
+const DELTA_PREFIX = 'delta_'
+
+// ── Tokeniser ────────────────────────────────────────────────────────────────
+
+const OPERATORS = [
+  '>=', '<=', '==', '!=', '&&', '||',
+  '≥', '≤', '≠', '>', '<', '=', '!', '+', '-', '*', '/', '(', ')',
+]
+
+const OP_ALIASES = { '≥': '>=', '≤': '<=', '≠': '!=', '=': '==', '&&': 'and', '||': 'or', '!': 'not' }
+
+function tokenize(src) {
+  const tokens = []
+  let i = 0
+  while (i < src.length) {
+    const ch = src[i]
+    if (/\s/.test(ch)) { i++; continue }
+
+    if (/[0-9.]/.test(ch)) {
+      const m = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(src.slice(i))
+      if (!m) throw new Error(`Invalid number at position ${i + 1}`)
+      tokens.push({ type: 'num', value: +m[0], pos: i })
+      i += m[0].length
+      continue
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = src.indexOf(ch, i + 1)
+      if (end < 0) throw new Error(`Unterminated string at position ${i + 1}`)
+      tokens.push({ type: 'str', value: src.slice(i + 1, end), pos: i })
+      i = end + 1
+      continue
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const word  = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i))[0]
+      const lower = word.toLowerCase()
+      if (lower === 'and' || lower === 'or' || lower === 'not') {
+        tokens.push({ type: 'op', value: lower, pos: i })
+      } else if (lower === 'true' || lower === 'false') {
+        tokens.push({ type: 'bool', value: lower === 'true', pos: i })
+      } else {
+        tokens.push({ type: 'ident', value: word, pos: i })
+      }
+      i += word.length
+      continue
+    }
+
+    const op = OPERATORS.find(o => src.startsWith(o, i))
+    if (!op) throw new Error(`Unexpected "${ch}" at position ${i + 1}`)
+    tokens.push({ type: 'op', value: OP_ALIASES[op] ?? op, pos: i })
+    i += op.length
+  }
+  return tokens
+}
+
+// ── Parser (recursive descent) ───────────────────────────────────────────────
+//   or      := and ('or' and)*
+//   and     := not ('and' not)*
+//   not     := 'not' not | compare
+//   compare := sum (cmpOp sum)?
+//   sum     := product (('+' | '-') product)*
+//   product := unary (('*' | '/') unary)*
+//   unary   := '-' unary | primary
+//   primary := num | str | bool | ident | '(' or ')'
+
+const COMPARISONS = new Set(['>', '>=', '<', '<=', '==', '!='])
+
+function parse(tokens, resolveField) {
+  let pos = 0
+  const peek = () => tokens[pos]
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value)
+
+  const fail = msg => {
+    const at = peek() ? ` at position ${peek().pos + 1}` : ' at end of expression'
+    throw new Error(msg + at)
+  }
+
+  function binaryChain(next, ops) {
+    let node = next()
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value
+      node = { type: 'bin', op, left: node, right: next() }
+    }
+    return node
+  }
+
+  const orExpr  = () => binaryChain(andExpr, ['or'])
+  const andExpr = () => binaryChain(notExpr, ['and'])
+
+  function notExpr() {
+    if (isOp('not')) { pos++; return { type: 'not', arg: notExpr() } }
+    return compare()
+  }
+
+  function compare() {
+    const left = sum()
+    if (peek()?.type === 'op' && COMPARISONS.has(peek().value)) {
+      const op = tokens[pos++].value
+      return { type: 'bin', op, left, right: sum() }
+    }
+    return left
+  }
+
+  const sum     = () => binaryChain(product, ['+', '-'])
+  const product = () => binaryChain(unary, ['*', '/'])
+
+  function unary() {
+    if (isOp('-')) { pos++; return { type: 'neg', arg: unary() } }
+    return primary()
+  }
+
+  function primary() {
+    const tok = peek()
+    if (!tok) fail('Expected a value')
+    if (tok.type === 'num' || tok.type === 'str' || tok.type === 'bool') {
+      pos++
+      return { type: 'lit', value: tok.value }
+    }
+    if (tok.type === 'ident') {
+      pos++
+      return resolveField(tok)
+    }
+    if (isOp('(')) {
+      pos++
+      const node = orExpr()
+      if (!isOp(')')) fail('Expected ")"')
+      pos++
+      return node
+    }
+    fail(`Unexpected "${tok.value}"`)
+  }
+
+  if (!tokens.length) throw new Error('Expression is empty')
+  const ast = orExpr()
+  if (pos < tokens.length) fail(`Unexpected "${peek().value}"`)
+  return ast
+}
+
+/**
+ * Parse `expr` and check every identifier against `fields` (meta.fields keys).
+ * Never throws; `error` holds a user-facing message when `ok` is false.
+ */
+export function compileRule(expr, fields) {
+  const known = new Set(fields ?? [])
+  const used  = new Set()
+
+  const resolveField = tok => {
+    const name = tok.value
+    if (known.has(name)) {
+      used.add(name)
+      return { type: 'field', name, delta: false }
+    }
+    const base = name.startsWith(DELTA_PREFIX) ? name.slice(DELTA_PREFIX.length) : null
+    if (base && known.has(base)) {
+      used.add(base)
+      return { type: 'field', name: base, delta: true }
+    }
+    throw new Error(`Unknown field "${name}" at position ${tok.pos + 1}`)
+  }
+
+  try {
+    const ast = parse(tokenize(String(expr ?? '')), resolveField)
+    return { ok: true, ast, fields: [...used], error: null }
+  } catch (err) {
+    return { ok: false, ast: null, fields: [], error: err.message }
+  }
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+/** '2025-01' → '2024-12' */
+function previousMonth(ym) {
+  const [y, m] = String(ym).split('-').map(Number)
+  return m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`
+}
+
+const toNum = v => (typeof v === 'boolean' ? +v : v)
+
+function evaluate(node, row, prev) {
+  switch (node.type) {
+    case 'lit':
+      return node.value
+    case 'field': {
+      const v = row[node.name] ?? null
+      if (!node.delta) return v
+      const p = prev?.[node.name] ?? null
+      return typeof v === 'number' && typeof p === 'number' ? v - p : null
+    }
+    case 'neg': {
+      const v = evaluate(node.arg, row, prev)
+      return typeof v === 'number' ? -v : null
+    }
+    case 'not': {
+      const v = evaluate(node.arg, row, prev)
+      return v == null ? null : !v
+    }
+    case 'bin': {
+      const { op } = node
+      if (op === 'and') return !!evaluate(node.left, row, prev) && !!evaluate(node.right, row, prev)
+      if (op === 'or')  return !!evaluate(node.left, row, prev) || !!evaluate(node.right, row, prev)
+
+      const a = evaluate(node.left, row, prev)
+      const b = evaluate(node.right, row, prev)
+      if (a == null || b == null) return COMPARISONS.has(op) ? false : null
+
+      if (op === '==') return a === b || toNum(a) === toNum(b)
+      if (op === '!=') return !(a === b || toNum(a) === toNum(b))
+
+      const x = toNum(a)
+      const y = toNum(b)
+      if (typeof x !== 'number' || typeof y !== 'number') {
+        if (COMPARISONS.has(op) && typeof x === 'string' && typeof y === 'string') {
+          return op === '>' ? x > y : op === '>=' ? x >= y : op === '<' ? x < y : x <= y
+        }
+        return COMPARISONS.has(op) ? false : null
+      }
+      switch (op) {
+        case '>':  return x > y
+        case '>=': return x >= y
+        case '<':  return x < y
+        case '<=': return x <= y
+        case '+':  return x + y
+        case '-':  return x - y
+        case '*':  return x * y
+        case '/':  return y === 0 ? null : x / y
+        default:   return null
+      }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Evaluate enabled rules on every row.  Fields are checked against `fields`
+ * (meta.fields keys, as in RuleBuilder; the first row's keys when omitted),
+ * so rules saved for another dataset simply stay silent.
+ * Adds `rule_hits: [{ id, name, severity }]` and raises alert_level to the
+ * highest severity among the hits.
+ */
+export function applyAlertRules(features, rules, fields) {
+  const active = (rules ?? []).filter(r => r?.enabled !== false && r?.expr)
+  if (!features?.length || !active.length) return features ?? []
+
+  const known    = fields ?? Object.keys(features[0])
+  const compiled = active
+    .map(r => ({ rule: r, ...compileRule(r.expr, known) }))
+    .filter(c => c.ok)
+  if (!compiled.length) return features
+
+  // Previous calendar month per borough for delta_<field> — none across a gap
+  const byArea = new Map()
+  for (const f of features) {
+    if (!byArea.has(f.area_id)) byArea.set(f.area_id, [])
+    byArea.get(f.area_id).push(f)
+  }
+  const prevOf = new Map()
+  for (const [, rows] of byArea) {
+    const sorted = [...rows].sort((a, b) => a.month.localeCompare(b.month))
+    sorted.forEach((r, i) => {
+      const prev = sorted[i - 1]
+      prevOf.set(r, prev && prev.month === previousMonth(r.month) ? prev : null)
+    })
+  }
+
+  return features.map(row => {
+    const prev = prevOf.get(row)
+    const hits = compiled
+      .filter(c => evaluate(c.ast, row, prev) === true)
+      .map(({ rule }) => ({ id: rule.id, name: rule.name || rule.expr, severity: rule.severity }))
+    if (!hits.length) return { ...row, rule_hits: [] }
+
+    let level = row.alert_level ?? 'none'
+    for (const h of hits) {
+      if ((LEVEL_RANK[h.severity] ?? 0) > (LEVEL_RANK[level] ?? 0)) level = h.severity
+    }
+    return { ...row, rule_hits: hits, alert_level: level }
+  })
+}
@@ -0,0 +1,68 @@
+/**
+ * areaGroups
+ * Pooled statistics for a group of boroughs — a BCU or any multi-selection —
+ * treated as one area: counts and exposure are summed, so the group's risk
+ * index is exposure-weighted rather than a mean of member indices.
+ *
+ *   poolRows(rows, confidence)        → pooled row for one month, or null
+ *   groupSeries(store, ids, months)   → pooled row (or null) per month
+ *
+ * Pooled row:
+ *   theft_count, exposure            sums over members with a row that month
+ *   risk_ratio                       Σ theft_count / Σ exposure (valid exposure only)
+ *   city_mean_ratio                  the month's city mean (shared by all rows)
+ *   risk_index (+ _lo / _hi)         risk_ratio / city_mean_ratio, Poisson
+ *                                    interval on the pooled count — none for
+ *                                    forecast months
+ *   alert_members                    [{ area_id, area_name, level }] members on alert
+ *   n / missing                      members pooled / ids without a row
+ */
+
+import { poissonInterval } from './stats'
+import { INTERVAL_CONFIDENCE, STABILITY_MIN_EXPOSURE } from './riskMetrics'
+
+export function poolRows(rows, confidence = INTERVAL_CONFIDENCE) {
+  const present = (rows ?? []).filter(Boolean)
+  if (!present.length) return null
+
+  let count = 0, exposure = 0, validCount = 0, validExposure = 0
+  for (const r of present) {
+    count    += r.theft_count ?? 0
+    exposure += r.exposure ?? 0
+    if (r.exposure > 0 && r.theft_count != null) {
+      validCount    += r.theft_count
+      validExposure += r.exposure
+    }
+  }
+
+  const m        = present.find(r => r.city_mean_ratio > 0)?.city_mean_ratio ?? null
+  const forecast = present.some(r => r.forecast)
+  const ratio    = validExposure > 0 ? validCount / validExposure : null
+  const [lo, hi] = ratio != null && m && !forecast ? poissonInterval(validCount, confidence) : [null, null]
+
+  return {
+    month:           present[0].month,
+    forecast,
+    n:               present.length,
+    theft_count:     count,
+    exposure,
+    stability_flag:  validExposure < STABILITY_MIN_EXPOSURE,
+    risk_ratio:      ratio != null ? +ratio.toFixed(4) : null,
+    city_mean_ratio: m,
+    risk_index:      ratio != null && m ? +(ratio / m).toFixed(4) : null,
+    risk_index_lo:   lo != null ? +(lo / validExposure / m).toFixed(4) : null,
+    risk_index_hi:   hi != null ? +(hi / validExposure / m).toFixed(4) : null,
+    alert_members:   present
+      .filter(r => r.alert_level === 'warning' || r.alert_level === 'watch')
+      .map(r => ({ area_id: r.area_id, area_name: r.area_name, level: r.alert_level })),
+  }
+}
+
+export function groupSeries(store, ids, months) {
+  if (!store || !ids?.length || !months) return []
+  const perArea = ids.map(id => store.areaSeries(id, months))
+  return months.map((_, i) => {
+    const pooled = poolRows(perArea.map(series => series[i]))
+    return pooled && { ...pooled, missing: ids.filter((_, k) => !perArea[k][i]) }
+  })
+}
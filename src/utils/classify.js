@@ -0,0 +1,216 @@
+/**
+ * classify
+ * Choropleth classification: class breaks from the values on screen, the
+ * MapLibre `step` expression that paints them and the matching legend rows.
+ *
+ *   classBreaks(values, method, k, { integer })
+ *                                    → interior breaks (≤ k − 1, ascending;
+ *                                      whole numbers for count fields)
+ *   rampColors(ramp, k)              → k colours sampled evenly along `ramp`
+ *   divergingColors(breaks, ramp, values)
+ *                                    → one colour per class, picked by the
+ *                                      class midpoint's position in ±max|v|
+ *                                      so the sign stays readable
+ *   classIndex(value, breaks)        → 0-based class of a value (null if missing)
+ *   stepExpression(field, breaks, colors, missing)
+ *   legendItems(breaks, colors, { min, integer, names })
+ *
+ * Methods (CLASSIFICATION_METHODS):
+ *   fixed      the hand-picked breaks of the scheme (see DualMapPanel)
+ *   quantile   equal number of boroughs per class
+ *   equal      equal-width classes between min and max
+ *   jenks      Fisher–Jenks natural breaks (minimum within-class variance)
+ *   stddev     1 σ classes around the mean (½ σ beyond five classes)
+ *
+ * Break semantics follow `step`: a value equal to a break falls in the upper
+ * class.  Tied quantiles collapse, so fewer than k classes may come back.
+ */
+
+export const CLASSIFICATION_METHODS = {
+  fixed:    'Fixed',
+  quantile: 'Quantile',
+  equal:    'Equal interval',
+  jenks:    'Natural breaks',
+  stddev:   'Std. deviation',
+}
+
+export const CLASS_COUNTS = [3, 4, 5, 6, 7]
+
+function finite(values) {
+  return (values ?? []).filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b)
+}
+
+function quantileBreaks(xs, k) {
+  const out = []
+  for (let i = 1; i < k; i++) {
+    const pos = (xs.length - 1) * (i / k)
+    const lo  = Math.floor(pos)
+    out.push(xs[lo] + (xs[Math.min(lo + 1, xs.length - 1)] - xs[lo]) * (pos - lo))
+  }
+  return out
+}
+
+function equalBreaks(xs, k) {
+  const min = xs[0]
+  const w   = (xs[xs.length - 1] - min) / k
+  return Array.from({ length: k - 1 }, (_, i) => min + w * (i + 1))
+}
+
+/** Fisher–Jenks by dynamic programming; O(k·n²), fine for borough panels. */
+function jenksBreaks(xs, k) {
+  const n = xs.length
+  if (n <= k) return xs.slice(1)
+
+  // Prefix sums for O(1) within-class sum of squared deviations
+  const s1 = [0], s2 = [0]
+  for (const x of xs) {
+    s1.push(s1[s1.length - 1] + x)
+    s2.push(s2[s2.length - 1] + x * x)
+  }
+  const ssd = (i, j) => {                // xs[i..j] inclusive
+    const m   = j - i + 1
+    const sum = s1[j + 1] - s1[i]
+    return s2[j + 1] - s2[i] - (sum * sum) / m
+  }
+
+  // cost[c][j]: best cost of xs[0..j] in c + 1 classes; from[c][j]: start of the last class
+  const cost = [Array.from({ length: n }, (_, j) => ssd(0, j))]
+  const from = [new Array(n).fill(0)]
+  for (let c = 1; c < k; c++) {
+    cost.push(new Array(n).fill(Infinity))
+    from.push(new Array(n).fill(0))
+    for (let j = c; j < n; j++) {
+      for (let i = c; i <= j; i++) {
+        const v = cost[c - 1][i - 1] + ssd(i, j)
+        if (v < cost[c][j]) { cost[c][j] = v; from[c][j] = i }
+      }
+    }
+  }
+
+  const out = []
+  let j = n - 1
+  for (let c = k - 1; c > 0; c--) {
+    const i = from[c][j]
+    out.unshift(xs[i])
+    j = i - 1
+  }
+  return out
+}
+
+function stddevBreaks(xs, k) {
+  const mean = xs.reduce((s, v) => s + v, 0) / xs.length
+  const sd   = Math.sqrt(xs.reduce((s, v) => s + (v - mean) ** 2, 0) / xs.length)
+  if (!(sd > 0)) return []
+  const step = k > 5 ? 0.5 : 1
+  // Even k puts a break on the mean; odd k a centre class straddling it
+  return Array.from({ length: k - 1 }, (_, i) => mean + (i - (k - 2) / 2) * step * sd)
+}
+
+export function classBreaks(values, method, k, { integer = false } = {}) {
+  const xs = finite(values)
+  if (xs.length < 2 || xs[0] === xs[xs.length - 1] || k < 2) return []
+
+  const raw = method === 'quantile' ? quantileBreaks(xs, k)
+    : method === 'equal'  ? equalBreaks(xs, k)
+    : method === 'jenks'  ? jenksBreaks(xs, k)
+    : method === 'stddev' ? stddevBreaks(xs, k)
+    : []
+
+  // Drop duplicates and breaks outside the data (nothing would fall below them)
+  const out = []
+  for (const b of raw) {
+    const r = integer ? Math.ceil(b) : +b.toPrecision(4)
+    if (r > xs[0] && (!out.length || r > out[out.length - 1])) out.push(r)
+  }
+  return out
+}
+
+// ── Colours ─────────────────────────────────────────────────────────────────
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16)
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`
+}
+
+/** Colour at position t ∈ [0, 1] along a multi-stop ramp (linear RGB blend). */
+function sampleRamp(ramp, t) {
+  const x  = Math.min(1, Math.max(0, t)) * (ramp.length - 1)
+  const i  = Math.min(ramp.length - 2, Math.floor(x))
+  const a  = hexToRgb(ramp[i])
+  const b  = hexToRgb(ramp[i + 1])
+  const f  = x - i
+  return rgbToHex(a.map((c, j) => c + (b[j] - c) * f))
+}
+
+export function rampColors(ramp, k) {
+  if (k <= 1) return [ramp[ramp.length - 1]]
+  return Array.from({ length: k }, (_, i) => sampleRamp(ramp, i / (k - 1)))
+}
+
+export function divergingColors(breaks, ramp, values) {
+  const xs  = finite(values)
+  const max = Math.max(...xs.map(Math.abs), ...breaks.map(Math.abs), 1e-9)
+  const lo  = xs.length ? Math.min(xs[0], breaks[0] ?? xs[0]) : -max
+  const hi  = xs.length ? Math.max(xs[xs.length - 1], breaks[breaks.length - 1] ?? xs[0]) : max
+  const edges = [lo, ...breaks, hi]
+  return edges.slice(0, -1).map((e, i) => sampleRamp(ramp, ((e + edges[i + 1]) / 2 / max + 1) / 2))
+}
+
+export function classIndex(value, breaks) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null
+  return breaks.filter(b => value >= b).length
+}
+
+// ── MapLibre expression + legend ────────────────────────────────────────────
+
+/**
+ * `missing` paints rows without a value (and any value below the first
+ * class, which classBreaks never produces).
+ */
+export function stepExpression(field, breaks, colors, missing = '#475569') {
+  const expr = ['step', ['coalesce', ['get', field], -1e9], missing, -1e8, colors[0]]
+  breaks.forEach((b, i) => expr.push(b, colors[i + 1]))
+  return expr
+}
+
+function fmtNum(v, integer) {
+  if (integer) return String(Math.round(v))
+  const a = Math.abs(v)
+  const s = a >= 100 ? v.toFixed(0) : a >= 10 ? v.toFixed(1) : v.toFixed(2)
+  return s.replace('-', '−')
+}
+
+/**
+ * One legend row per class.  Integer fields (counts) label closed ranges,
+ * "20–39"; continuous ones half-open, "0.60–0.85".  `min` lets the first
+ * integer class read "0" instead of "< 1".  `names` are appended per class.
+ */
+export function legendItems(breaks, colors, { min, integer = false, names } = {}) {
+  if (!breaks.length) return [{ color: colors[0], label: min != null ? fmtNum(min, integer) : 'all values' }]
+  return colors.slice(0, breaks.length + 1).map((color, i) => {
+    const lo = breaks[i - 1]
+    const hi = breaks[i]
+    let label
+    if (i === 0) {
+      if (integer && min != null) {
+        const top = Math.ceil(hi) - 1
+        label = top <= min ? fmtNum(min, true) : `${fmtNum(min, true)}–${fmtNum(top, true)}`
+      } else {
+        label = `< ${fmtNum(hi, integer)}`
+      }
+    } else if (i === breaks.length) {
+      label = `≥ ${fmtNum(lo, integer)}`
+    } else if (integer) {
+      const from = Math.ceil(lo)
+      const to   = Math.ceil(hi) - 1
+      label = to <= from ? fmtNum(from, true) : `${fmtNum(from, true)}–${fmtNum(to, true)}`
+    } else {
+      label = `${fmtNum(lo)}–${fmtNum(hi)}`
+    }
+    return { color, label: names?.[i] ? `${label}  ${names[i]}` : label }
+  })
+}
@@ -0,0 +1,113 @@
+/**
+ * dataStore
+ * Indexed view over the month × borough panel so components stop re-scanning
+ * the full features array (App month filters, TrendChart / ExplainCard
+ * `features.find` per month, …).
+ *
+ * Built once per recomputed panel in App.jsx:
+ *
+ *   const store = createDataStore(recomputedFeatures)
+ *
+ * Index: Map<month, Map<area_id, row>>  +  Map<area_id, Map<month, row>>
+ * Query results are memoised per store instance, so repeated calls with the
+ * same arguments return the same array (stable for useMemo dependencies).
+ *
+ * Query API
+ * ─────────
+ *   get(areaId, month)             → row | null
+ *   byMonth(month)                 → row[]            (one per borough)
+ *   areaSeries(areaId, months)     → (row | null)[]   aligned to `months`
+ *   monthPair(monthA, monthB)      → delta row[]      (B − A per borough)
+ *   aggregate(month, field)        → { count, sum, mean, min, max }
+ *   months / areaIds               → sorted key lists
+ */
+
+const EMPTY = []
+
+function cached(cache, key, compute) {
+  if (!cache.has(key)) cache.set(key, compute())
+  return cache.get(key)
+}
+
+/** Delta row for month comparison — shape consumed by DualMapPanel / ExplainCard. */
+function deltaRow(id, a = {}, b = {}) {
+  const riA = a.risk_index ?? null
+  const riB = b.risk_index ?? null
+  return {
+    area_id:           id,
+    area_name:         a.area_name ?? b.area_name ?? '',
+    delta_risk_index:  riA !== null && riB !== null ? +(riB - riA).toFixed(4) : null,
+    delta_count:       (b.theft_count ?? 0) - (a.theft_count ?? 0),
+    risk_index_a:      riA,
+    risk_index_b:      riB,
+    theft_count_a:     a.theft_count ?? 0,
+    theft_count_b:     b.theft_count ?? 0,
+    alert_level:       b.alert_level ?? 'none',
+    stability_flag:    b.stability_flag ?? false,
+  }
+}
+
+export function createDataStore(features) {
+  const monthIdx = new Map()   // month → Map<area_id, row>
+  const areaIdx  = new Map()   // area_id → Map<month, row>
+
+  for (const f of features ?? EMPTY) {
+    if (!monthIdx.has(f.month))   monthIdx.set(f.month, new Map())
+    if (!areaIdx.has(f.area_id))  areaIdx.set(f.area_id, new Map())
+    monthIdx.get(f.month).set(f.area_id, f)
+    areaIdx.get(f.area_id).set(f.month, f)
+  }
+
+  const months  = [...monthIdx.keys()].sort()
+  const areaIds = [...areaIdx.keys()].sort()
+
+  const monthCache     = new Map()
+  const seriesCache    = new Map()
+  const pairCache      = new Map()
+  const aggregateCache = new Map()
+
+  function get(areaId, month) {
+    return areaIdx.get(areaId)?.get(month) ?? null
+  }
+
+  function byMonth(month) {
+    if (!month || !monthIdx.has(month)) return EMPTY
+    return cached(monthCache, month, () => [...monthIdx.get(month).values()])
+  }
+
+  function areaSeries(areaId, forMonths = months) {
+    if (!areaId) return EMPTY
+    const rows = areaIdx.get(areaId)
+    return cached(seriesCache, `${areaId}|${forMonths.join(',')}`,
+      () => forMonths.map(m => rows?.get(m) ?? null))
+  }
+
+  function monthPair(monthA, monthB) {
+    if (!monthA || !monthB || monthA === monthB) return EMPTY
+    return cached(pairCache, `${monthA}|${monthB}`, () => {
+      const aMap   = monthIdx.get(monthA) ?? new Map()
+      const bMap   = monthIdx.get(monthB) ?? new Map()
+      const allIds = new Set([...aMap.keys(), ...bMap.keys()])
+      return [...allIds].map(id => deltaRow(id, aMap.get(id), bMap.get(id)))
+    })
+  }
+
+  function aggregate(month, field) {
+    return cached(aggregateCache, `${month}|${field}`, () => {
+      let count = 0, sum = 0, min = Infinity, max = -Infinity
+      for (const row of byMonth(month)) {
+        const v = row[field]
+        if (typeof v !== 'number' || Number.isNaN(v)) continue
+        count += 1
+        sum   += v
+        if (v < min) min = v
+        if (v > max) max = v
+      }
+      return count
+        ? { count, sum, mean: sum / count, min, max }
+        : { count: 0, sum: 0, mean: null, min: null, max: null }
+    })
+  }
+
+  return { months, areaIds, get, byMonth, areaSeries, monthPair, aggregate }
+}
@@ -0,0 +1,63 @@
+/**
+ * datasetCache
+ * IndexedDB persistence for the bundled snapshot (areas + features + meta) so
+ * the explorer loads fully offline after the first visit.  The service
+ * worker (public/sw.js) caches the app shell and basemap; data files live
+ * here instead so they can be versioned by meta.generated_at.
+ *
+ *   getCachedDataset()          → { areas, features, meta, version } | null
+ *   putCachedDataset(dataset)   → stores under the snapshot's version
+ *   snapshotVersion(meta)       → version key for a meta object
+ *
+ * All functions resolve to null / no-op when IndexedDB is unavailable
+ * (private browsing, old browsers) — callers just fall back to the network.
+ */
+
+const DB_NAME    = 'bike-theft-explorer'
+const DB_VERSION = 1
+const STORE      = 'datasets'
+const KEY        = 'bundled'
+
+/**
+ * Snapshots produced by build_dataset.py carry `generated_at`; older ones
+ * fall back to their month range + area count.
+ */
+export function snapshotVersion(meta) {
+  if (!meta) return null
+  if (meta.generated_at) return meta.generated_at
+  const months = meta.months ?? []
+  return `${months[0] ?? ''}…${months[months.length - 1] ?? ''}/${meta.areas?.length ?? 0}`
+}
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  return new Promise(resolve => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE)
+    req.onsuccess = () => resolve(req.result)
+    req.onerror   = () => resolve(null)
+    req.onblocked = () => resolve(null)
+  })
+}
+
+function run(mode, fn) {
+  return openDb().then(db => {
+    if (!db) return null
+    return new Promise(resolve => {
+      const tx  = db.transaction(STORE, mode)
+      const req = fn(tx.objectStore(STORE))
+      tx.oncomplete = () => { db.close(); resolve(req?.result ?? null) }
+      tx.onerror    = () => { db.close(); resolve(null) }
+      tx.onabort    = () => { db.close(); resolve(null) }
+    })
+  })
+}
+
+export function getCachedDataset() {
+  return run('readonly', store => store.get(KEY))
+}
+
+export function putCachedDataset({ areas, features, meta }) {
+  const record = { areas, features, meta, version: snapshotVersion(meta), cached_at: Date.now() }
+  return run('readwrite', store => store.put(record, KEY))
+}
@@ -0,0 +1,168 @@
+/**
+ * forecast
+ * Short-term projection of each borough's theft_count and risk_index with
+ * exponential smoothing, for planning a month or a few ahead.
+ *
+ *   Holt's linear method with a damped trend (default), or additive
+ *   Holt-Winters when `seasonal` is on and the series spans at least two
+ *   full seasons (2 × 12 months) — otherwise it silently falls back to Holt.
+ *
+ * Smoothing parameters are picked per series by a small grid search on the
+ * one-step-ahead squared error.  Prediction intervals use the residual
+ * standard deviation of those one-step errors, widened with the horizon:
+ *
+ *   var_h = σ² · [1 + Σ_{j=1..h−1} (α · (1 + φ_j β))²]     (φ_j = Σ_{i≤j} φ^i)
+ *
+ *   forecastSeries(values, opts)     → { mean[], lo[], hi[], method } | null
+ *   forecastPanel(features, opts)    → projected rows for the next `horizon`
+ *                                      months, one per borough, flagged
+ *                                      `forecast: true`
+ *   nextMonths(lastMonth, n)         → ['YYYY-MM', …]
+ *
+ * Projected rows reuse the field names of observed rows (theft_count,
+ * risk_index, risk_index_lo / _hi, …) so the maps, TrendChart band and
+ * ExplainCard render them without special cases.
+ */
+
+import { normalQuantile } from './stats'
+
+export const FORECAST_MAX_HORIZON = 3
+const SEASON = 12
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]
+const BETAS  = [0, 0.05, 0.1, 0.2, 0.3]
+const GAMMAS = [0.05, 0.1, 0.2, 0.3]
+const PHI    = 0.9   // trend damping
+
+export function nextMonths(lastMonth, n) {
+  if (!lastMonth) return []
+  const [y, m] = lastMonth.split('-').map(Number)
+  return Array.from({ length: n }, (_, k) => {
+    const d = new Date(Date.UTC(y, m - 1 + k + 1, 1))
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`
+  })
+}
+
+/** Run the smoother once; returns one-step SSE, residual count and final state. */
+function smooth(xs, alpha, beta, gamma, seasonal) {
+  let level = xs[0]
+  let trend = xs.length > 1 ? xs[1] - xs[0] : 0
+  const season = new Array(SEASON).fill(0)
+  let start = 1
+
+  if (seasonal) {
+    // Initialise from the first two seasons: trend from their means, level
+    // at the end of season one, seasonal offsets detrended around it
+    const mean1 = xs.slice(0, SEASON).reduce((s, v) => s + v, 0) / SEASON
+    const mean2 = xs.slice(SEASON, 2 * SEASON).reduce((s, v) => s + v, 0) / SEASON
+    const mid   = (SEASON - 1) / 2
+    trend = (mean2 - mean1) / SEASON
+    level = mean1 + trend * mid
+    for (let i = 0; i < SEASON; i++) season[i] = xs[i] - (mean1 + trend * (i - mid))
+    start = SEASON
+  }
+
+  let sse = 0
+  let n   = 0
+  for (let t = start; t < xs.length; t++) {
+    const s    = seasonal ? season[t % SEASON] : 0
+    const pred = level + PHI * trend + s
+    const err  = xs[t] - pred
+    sse += err * err
+    n   += 1
+
+    const prevLevel = level
+    level = alpha * (xs[t] - s) + (1 - alpha) * (prevLevel + PHI * trend)
+    trend = beta * (level - prevLevel) + (1 - beta) * PHI * trend
+    if (seasonal) season[t % SEASON] = gamma * (xs[t] - level) + (1 - gamma) * s
+  }
+  return { sse, n, level, trend, season, length: xs.length }
+}
+
+export function forecastSeries(values, { horizon = 1, seasonal = false, confidence = 0.95 } = {}) {
+  const xs = (values ?? []).filter(v => typeof v === 'number' && Number.isFinite(v))
+  if (xs.length < 3 || xs.length !== values.length) return null   // gaps → no forecast
+
+  const useSeasonal = seasonal && xs.length >= 2 * SEASON
+  let best = null
+  for (const alpha of ALPHAS) {
+    for (const beta of BETAS) {
+      for (const gamma of useSeasonal ? GAMMAS : [0]) {
+        const fit = smooth(xs, alpha, beta, gamma, useSeasonal)
+        if (!best || fit.sse < best.fit.sse) best = { alpha, beta, fit }
+      }
+    }
+  }
+
+  const { alpha, beta, fit } = best
+  const sigma = Math.sqrt(fit.sse / Math.max(1, fit.n - 1))
+  const z     = normalQuantile(1 - (1 - confidence) / 2)
+
+  const mean = [], lo = [], hi = []
+  let phiSum = 0      // Σ φ^i, i = 1..h
+  let varSum = 1
+  for (let h = 1; h <= horizon; h++) {
+    phiSum += PHI ** h
+    const s = useSeasonal ? fit.season[(fit.length + h - 1) % SEASON] : 0
+    const m = fit.level + phiSum * fit.trend + s
+    const half = z * sigma * Math.sqrt(varSum)
+    mean.push(m)
+    lo.push(m - half)
+    hi.push(m + half)
+    varSum += (alpha * (1 + phiSum * beta)) ** 2
+  }
+  return { mean, lo, hi, method: useSeasonal ? 'holt-winters' : 'holt' }
+}
+
+/**
+ * Project every borough `horizon` months past the last month in `features`.
+ * theft_count is forecast directly (clamped at 0, intervals too); risk_index
+ * is forecast on its own series so the city-wide normalisation carries over.
+ */
+export function forecastPanel(features, { horizon = 1, seasonal = false, confidence = 0.95 } = {}) {
+  if (!features?.length || horizon < 1) return []
+
+  const byArea = new Map()
+  for (const f of features) {
+    if (!byArea.has(f.area_id)) byArea.set(f.area_id, [])
+    byArea.get(f.area_id).push(f)
+  }
+  const lastMonth = features.reduce((m, f) => (f.month > m ? f.month : m), '')
+  const months    = nextMonths(lastMonth, horizon)
+
+  const rows = []
+  for (const [areaId, areaRows] of byArea) {
+    const sorted = [...areaRows].sort((a, b) => a.month.localeCompare(b.month))
+    const last   = sorted[sorted.length - 1]
+    const opts   = { horizon, seasonal, confidence }
+    const counts = forecastSeries(sorted.map(r => r.theft_count), opts)
+    const risk   = forecastSeries(sorted.map(r => r.risk_index), opts)
+    const riskEb = forecastSeries(sorted.map(r => r.risk_index_eb), opts)
+    if (!counts && !risk) continue
+
+    months.forEach((month, k) => {
+      const clamp = v => (v == null ? null : Math.max(0, v))
+      rows.push({
+        area_id:         areaId,
+        area_name:       last.area_name,
+        month,
+        forecast:        true,
+        forecast_step:   k + 1,
+        forecast_method: (risk ?? counts).method,
+        exposure:        last.exposure,
+        stability_flag:  last.stability_flag,
+        theft_count:     counts ? Math.round(clamp(counts.mean[k])) : null,
+        theft_count_lo:  counts ? +clamp(counts.lo[k]).toFixed(1) : null,
+        theft_count_hi:  counts ? +clamp(counts.hi[k]).toFixed(1) : null,
+        risk_index:      risk ? +clamp(risk.mean[k]).toFixed(4) : null,
+        risk_index_lo:   risk ? +clamp(risk.lo[k]).toFixed(4) : null,
+        risk_index_hi:   risk ? +clamp(risk.hi[k]).toFixed(4) : null,
+        risk_index_eb:   riskEb ? +clamp(riskEb.mean[k]).toFixed(4) : null,
+        alert_spike:     false,
+        alert_trend3:    false,
+        alert_level:     'none',
+      })
+    })
+  }
+  return rows
+}
@@ -0,0 +1,49 @@
+/**
+ * geoPath
+ * Projects the borough polygons (areas.geojson) to SVG path strings for the
+ * small-multiples panels, where a full MapLibre map per month would be far
+ * too heavy (and browsers cap the number of live WebGL contexts).
+ *
+ *   projectAreas(areas, width) → { width, height, paths: [{ id, name, d }] }
+ *
+ * Equirectangular with longitudes scaled by cos(mid-latitude) — at city
+ * scale indistinguishable from Web Mercator.  The height follows from the
+ * data's aspect ratio.  Polygon and MultiPolygon geometries are supported.
+ */
+
+function rings(geometry) {
+  if (geometry?.type === 'Polygon')      return geometry.coordinates
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.flat()
+  return []
+}
+
+export function projectAreas(areas, width) {
+  const features = areas?.features ?? []
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity
+  for (const f of features) {
+    for (const ring of rings(f.geometry)) {
+      for (const [x, y] of ring) {
+        if (x < minX) minX = x
+        if (x > maxX) maxX = x
+        if (y < minY) minY = y
+        if (y > maxY) maxY = y
+      }
+    }
+  }
+  if (!(maxX > minX && maxY > minY)) return { width, height: 0, paths: [] }
+
+  const kx     = Math.cos(((minY + maxY) / 2) * Math.PI / 180)
+  const scale  = width / ((maxX - minX) * kx)
+  const height = Math.round((maxY - minY) * scale)
+  const px     = x => ((x - minX) * kx * scale).toFixed(1)
+  const py     = y => ((maxY - y) * scale).toFixed(1)
+
+  const paths = features.map(f => ({
+    id:   f.properties.area_id,
+    name: f.properties.area_name ?? f.properties.area_id,
+    d:    rings(f.geometry)
+      .map(ring => 'M' + ring.map(([x, y]) => `${px(x)},${py(y)}`).join('L') + 'Z')
+      .join(''),
+  }))
+  return { width, height, paths }
+}
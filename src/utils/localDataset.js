@@ -0,0 +1,259 @@
+/**
+ * localDataset
+ * Turns user-supplied files (drag-and-drop / file picker) into the same
+ * { areas, features, meta } bundle that useDataLoader fetches from
+ * public/data/, so ad-hoc extracts go through the exact same
+ * validateDataset → recomputeAlerts → DualMapPanel / RankingChart path.
+ *
+ * Accepted inputs
+ * ───────────────
+ *   features   .csv            header row + one row per borough × month
+ *              .json           array of row objects (features.json format)
+ *   boundaries .geojson/.json  FeatureCollection (optional – falls back to
+ *                              the bundled London Borough polygons)
+ *
+ * Required columns: area_id, month, theft_count, exposure.
+ * area_name is taken from the row, the boundaries or the bundled meta.
+ * When risk_index is absent the risk columns are derived client-side with
+ * addRiskMetrics (same formula as utils_alerts.py).
+ *
+ * meta is built on the fly: months and areas come from the rows, field
+ * descriptions and thresholds are inherited from the bundled meta.json.
+ */
+
+import { addRiskMetrics } from './riskMetrics'
+
+const NUMERIC_COLUMNS = ['theft_count', 'exposure', 'risk_ratio', 'city_mean_ratio', 'risk_index']
+const BOOLEAN_COLUMNS = ['valid_exposure', 'stability_flag', 'alert_spike', 'alert_trend3']
+
+// Alternative id/name keys commonly found in borough boundary files
+const ID_KEYS   = ['area_id', 'gss_code', 'GSS_CODE', 'code', 'id']
+const NAME_KEYS = ['area_name', 'name', 'NAME', 'borough']
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF.
+ * Returns an array of string arrays.
+ */
+function parseCsvRows(text) {
+  const rows = []
+  let row    = []
+  let field  = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++ }
+      else if (c === '"')                   quoted = false
+      else                                  field += c
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(field); field = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++
+      row.push(field); field = ''
+      if (row.some(v => v !== '')) rows.push(row)
+      row = []
+    } else {
+      field += c
+    }
+  }
+  row.push(field)
+  if (row.some(v => v !== '')) rows.push(row)
+  return rows
+}
+
+function parseCsv(text) {
+  const [header, ...body] = parseCsvRows(text.replace(/^\uFEFF/, ''))
+  if (!header) throw new Error('CSV file is empty.')
+  const keys = header.map(h => h.trim())
+  return body.map(cells => Object.fromEntries(keys.map((k, i) => [k, cells[i]?.trim() ?? ''])))
+}
+
+// ── Row normalisation ────────────────────────────────────────────────────────
+
+function toNumber(v) {
+  if (v === '' || v == null) return null
+  const n = typeof v === 'number' ? v : Number(v)
+  return Number.isFinite(n) ? n : v   // leave junk in place for validateDataset
+}
+
+function toBoolean(v) {
+  if (typeof v === 'boolean') return v
+  const s = String(v).trim().toLowerCase()
+  if (s === 'true'  || s === '1') return true
+  if (s === 'false' || s === '0' || s === '') return false
+  return v
+}
+
+/** '2025-03-01' / '2025-3' / '2025/03' → '2025-03' */
+function toMonth(v) {
+  const m = String(v ?? '').trim().match(/^(\d{4})[-/](\d{1,2})/)
+  return m ? `${m[1]}-${m[2].padStart(2, '0')}` : v
+}
+
+function isRowObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v)
+}
+
+/** Non-object rows (null, numbers, arrays) pass through for validateDataset to report. */
+function normaliseRow(raw) {
+  if (!isRowObject(raw)) return raw
+  const row = { ...raw }
+  row.area_id = String(raw.area_id ?? '').trim()
+  row.month   = toMonth(raw.month)
+  for (const k of NUMERIC_COLUMNS) if (k in raw) row[k] = toNumber(raw[k])
+  for (const k of BOOLEAN_COLUMNS) if (k in raw) row[k] = toBoolean(raw[k])
+  return row
+}
+
+function pickKey(obj, keys) {
+  return keys.find(k => obj?.[k] != null && obj[k] !== '')
+}
+
+/**
+ * Ensure every polygon carries properties.area_id / area_name.  Entries that
+ * are not objects are dropped; a missing `features` array is left for
+ * validateDataset to report.
+ */
+function normaliseAreas(geojson) {
+  if (!Array.isArray(geojson.features)) return geojson
+  return {
+    ...geojson,
+    features: geojson.features.filter(isRowObject).map(f => {
+      const p       = f.properties ?? {}
+      const idKey   = pickKey(p, ID_KEYS)
+      const nameKey = pickKey(p, NAME_KEYS)
+      return {
+        ...f,
+        properties: {
+          ...p,
+          area_id:   idKey   ? String(p[idKey]) : p.area_id,
+          area_name: nameKey ? String(p[nameKey]) : (p.area_name ?? ''),
+        },
+      }
+    }),
+  }
+}
+
+// ── File classification ──────────────────────────────────────────────────────
+
+function readText(file) {
+  return typeof file.text === 'function'
+    ? file.text()
+    : new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload  = () => resolve(reader.result)
+        reader.onerror = () => reject(reader.error)
+        reader.readAsText(file)
+      })
+}
+
+async function classify(file) {
+  const text = await readText(file)
+  if (/\.csv$/i.test(file.name)) return { kind: 'features', rows: parseCsv(text), file }
+
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch {
+    throw new Error(`${file.name}: not valid JSON or CSV.`)
+  }
+  if (json?.type === 'FeatureCollection') return { kind: 'areas', geojson: json, file }
+  if (Array.isArray(json))                return { kind: 'features', rows: json, file }
+  throw new Error(`${file.name}: expected a features array or a GeoJSON FeatureCollection.`)
+}
+
+// ── meta ─────────────────────────────────────────────────────────────────────
+
+function buildMeta(features, areas, baseMeta, sourceName) {
+  const months = [...new Set(features.map(f => f.month))]
+    .filter(m => typeof m === 'string')
+    .sort()
+
+  const polygonNames = Object.fromEntries(
+    (Array.isArray(areas?.features) ? areas.features : []).map(f => [f.properties.area_id, f.properties.area_name])
+  )
+  const metaNames = Object.fromEntries((baseMeta?.areas ?? []).map(a => [a.id, a.name]))
+
+  const names = new Map()
+  for (const f of features) {
+    if (!names.has(f.area_id) || !names.get(f.area_id)) {
+      names.set(f.area_id, f.area_name || polygonNames[f.area_id] || metaNames[f.area_id] || f.area_id)
+    }
+  }
+  const metaAreas = [...names]
+    .map(([id, name]) => ({ id, name }))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+
+  const columns = new Set(features.flatMap(f => Object.keys(f)))
+  const fields  = Object.fromEntries(
+    [...columns]
+      .filter(k => !['area_id', 'area_name', 'month'].includes(k))
+      .map(k => [k, baseMeta?.fields?.[k] ?? 'User-supplied column'])
+  )
+
+  return {
+    months,
+    areas: metaAreas,
+    thresholds:   baseMeta?.thresholds ?? {},
+    fields,
+    data_sources: { features: `Local file: ${sourceName}` },
+    generated_at: new Date().toISOString(),
+  }
+}
+
+// ── Entry point ──────────────────────────────────────────────────────────────
+
+/**
+ * readLocalDataset(files, { fallbackAreas, fallbackMeta })
+ *   files          FileList | File[]  – one features file + optional boundaries
+ *   fallbackAreas  bundled areas.geojson (used when no boundaries supplied)
+ *   fallbackMeta   bundled meta.json     (field descriptions, area names)
+ *
+ * Resolves to { areas, features, meta, name }.  Throws an Error with a
+ * user-facing message when the files cannot be interpreted at all; finer
+ * problems — including JSON rows that are not objects, which are passed
+ * through untouched — are left for validateDataset to report.
+ */
+export async function readLocalDataset(files, { fallbackAreas, fallbackMeta } = {}) {
+  const list = [...(files ?? [])]
+  if (!list.length) throw new Error('No files selected.')
+
+  const parsed       = await Promise.all(list.map(classify))
+  const featureFiles = parsed.filter(p => p.kind === 'features')
+  const areaFiles    = parsed.filter(p => p.kind === 'areas')
+
+  if (featureFiles.length !== 1) {
+    throw new Error(featureFiles.length
+      ? 'Drop only one features file (CSV or JSON) at a time.'
+      : 'No features file found — add a CSV or JSON array of borough × month rows.')
+  }
+  if (areaFiles.length > 1) throw new Error('Drop at most one boundaries GeoJSON.')
+
+  const areas = areaFiles.length ? normaliseAreas(areaFiles[0].geojson) : fallbackAreas
+  if (!areas) throw new Error('No boundaries available — add a GeoJSON FeatureCollection.')
+
+  const featureFile = featureFiles[0]
+  let features = featureFile.rows.map(normaliseRow)
+  const rows   = features.filter(isRowObject)
+
+  const missing = ['theft_count', 'exposure'].filter(k => !rows.some(f => k in f))
+  if (missing.length) throw new Error(`${featureFile.file.name}: missing column(s) ${missing.join(', ')}.`)
+
+  // With malformed rows present validation rejects the file anyway
+  const malformed = rows.length < features.length
+  if (!malformed && !rows.some(f => 'risk_index' in f)) features = addRiskMetrics(features)
+
+  const name = list.map(f => f.name).join(' + ')
+  const meta = buildMeta(features.filter(isRowObject), areas, fallbackMeta, name)
+
+  // Fill area_name from meta so maps / charts have labels for CSV extracts
+  const nameById = Object.fromEntries(meta.areas.map(a => [a.id, a.name]))
+  features = features.map(f => (!isRowObject(f) || f.area_name ? f : { ...f, area_name: nameById[f.area_id] ?? f.area_id }))
+
+  return { areas, features, meta, name }
+}
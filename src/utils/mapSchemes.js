@@ -0,0 +1,97 @@
+/**
+ * mapSchemes
+ * Choropleth colour schemes for the borough maps (DualMapPanel,
+ * SmallMultiples) and the class builder that turns one into a MapLibre fill
+ * expression and legend for the rows on screen.
+ *
+ * `fixed` holds the hand-picked breaks (the "Fixed" classification, also the
+ * fallback when the visible values can't be split) and the default palette's
+ * hand-picked colours for them.  Other palettes and data-driven classes
+ * (utils/classify.js) sample the palette ramp named by `ramp`.  Paint
+ * expressions and legends are both generated from the resulting breaks.
+ */
+
+import { DEFAULT_PALETTE, RISK_BREAKS } from './palettes'
+import {
+  CLASSIFICATION_METHODS,
+  classBreaks, rampColors, divergingColors, stepExpression, legendItems,
+} from './classify'
+
+
+export const COUNT_SCHEME = {
+  field: 'theft_count', title: 'Theft Count', integer: true, min: 0, ramp: 'count',
+  fixed: {
+    breaks: [1, 20, 40, 65, 100],
+    colors: ['#ffffff', '#c7d2fe', '#818cf8', '#4f46e5', '#3730a3', '#1e1b4b'],
+  },
+}
+
+export const RISK_SCHEME = {
+  field: 'risk_index', title: 'Risk Index', subtitle: 'baseline = 1.0', ramp: 'sequential',
+  fixed: {
+    breaks: RISK_BREAKS,
+    colors: ['#fee2e2', '#fca5a5', '#ef4444', '#dc2626', '#991b1b', '#450a0a'],
+  },
+}
+
+export const EB_RISK_SCHEME = {   // Empirical-Bayes smoothed
+  ...RISK_SCHEME,
+  field: 'risk_index_eb', title: 'Smoothed Risk Index', subtitle: 'Empirical Bayes · 1.0 = city',
+}
+
+export const DELTA_SCHEME = {
+  field: 'delta_risk_index', title: 'Δ Risk Index (B − A)', subtitle: 'change vs month A',
+  ramp: 'diverging', diverging: true,   // no pair → drawn as stable (ramp midpoint)
+  fixed: {
+    breaks: [-1.5, -0.8, -0.4, 0.4, 0.8, 1.5],
+    colors: ['#1d4ed8', '#60a5fa', '#bfdbfe', '#ffffff', '#fca5a5', '#dc2626', '#7f1d1d'],
+    names:  ['big drop', 'drop', 'slight drop', 'stable', 'rise', 'large rise', 'big rise'],
+  },
+}
+
+/**
+ * Fill expression + legend for `scheme` over the values on screen.
+ * Returns { fill, legend, breaks, colors, missing } — the last three let
+ * non-MapLibre renderers (SmallMultiples' SVG panels) colour by classIndex.
+ */
+export function buildClasses(scheme, rows, method, count, palette) {
+  const values = (rows ?? []).map(r => r[scheme.field])
+  const ramp   = palette[scheme.ramp]
+  let breaks = [], colors = null, names
+  if (method !== 'fixed') {
+    breaks = classBreaks(values, method, count, { integer: scheme.integer })
+    if (breaks.length) {
+      colors = scheme.diverging
+        ? divergingColors(breaks, ramp, values)
+        : rampColors(ramp, breaks.length + 1)
+    }
+  }
+  const fixed = !colors
+  if (fixed) {
+    ({ breaks, names } = scheme.fixed)
+    colors = palette.id === DEFAULT_PALETTE ? scheme.fixed.colors : rampColors(ramp, breaks.length + 1)
+  }
+
+  const dataMin = Math.min(...values.filter(v => typeof v === 'number'))
+  const missing = scheme.diverging ? rampColors(ramp, 3)[1] : undefined
+  return {
+    breaks, colors, missing,
+    fill: stepExpression(scheme.field, breaks, colors, missing),
+    legend: {
+      title:    scheme.title,
+      subtitle: fixed ? scheme.subtitle : `${CLASSIFICATION_METHODS[method]} · ${breaks.length + 1} classes`,
+      items:    legendItems(breaks, colors, {
+        integer: scheme.integer,
+        min:     scheme.integer ? (fixed ? scheme.min : dataMin) : undefined,
+        names,
+      }),
+    },
+  }
+}
+
+// Scheme per display metric (SmallMultiples)
+export const METRIC_SCHEMES = {
+  theft_count:   COUNT_SCHEME,
+  risk_index:    RISK_SCHEME,
+  risk_index_eb: EB_RISK_SCHEME,
+}
@@ -0,0 +1,71 @@
+/**
+ * offlineBasemap
+ * Minimal MapLibre style bundled with the app, used by DualMapPanel when the
+ * remote CARTO dark-matter style cannot be reached (or when picked
+ * explicitly), so the choropleth always has geographic context.
+ *
+ * Layers (bottom → top):
+ *   background       dark fill matching dark-matter
+ *   borough-outline  outlines from the loaded areas.geojson
+ *   roads            motorways (M25, M1, M4, …) and main trunk roads
+ *   thames           River Thames
+ *
+ * The road / river lines live in src/assets/londonReference.json, a
+ * hand-simplified reference layer (approximate geometry, orientation only)
+ * that is bundled into the JS so the service worker precaches it.  No
+ * glyphs or sprites are referenced, so the style renders fully offline.
+ */
+
+import londonReference from '../assets/londonReference.json'
+
+export const REMOTE_STYLE_URL = 'https://basemaps.cartocdn.com/gl/dark-matter-gl-style/style.json'
+
+const EMPTY_FC = { type: 'FeatureCollection', features: [] }
+
+export function buildOfflineStyle(areas) {
+  return {
+    version: 8,
+    name: 'Offline London reference',
+    sources: {
+      'offline-areas': { type: 'geojson', data: areas ?? EMPTY_FC },
+      'offline-reference': {
+        type: 'geojson',
+        data: londonReference,
+        attribution: 'Offline reference: GLA boundaries, simplified roads & Thames',
+      },
+    },
+    layers: [
+      { id: 'offline-background', type: 'background', paint: { 'background-color': '#0e0e13' } },
+      {
+        id: 'offline-borough-outline',
+        type: 'line',
+        source: 'offline-areas',
+        paint: { 'line-color': '#334155', 'line-width': 0.8 },
+      },
+      {
+        id: 'offline-roads-trunk',
+        type: 'line',
+        source: 'offline-reference',
+        filter: ['==', ['get', 'kind'], 'trunk'],
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: { 'line-color': '#4b5563', 'line-width': ['interpolate', ['linear'], ['zoom'], 8, 0.8, 12, 2] },
+      },
+      {
+        id: 'offline-roads-motorway',
+        type: 'line',
+        source: 'offline-reference',
+        filter: ['==', ['get', 'kind'], 'motorway'],
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: { 'line-color': '#6b7280', 'line-width': ['interpolate', ['linear'], ['zoom'], 8, 1.2, 12, 3] },
+      },
+      {
+        id: 'offline-thames',
+        type: 'line',
+        source: 'offline-reference',
+        filter: ['==', ['get', 'kind'], 'river'],
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: { 'line-color': '#1e3a5f', 'line-width': ['interpolate', ['linear'], ['zoom'], 8, 2, 12, 6] },
+      },
+    ],
+  }
+}
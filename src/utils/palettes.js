@@ -0,0 +1,114 @@
+/**
+ * palettes
+ * Colour palettes shared by the map fills and legends (DualMapPanel),
+ * RankingChart bars and TrendChart alert points, picked in the header and
+ * persisted by hooks/usePalette.
+ *
+ * Each palette:
+ *   sequential   ramp for risk-index fills (low → high)
+ *   count        ramp for theft-count fills      (defaults to sequential)
+ *   diverging    ramp for Δ fills (drop → stable → rise)
+ *   riskSteps    6 bar colours for the RISK_BREAKS classes (RankingChart);
+ *                sampled from `sequential` when absent
+ *   bivariate    3 × 3 matrix for the count × risk map, rows = risk class
+ *                (low → high), columns = count class; defaults to the
+ *                default palette's (Stevens' teal–purple, CVD-friendly)
+ *   alert        { warning, watch, seasonal } border / point colours
+ *   selected     selection outline
+ *   cvdSafe      distinguishable under the common colour-vision deficiencies
+ *
+ * Alerts never rely on colour alone: watch borders are dashed, warning
+ * borders solid, chart points and ranking labels carry ▲ / ● / ◆ shapes.
+ */
+
+import { rampColors } from './classify'
+
+export const DEFAULT_PALETTE = 'default'
+
+// Fixed risk-index classes (choropleth "Fixed" classification, ranking bars)
+export const RISK_BREAKS = [0.6, 0.85, 1.15, 1.5, 2.0]
+
+// Okabe–Ito alert colours: separable by lightness as well as hue
+const CVD_ALERT    = { warning: '#d55e00', watch: '#56b4e9', seasonal: '#cc79a7' }
+const PU_OR        = ['#5e3c99', '#b2abd2', '#f7f7f7', '#fdb863', '#e66101']
+
+export const PALETTES = {
+  default: {
+    label:      'Default (reds)',
+    cvdSafe:    false,
+    sequential: ['#fee2e2', '#fca5a5', '#ef4444', '#991b1b', '#450a0a'],
+    count:      ['#ffffff', '#c7d2fe', '#818cf8', '#4f46e5', '#1e1b4b'],
+    diverging:  ['#1d4ed8', '#60a5fa', '#ffffff', '#dc2626', '#7f1d1d'],
+    riskSteps:  [
+      'rgba(34,197,94,0.80)',  'rgba(134,239,172,0.80)', 'rgba(251,191,36,0.80)',
+      'rgba(249,115,22,0.80)', 'rgba(239,68,68,0.80)',   'rgba(153,27,27,0.85)',
+    ],
+    bivariate:  [
+      ['#e8e8e8', '#ace4e4', '#5ac8c8'],
+      ['#dfb0d6', '#a5add3', '#5698b9'],
+      ['#be64ac', '#8c62aa', '#3b4994'],
+    ],
+    alert:      { warning: '#ef4444', watch: '#fbbf24', seasonal: '#a855f7' },
+    selected:   '#f97316',
+  },
+  viridis: {
+    label:      'Viridis',
+    cvdSafe:    true,
+    sequential: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    diverging:  PU_OR,
+    alert:      CVD_ALERT,
+    selected:   '#ffffff',
+  },
+  cividis: {
+    label:      'Cividis',
+    cvdSafe:    true,
+    sequential: ['#00224e', '#35456c', '#666970', '#948e77', '#c8b866', '#fee838'],
+    diverging:  ['#2166ac', '#67a9cf', '#f7f7f7', '#ef8a62', '#b2182b'],
+    alert:      CVD_ALERT,
+    selected:   '#ffffff',
+  },
+  magma: {
+    label:      'Magma',
+    cvdSafe:    true,
+    sequential: ['#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fcfdbf'],
+    diverging:  PU_OR,
+    alert:      { ...CVD_ALERT, warning: '#009e73' },   // vermillion vanishes on magma's reds
+    selected:   '#56b4e9',
+  },
+  blues: {
+    label:      'Blues / brown–teal',
+    cvdSafe:    true,
+    sequential: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
+    diverging:  ['#018571', '#80cdc1', '#f5f5f5', '#dfc27d', '#a6611a'],
+    alert:      CVD_ALERT,
+    selected:   '#f0e442',
+  },
+}
+
+export function getPalette(id) {
+  const p = PALETTES[id] ?? PALETTES[DEFAULT_PALETTE]
+  return {
+    id:        PALETTES[id] ? id : DEFAULT_PALETTE,
+    count:     p.sequential,
+    bivariate: PALETTES[DEFAULT_PALETTE].bivariate,
+    ...p,
+  }
+}
+
+/** Colour of a risk_index value on the fixed classes — RankingChart bars. */
+export function riskStepColor(ri, palette) {
+  if (ri == null || Number.isNaN(ri)) return 'rgba(71,85,105,0.55)'   // slate: no data
+  const steps = palette.riskSteps ?? rampColors(palette.sequential, RISK_BREAKS.length + 1)
+  const i     = RISK_BREAKS.filter(b => ri >= b).length
+  return steps[i]
+}
+
+/** `#rrggbb` + alpha → rgba() for Chart.js fills. */
+export function withAlpha(hex, alpha) {
+  if (!hex.startsWith('#')) return hex
+  const n = parseInt(hex.slice(1), 16)
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`
+}
+
+// Shape cues used next to colour for alert levels
+export const ALERT_MARKS = { warning: '▲', watch: '●', seasonal: '◆' }
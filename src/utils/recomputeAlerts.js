@@ -1,15 +1,81 @@
 /**
  * recomputeAlerts
- * JS re-implementation of utils_alerts.py so the threshold slider triggers a
- * full live recalculation without any round-trip to the server.
+ * JS re-implementation of utils_alerts.py so the FilterPanel detector
+ * settings trigger a full live recalculation without any round-trip to the
+ * server.
+ *
+ * Parameters (all adjustable in FilterPanel → "Detector settings"):
+ *   metric           index the detectors run on: 'risk_index' (pipeline) or
+ *                    'risk_index_eb' (Empirical-Bayes smoothed, see
+ *                    riskMetrics.addSmoothedRisk)
+ *   threshold        spike when risk_index > baseline × (1 + threshold)
+ *   baselineWindow   months of history for the rolling-mean baseline
+ *   minPeriods       minimum history months before a spike can fire
+ *   trendRun         length of the strictly rising run for the trend flag
+ *                    (3 = the pipeline's alert_trend3; field name is kept)
+ *   excludeUnstable  stability_flag rows are never flagged and do not feed
+ *                    the baseline or trend of neighbouring months
+ *   spikeMethod      'ratio'   – the pipeline rule above (default)
+ *                    'poisson' – theft_count tested against the expected
+ *                                count under a Poisson model
+ *                    'negbin'  – same, negative binomial with dispersion
+ *                                estimated from the baseline months' counts
+ *   confidence       significance level for the count-based methods; a
+ *                    spike fires when p < 1 − confidence
+ *   seasonalMode     'off'   – no seasonal signal (default)
+ *                    'yoy'   – compare with the mean of the same calendar
+ *                              month in up to `seasonalYears` prior years
+ *                    'blend' – seasonalWeight × yoy + (1 − w) × rolling mean
+ *                    The seasonal test uses the same spikeMethod / threshold
+ *                    / confidence as the spike and sets `alert_seasonal`, a
+ *                    third signal counted towards alert_level (≥ 2 → warning).
+ *                    It needs at least one prior-year month, i.e. a panel
+ *                    spanning more than a year.
+ *
+ * Expected count (count-based methods)
+ * ────────────────────────────────────
+ *   expected_t = baseline_risk_index × city_mean_ratio_t × exposure_t
+ * i.e. the thefts this borough would see this month if its relative risk
+ * stayed at its rolling baseline.  Because it scales with the city-wide
+ * ratio and the borough's own exposure, small boroughs need a
+ * proportionally larger excess before the upper-tail p-value drops below
+ * the significance level — which is what suppresses low-count noise.
+ *
+ * Each output row also carries, for ExplainCard:
+ *   spike_baseline   rolling mean the spike rule compared against (or null)
+ *   spike_expected   expected theft_count under the baseline      (or null)
+ *   spike_pvalue     P(X ≥ theft_count | expected) under the count model
+ *                    (Poisson when spikeMethod is 'ratio')        (or null)
+ *   seasonal_baseline / seasonal_expected / seasonal_pvalue
+ *                    the same for the seasonal test
  */
 
-const BASELINE_WINDOW = 6   // months of history for rolling mean
-const MIN_PERIODS     = 3   // minimum history months before alerting
+import { poissonUpperTail, negBinUpperTail, dispersionSize } from './stats'
 
-export function recomputeAlerts(features, threshold) {
+export const DEFAULT_ALERT_PARAMS = {
+  metric:          'risk_index', // 'risk_index' | 'risk_index_eb'
+  threshold:       0.5,   // +50 % above baseline
+  baselineWindow:  6,     // months of history for rolling mean
+  minPeriods:      3,     // minimum history months before alerting
+  trendRun:        3,     // months in a strictly rising run
+  excludeUnstable: false,
+  spikeMethod:     'ratio', // 'ratio' | 'poisson' | 'negbin'
+  confidence:      0.95,
+  seasonalMode:    'off',   // 'off' | 'yoy' | 'blend'
+  seasonalWeight:  0.5,     // blend: weight of the year-over-year baseline
+  seasonalYears:   3,       // prior years averaged for the seasonal baseline
+}
+
+export function recomputeAlerts(features, params = {}) {
   if (!features?.length) return features ?? []
 
+  const {
+    metric, threshold, baselineWindow, minPeriods, trendRun, excludeUnstable,
+    spikeMethod, confidence, seasonalMode, seasonalWeight, seasonalYears,
+  } = { ...DEFAULT_ALERT_PARAMS, ...params }
+
+  const alpha = 1 - confidence
+
   // Group by area, preserving original order within each group
   const byArea = new Map()
   for (const f of features) {
@@ -17,45 +83,98 @@ export function recomputeAlerts(features, threshold) {
     byArea.get(f.area_id).push(f)
   }
 
+  /**
+   * Test one observation against a baseline risk index with the active spike
+   * method.  `counts` are the history counts used for NB dispersion.
+   * Returns { expected, pValue, flagged }.
+   */
+  function testExcess(row, ri, baseRi, counts) {
+    const expected =
+      baseRi != null && ri != null && row.city_mean_ratio > 0 && row.exposure > 0
+        ? baseRi * row.city_mean_ratio * row.exposure
+        : null
+
+    let pValue = null
+    if (expected != null && row.theft_count != null) {
+      pValue = spikeMethod === 'negbin'
+        ? negBinUpperTail(row.theft_count, expected, dispersionSize(counts))
+        : poissonUpperTail(row.theft_count, expected)
+    }
+
+    const flagged = spikeMethod === 'ratio'
+      ? baseRi != null && ri != null && ri > baseRi * (1 + threshold)
+      : pValue != null && row.theft_count > expected && pValue < alpha
+
+    return { expected, pValue, flagged }
+  }
+
+  const mean = xs => xs.reduce((s, v) => s + v, 0) / xs.length
+
   const result = []
   for (const [, rows] of byArea) {
     const sorted = [...rows].sort((a, b) => a.month.localeCompare(b.month))
+    const indexOfMonth = new Map(sorted.map((r, i) => [r.month, i]))
+
+    // Values the detectors may use (unstable months masked out when excluded)
+    const usable = sorted.map(r =>
+      excludeUnstable && r.stability_flag ? null : (r[metric] ?? null)
+    )
+    const countsAt = idxs => idxs.filter(i => usable[i] != null).map(i => sorted[i].theft_count)
 
     for (let t = 0; t < sorted.length; t++) {
       const row = sorted[t]
-      const ri  = row.risk_index ?? null
-
-      // ── Spike: risk_index > 6-month rolling mean × (1 + threshold) ──────
-      const history = sorted
-        .slice(Math.max(0, t - BASELINE_WINDOW), t)
-        .map(r => r.risk_index)
-        .filter(v => v != null)
-
-      const baseline =
-        history.length >= MIN_PERIODS
-          ? history.reduce((s, v) => s + v, 0) / history.length
-          : null
-
-      const alertSpike =
-        baseline != null && ri != null
-          ? ri > baseline * (1 + threshold)
-          : false
-
-      // ── Trend3: rising for 3 consecutive months ───────────────────────
-      const riPrev1 = t >= 1 ? (sorted[t - 1].risk_index ?? null) : null
-      const riPrev2 = t >= 2 ? (sorted[t - 2].risk_index ?? null) : null
-      const alertTrend3 =
-        ri != null && riPrev1 != null && riPrev2 != null &&
-        ri > riPrev1 && riPrev1 > riPrev2
-
-      const n = (alertSpike ? 1 : 0) + (alertTrend3 ? 1 : 0)
+      const ri  = usable[t]
+
+      // ── Spike: current vs N-month rolling mean of the metric ────────────
+      const from      = Math.max(0, t - baselineWindow)
+      const windowIdx = Array.from({ length: t - from }, (_, k) => from + k)
+      const history   = windowIdx.map(i => usable[i]).filter(v => v != null)
+
+      const baseline  = history.length >= minPeriods ? mean(history) : null
+      const spike     = testExcess(row, ri, baseline, countsAt(windowIdx))
+
+      // ── Seasonal: current vs same calendar month in prior years ─────────
+      let seasonalBaseline = null
+      let seasonal         = { expected: null, pValue: null, flagged: false }
+      if (seasonalMode !== 'off') {
+        const [y, m] = row.month.split('-')
+        const priorIdx = []
+        for (let k = 1; k <= seasonalYears; k++) {
+          const i = indexOfMonth.get(`${+y - k}-${m}`)
+          if (i != null && usable[i] != null) priorIdx.push(i)
+        }
+        if (priorIdx.length) {
+          const yoy = mean(priorIdx.map(i => usable[i]))
+          seasonalBaseline = seasonalMode === 'blend' && baseline != null
+            ? seasonalWeight * yoy + (1 - seasonalWeight) * baseline
+            : yoy
+          seasonal = testExcess(row, ri, seasonalBaseline, countsAt(priorIdx))
+        }
+      }
+
+      // ── Trend: rising for `trendRun` consecutive months ────────────────
+      let alertTrend = ri != null && t >= trendRun - 1
+      for (let k = 1; alertTrend && k < trendRun; k++) {
+        const cur  = usable[t - k + 1]
+        const prev = usable[t - k]
+        alertTrend = prev != null && cur > prev
+      }
+
+      const n = (spike.flagged ? 1 : 0) + (alertTrend ? 1 : 0) + (seasonal.flagged ? 1 : 0)
       const alertLevel = n === 0 ? 'none' : n === 1 ? 'watch' : 'warning'
 
       result.push({
         ...row,
-        alert_spike:  alertSpike,
-        alert_trend3: alertTrend3,
-        alert_level:  alertLevel,
+        alert_spike:       spike.flagged,
+        alert_trend3:      alertTrend,
+        alert_seasonal:    seasonal.flagged,
+        alert_level:       alertLevel,
+        spike_baseline:    baseline,
+        spike_expected:    spike.expected != null ? +spike.expected.toFixed(2) : null,
+        spike_pvalue:      spike.pValue,
+        seasonal_baseline: seasonalBaseline,
+        seasonal_expected: seasonal.expected != null ? +seasonal.expected.toFixed(2) : null,
+        seasonal_pvalue:   seasonal.pValue,
       })
     }
   }
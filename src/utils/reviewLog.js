@@ -0,0 +1,86 @@
+/**
+ * reviewLog
+ * Alert review log: acknowledgement / dismissal, owner and case note per
+ * borough-month alert.  Persisted by hooks/useAlertReviews.js and handed
+ * between team members as a JSON file.
+ *
+ * Log shape (keyed by reviewKey):
+ *   { 'E09000001|2025-06': { area_id, month, status, owner, note, updated_at } }
+ *
+ *   status   'open' | 'acknowledged' | 'dismissed'
+ *
+ * Export file:
+ *   { format: 'bike-theft-alert-reviews', version: 1, exported_at, reviews: [entry, …] }
+ *
+ *   reviewKey(areaId, month)       → map key
+ *   serializeReviewLog(log)        → JSON string for download
+ *   parseReviewLog(text)           → { log, skipped }   (throws on unreadable files)
+ *   mergeReviewLogs(base, incoming) → newest entry per key wins
+ */
+
+export const REVIEW_STATUSES = ['open', 'acknowledged', 'dismissed']
+
+const FORMAT  = 'bike-theft-alert-reviews'
+const VERSION = 1
+
+export function reviewKey(areaId, month) {
+  return `${areaId}|${month}`
+}
+
+function normaliseEntry(e) {
+  if (!e || typeof e !== 'object') return null
+  if (typeof e.area_id !== 'string' || !/^\d{4}-\d{2}$/.test(e.month ?? '')) return null
+  const status = REVIEW_STATUSES.includes(e.status) ? e.status : 'open'
+  return {
+    area_id:    e.area_id,
+    month:      e.month,
+    status,
+    owner:      typeof e.owner === 'string' ? e.owner : '',
+    note:       typeof e.note  === 'string' ? e.note  : '',
+    updated_at: typeof e.updated_at === 'string' ? e.updated_at : new Date(0).toISOString(),
+  }
+}
+
+export function serializeReviewLog(log) {
+  return JSON.stringify({
+    format:      FORMAT,
+    version:     VERSION,
+    exported_at: new Date().toISOString(),
+    reviews:     Object.values(log ?? {}),
+  }, null, 2)
+}
+
+/**
+ * Accepts the export format above, or a bare array of entries.  Invalid
+ * entries are skipped and counted rather than failing the whole import.
+ */
+export function parseReviewLog(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+  const entries = Array.isArray(data) ? data : data?.reviews
+  if (!Array.isArray(entries)) throw new Error('No "reviews" list found in file')
+  if (!Array.isArray(data) && data.format && data.format !== FORMAT) {
+    throw new Error(`Unexpected file format "${data.format}"`)
+  }
+
+  const log = {}
+  let skipped = 0
+  for (const raw of entries) {
+    const e = normaliseEntry(raw)
+    if (!e) { skipped += 1; continue }
+    log[reviewKey(e.area_id, e.month)] = e
+  }
+  return { log, skipped }
+}
+
+export function mergeReviewLogs(base, incoming) {
+  const out = { ...base }
+  for (const [key, e] of Object.entries(incoming ?? {})) {
+    if (!out[key] || e.updated_at >= out[key].updated_at) out[key] = e
+  }
+  return out
+}
@@ -0,0 +1,133 @@
+/**
+ * riskMetrics
+ * JS port of add_risk_metrics() in scripts/utils_alerts.py.  Used when a
+ * dataset arrives without the pipeline's derived columns (e.g. a raw CSV
+ * extract dropped into the app), so every row carries the same fields the
+ * maps, charts and recomputeAlerts expect.
+ *
+ *   valid_exposure   exposure > 0
+ *   stability_flag   exposure < STABILITY_MIN_EXPOSURE
+ *   risk_ratio       theft_count / exposure            (null when not valid)
+ *   city_mean_ratio  mean risk_ratio of valid rows that month
+ *   risk_index       risk_ratio / city_mean_ratio      (null when not valid)
+ *
+ * addSmoothedRisk() adds an Empirical-Bayes smoothed version of the same
+ * index (client-side only, not part of the pipeline):
+ *
+ *   eb_weight        shrinkage weight w ∈ [0, 1]  (1 = own ratio, 0 = city mean)
+ *   risk_ratio_eb    w × risk_ratio + (1 − w) × city_mean_ratio
+ *   risk_index_eb    risk_ratio_eb / city_mean_ratio
+ *
+ * addRiskIntervals() adds interval estimates from the underlying counts
+ * (Poisson on theft_count, exposure and city_mean_ratio treated as fixed):
+ *
+ *   risk_ratio_lo / risk_ratio_hi    interval for theft_count / exposure
+ *   risk_index_lo / risk_index_hi    the same divided by city_mean_ratio
+ */
+
+import { poissonInterval } from './stats'
+
+export const STABILITY_MIN_EXPOSURE = 10
+
+export const INTERVAL_CONFIDENCE = 0.95
+
+export function addRiskMetrics(features, { stabilityMinExposure = STABILITY_MIN_EXPOSURE } = {}) {
+  if (!features?.length) return features ?? []
+
+  const rows = features.map(f => {
+    const valid = f.exposure > 0
+    return {
+      ...f,
+      valid_exposure: valid,
+      stability_flag: f.exposure < stabilityMinExposure,
+      risk_ratio:     valid ? f.theft_count / f.exposure : null,
+    }
+  })
+
+  // Per-month mean over valid rows
+  const sums = new Map()
+  for (const r of rows) {
+    if (!r.valid_exposure) continue
+    const s = sums.get(r.month) ?? { total: 0, n: 0 }
+    s.total += r.risk_ratio
+    s.n     += 1
+    sums.set(r.month, s)
+  }
+
+  return rows.map(r => {
+    const s    = sums.get(r.month)
+    const mean = s ? s.total / s.n : null
+    return {
+      ...r,
+      risk_ratio:      r.risk_ratio != null ? +r.risk_ratio.toFixed(4) : null,
+      city_mean_ratio: mean != null ? +mean.toFixed(4) : null,
+      risk_index:      r.valid_exposure && mean > 0 ? +(r.risk_ratio / mean).toFixed(4) : null,
+    }
+  })
+}
+
+/**
+ * Marshall's global Empirical-Bayes estimator, per month.  Each borough's
+ * risk_ratio is shrunk toward that month's city_mean_ratio (m) with weight
+ *
+ *   w_i = A / (A + m / exposure_i)
+ *   A   = max(0, s² − m / mean_exposure)
+ *   s²  = Σ exposure_i (risk_ratio_i − m)² / Σ exposure_i
+ *
+ * A is the between-borough variance of the true ratios; m / exposure_i is the
+ * Poisson sampling variance of borough i's ratio.  Low-exposure boroughs —
+ * the ones carrying stability_flag — therefore move furthest toward 1.0.
+ */
+export function addSmoothedRisk(features) {
+  if (!features?.length) return features ?? []
+
+  const byMonth = new Map()
+  for (const r of features) {
+    if (!(r.exposure > 0) || r.risk_ratio == null || !(r.city_mean_ratio > 0)) continue
+    if (!byMonth.has(r.month)) byMonth.set(r.month, [])
+    byMonth.get(r.month).push(r)
+  }
+
+  // Between-borough variance A per month
+  const priorVar = new Map()
+  for (const [month, rows] of byMonth) {
+    const m        = rows[0].city_mean_ratio
+    const totalExp = rows.reduce((s, r) => s + r.exposure, 0)
+    const s2       = rows.reduce((s, r) => s + r.exposure * (r.risk_ratio - m) ** 2, 0) / totalExp
+    priorVar.set(month, Math.max(0, s2 - m / (totalExp / rows.length)))
+  }
+
+  return features.map(r => {
+    const A = priorVar.get(r.month)
+    if (A == null || !(r.exposure > 0) || r.risk_ratio == null || !(r.city_mean_ratio > 0)) {
+      return { ...r, eb_weight: null, risk_ratio_eb: null, risk_index_eb: null }
+    }
+    const m  = r.city_mean_ratio
+    const w  = A > 0 ? A / (A + m / r.exposure) : 0
+    const eb = w * r.risk_ratio + (1 - w) * m
+    return {
+      ...r,
+      eb_weight:     +w.toFixed(4),
+      risk_ratio_eb: +eb.toFixed(4),
+      risk_index_eb: +(eb / m).toFixed(4),
+    }
+  })
+}
+
+export function addRiskIntervals(features, confidence = INTERVAL_CONFIDENCE) {
+  if (!features?.length) return features ?? []
+  return features.map(r => {
+    if (!(r.exposure > 0) || r.theft_count == null) {
+      return { ...r, risk_ratio_lo: null, risk_ratio_hi: null, risk_index_lo: null, risk_index_hi: null }
+    }
+    const [lo, hi] = poissonInterval(r.theft_count, confidence)
+    const m = r.city_mean_ratio > 0 ? r.city_mean_ratio : null
+    return {
+      ...r,
+      risk_ratio_lo: +(lo / r.exposure).toFixed(4),
+      risk_ratio_hi: +(hi / r.exposure).toFixed(4),
+      risk_index_lo: m ? +(lo / r.exposure / m).toFixed(4) : null,
+      risk_index_hi: m ? +(hi / r.exposure / m).toFixed(4) : null,
+    }
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * scenario
+ * What-if edits to a dataset's inputs — exposure (parking spaces) or
+ * theft_count — for chosen boroughs and months.  The risk columns are then
+ * re-derived with addRiskMetrics (same formula as add_risk_metrics in
+ * scripts/utils_alerts.py), so maps, rankings and alerts see the scenario as
+ * if the pipeline had produced it.
+ *
+ * Edit shape:
+ *   { id, area_id, month, field, op, value, enabled }
+ *
+ *   month   'YYYY-MM', or ALL_MONTHS ('*') for every month
+ *   field   'exposure' | 'theft_count'
+ *   op      'add' (value may be negative) | 'set' | 'scale' (multiply)
+ *
+ *   applyScenario(features, edits) → scenario rows
+ *   describeEdit(edit)             → '+300 exposure'
+ *
+ * Only months touched by an enabled edit are re-derived (a changed borough
+ * moves that month's city_mean_ratio, and with it every borough's
+ * risk_index); other months keep the pipeline's values untouched.  Rows in
+ * re-derived months carry baseline_risk_index, and edited rows also
+ * baseline_exposure / baseline_theft_count and `scenario_edited: true`.
+ */
+
+import { addRiskMetrics } from './riskMetrics'
+
+export const ALL_MONTHS = '*'
+
+export const SCENARIO_FIELDS = {
+  exposure:    'Exposure (parking spaces)',
+  theft_count: 'Theft count',
+}
+
+export const SCENARIO_OPS = {
+  add:   '+',
+  set:   '=',
+  scale: '×',
+}
+
+function applyOp(current, { op, value }) {
+  const v = Number(value)
+  if (!Number.isFinite(v)) return current
+  if (op === 'set')   return v
+  if (op === 'scale') return (current ?? 0) * v
+  return (current ?? 0) + v
+}
+
+export function describeEdit(edit) {
+  const v     = Number(edit.value)
+  const field = edit.field === 'theft_count' ? 'thefts' : 'exposure'
+  if (edit.op === 'set')   return `${field} = ${v}`
+  if (edit.op === 'scale') return `${field} × ${v}`
+  return `${v >= 0 ? '+' : '−'}${Math.abs(v)} ${field}`
+}
+
+export function applyScenario(features, edits) {
+  const active = (edits ?? []).filter(e => e.enabled !== false && SCENARIO_FIELDS[e.field])
+  if (!features?.length || !active.length) return features ?? []
+
+  const matches = (e, f) => e.area_id === f.area_id && (e.month === ALL_MONTHS || e.month === f.month)
+
+  const touched = new Set()
+  const edited  = features.map(f => {
+    const hits = active.filter(e => matches(e, f))
+    if (!hits.length) return f
+    touched.add(f.month)
+
+    const next = { ...f, scenario_edited: true, baseline_exposure: f.exposure, baseline_theft_count: f.theft_count }
+    for (const e of hits) next[e.field] = applyOp(next[e.field], e)
+    // Counts stay whole and neither input can go negative
+    if (hits.some(e => e.field === 'exposure'))    next.exposure    = Math.max(0, +next.exposure.toFixed(2))
+    if (hits.some(e => e.field === 'theft_count')) next.theft_count = Math.max(0, Math.round(next.theft_count))
+    return next
+  })
+  if (!touched.size) return features
+
+  const rederived = addRiskMetrics(edited.filter(f => touched.has(f.month)))
+  const byKey     = new Map(rederived.map(r => [`${r.area_id}|${r.month}`, r]))
+
+  return edited.map((f, i) => {
+    if (!touched.has(f.month)) return f
+    return { ...byKey.get(`${f.area_id}|${f.month}`), baseline_risk_index: features[i].risk_index ?? null }
+  })
+}
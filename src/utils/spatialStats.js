@@ -0,0 +1,282 @@
+/**
+ * spatialStats
+ * Spatial autocorrelation for one month's borough values: do high-risk
+ * boroughs cluster together, or stand out among low-risk neighbours?
+ *
+ *   buildAdjacency(areas)              → { ids, neighbors, fallback }
+ *                                        queen contiguity from areas.geojson
+ *   globalMoran(values, neighbors)     → { I, expected, z, p }
+ *   localMoran(values, neighbors)      → per area { I, z, lag, p, cluster }
+ *   getisOrdGiStar(values, neighbors)  → per area { z, p, cluster }
+ *   spatialClusters(rows, adjacency, field)
+ *                                      → { global, byArea: { [area_id]: … } }
+ *
+ * Weights are binary contiguity, row-standardised for Moran's I; Gi* adds
+ * each borough to its own neighbourhood.  Significance is permutation based
+ * (PERMUTATIONS draws, pseudo p = (extreme + 1) / (draws + 1), folded to the
+ * observed side): globally by shuffling all values, locally by conditional
+ * permutation — the borough keeps its value, its neighbours are redrawn
+ * from the rest.  The RNG is seeded, so the same month always gives the
+ * same p-values and the map doesn't flicker between renders.
+ *
+ * Areas without a finite value are left out (no cluster); their neighbours
+ * are judged on the remaining ones.
+ */
+
+export const PERMUTATIONS = 999
+export const SIGNIFICANCE = 0.05
+
+// LISA quadrants (value vs. neighbourhood mean) and Gi* classes
+export const CLUSTER_TYPES = {
+  HH:     { label: 'Hot spot',     detail: 'high among high' },
+  LL:     { label: 'Cold spot',    detail: 'low among low' },
+  HL:     { label: 'High outlier', detail: 'high among low' },
+  LH:     { label: 'Low outlier',  detail: 'low among high' },
+  hot99:  { label: 'Hot spot',     detail: 'Gi*, p ≤ 0.01' },
+  hot95:  { label: 'Hot spot',     detail: 'Gi*, p ≤ 0.05' },
+  cold95: { label: 'Cold spot',    detail: 'Gi*, p ≤ 0.05' },
+  cold99: { label: 'Cold spot',    detail: 'Gi*, p ≤ 0.01' },
+}
+
+// Vertices closer than ~1 m count as shared (precision of the snapped keys)
+const VERTEX_DECIMALS = 5
+const DEFAULT_SEED    = 20250101
+
+// ── Adjacency ────────────────────────────────────────────────────────────────
+
+function rings(geometry) {
+  if (geometry?.type === 'Polygon')      return geometry.coordinates
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.flat()
+  return []
+}
+
+/**
+ * Queen contiguity: two boroughs are neighbours when they share a boundary
+ * vertex.  A borough that touches nobody (an island, or a gap in imported
+ * boundaries) is linked to its nearest borough by centroid so every area
+ * has a neighbourhood; those ids are listed in `fallback`.
+ */
+export function buildAdjacency(areas) {
+  const features = areas?.features ?? []
+  const ids      = features.map(f => f.properties.area_id)
+  const byVertex = new Map()
+  const centroid = []
+
+  features.forEach((f, i) => {
+    let sx = 0, sy = 0, n = 0
+    for (const ring of rings(f.geometry)) {
+      for (const [x, y] of ring) {
+        const key = `${x.toFixed(VERTEX_DECIMALS)},${y.toFixed(VERTEX_DECIMALS)}`
+        if (!byVertex.has(key)) byVertex.set(key, new Set())
+        byVertex.get(key).add(i)
+        sx += x; sy += y; n += 1
+      }
+    }
+    centroid.push(n ? [sx / n, sy / n] : [NaN, NaN])
+  })
+
+  const sets = ids.map(() => new Set())
+  for (const members of byVertex.values()) {
+    if (members.size < 2) continue
+    for (const i of members) for (const j of members) if (i !== j) sets[i].add(j)
+  }
+
+  const fallback = []
+  sets.forEach((set, i) => {
+    if (set.size || ids.length < 2) return
+    let best = -1, bestD = Infinity
+    centroid.forEach(([x, y], j) => {
+      if (j === i) return
+      const d = (x - centroid[i][0]) ** 2 + (y - centroid[i][1]) ** 2
+      if (d < bestD) { bestD = d; best = j }
+    })
+    if (best >= 0) {
+      set.add(best)
+      sets[best].add(i)
+      fallback.push(ids[i])
+    }
+  })
+
+  return { ids, neighbors: sets.map(s => [...s].sort((a, b) => a - b)), fallback }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+/** mulberry32: small, fast, seedable — Math.random can't be seeded. */
+function seededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/** Draw k distinct entries of `pool` into its first k slots (partial Fisher–Yates). */
+function drawInto(pool, k, random) {
+  for (let i = 0; i < k; i++) {
+    const j = i + Math.floor(random() * (pool.length - i))
+    const t = pool[i]; pool[i] = pool[j]; pool[j] = t
+  }
+}
+
+function standardise(values) {
+  const n    = values.length
+  const mean = values.reduce((s, v) => s + v, 0) / n
+  const sd   = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / n)
+  return { mean, sd, z: values.map(v => (sd > 0 ? (v - mean) / sd : 0)) }
+}
+
+/** Folded pseudo p-value: share of draws at least as extreme on the observed side. */
+function pseudoP(observed, draws, centre) {
+  const upper = observed >= centre
+  let extreme = 0
+  for (const d of draws) if (upper ? d >= observed : d <= observed) extreme += 1
+  return (extreme + 1) / (draws.length + 1)
+}
+
+// ── Global Moran's I ─────────────────────────────────────────────────────────
+
+export function globalMoran(values, neighbors, { permutations = PERMUTATIONS, seed = DEFAULT_SEED } = {}) {
+  const n = values.length
+  const expected = -1 / (n - 1)
+  const { z } = standardise(values)
+  const denom = z.reduce((s, v) => s + v * v, 0)
+  if (n < 3 || !(denom > 0)) return { I: null, expected, z: null, p: null }
+
+  // Row-standardised weights: I = Σ zᵢ · lagᵢ / Σ zᵢ²
+  const moran = zs => {
+    let num = 0
+    for (let i = 0; i < n; i++) {
+      const nb = neighbors[i]
+      if (!nb.length) continue
+      let lag = 0
+      for (const j of nb) lag += zs[j]
+      num += zs[i] * lag / nb.length
+    }
+    return num / denom
+  }
+
+  const I      = moran(z)
+  const random = seededRandom(seed)
+  const perm   = z.slice()
+  const draws  = []
+  for (let r = 0; r < permutations; r++) {
+    drawInto(perm, n, random)
+    draws.push(moran(perm))
+  }
+  const mean = draws.reduce((s, v) => s + v, 0) / draws.length
+  const sd   = Math.sqrt(draws.reduce((s, v) => s + (v - mean) ** 2, 0) / draws.length)
+  return { I, expected, z: sd > 0 ? (I - mean) / sd : null, p: pseudoP(I, draws, expected) }
+}
+
+// ── Local Moran's I (LISA) ───────────────────────────────────────────────────
+
+export function localMoran(values, neighbors, {
+  permutations = PERMUTATIONS, seed = DEFAULT_SEED, alpha = SIGNIFICANCE,
+} = {}) {
+  const n = values.length
+  const { z } = standardise(values)
+  const random = seededRandom(seed)
+
+  return z.map((zi, i) => {
+    const nb = neighbors[i]
+    if (!nb.length) return { I: null, z: zi, lag: null, p: null, cluster: null }
+    const lag = nb.reduce((s, j) => s + z[j], 0) / nb.length
+    const I   = zi * lag
+
+    // Conditional permutation: i keeps its value, neighbours drawn from the rest
+    const pool  = z.filter((_, j) => j !== i)
+    const k     = Math.min(nb.length, n - 1)
+    const draws = []
+    for (let r = 0; r < permutations; r++) {
+      drawInto(pool, k, random)
+      let s = 0
+      for (let m = 0; m < k; m++) s += pool[m]
+      draws.push(zi * s / k)
+    }
+    const p = pseudoP(I, draws, 0)
+
+    let cluster = null
+    if (p <= alpha && zi !== 0 && lag !== 0) {
+      cluster = zi > 0 ? (lag > 0 ? 'HH' : 'HL') : (lag < 0 ? 'LL' : 'LH')
+    }
+    return { I, z: zi, lag, p, cluster }
+  })
+}
+
+// ── Getis-Ord Gi* ────────────────────────────────────────────────────────────
+
+export function getisOrdGiStar(values, neighbors, { permutations = PERMUTATIONS, seed = DEFAULT_SEED } = {}) {
+  const n = values.length
+  const { mean } = standardise(values)
+  const s = Math.sqrt(values.reduce((acc, v) => acc + v * v, 0) / n - mean * mean)
+  const random = seededRandom(seed)
+
+  return values.map((xi, i) => {
+    const nb = neighbors[i]
+    const w  = nb.length + 1                       // binary weights incl. self
+    const sum = nb.reduce((acc, j) => acc + values[j], xi)
+    const den = s * Math.sqrt((n * w - w * w) / (n - 1))
+    if (!(den > 0)) return { z: null, p: null, cluster: null }
+    const z = (sum - mean * w) / den
+
+    // Conditional permutation of the neighbourhood sum (self fixed)
+    const pool  = values.filter((_, j) => j !== i)
+    const k     = Math.min(nb.length, n - 1)
+    const draws = []
+    for (let r = 0; r < permutations; r++) {
+      drawInto(pool, k, random)
+      let t = xi
+      for (let m = 0; m < k; m++) t += pool[m]
+      draws.push(t)
+    }
+    const p = pseudoP(sum, draws, mean * w)
+
+    const cluster = p <= 0.01 ? (z > 0 ? 'hot99' : 'cold99')
+      : p <= 0.05 ? (z > 0 ? 'hot95' : 'cold95')
+      : null
+    return { z, p, cluster }
+  })
+}
+
+// ── One month, both statistics ───────────────────────────────────────────────
+
+/**
+ * `rows` are one month's feature rows; `field` the metric to test.  Returns
+ * the global Moran's I and, per area_id, { lisa_cluster, lisa_p, lisa_i,
+ * gi_z, gi_p, gi_cluster }.
+ */
+export function spatialClusters(rows, adjacency, field, options = {}) {
+  const valueById = new Map(
+    (rows ?? [])
+      .filter(r => typeof r[field] === 'number' && Number.isFinite(r[field]))
+      .map(r => [r.area_id, r[field]])
+  )
+  // Re-index the graph onto the areas that have a value
+  const keep   = adjacency.ids.map((id, i) => [id, i]).filter(([id]) => valueById.has(id))
+  const newIdx = new Map(keep.map(([, i], k) => [i, k]))
+  const values = keep.map(([id]) => valueById.get(id))
+  const nbs    = keep.map(([, i]) => adjacency.neighbors[i].filter(j => newIdx.has(j)).map(j => newIdx.get(j)))
+
+  if (values.length < 3) return { global: null, byArea: {} }
+
+  const global = globalMoran(values, nbs, options)
+  const lisa   = localMoran(values, nbs, options)
+  const gi     = getisOrdGiStar(values, nbs, options)
+
+  const byArea = {}
+  keep.forEach(([id], k) => {
+    byArea[id] = {
+      lisa_cluster: lisa[k].cluster,
+      lisa_i:       lisa[k].I,
+      lisa_p:       lisa[k].p,
+      gi_z:         gi[k].z,
+      gi_p:         gi[k].p,
+      gi_cluster:   gi[k].cluster,
+    }
+  })
+  return { global: { ...global, field, n: values.length }, byArea }
+}
@@ -0,0 +1,279 @@
+/**
+ * validateDataset
+ * Schema + consistency checks for the three files loaded by useDataLoader
+ * (areas.geojson, features.json, meta.json), run before the app renders.
+ *
+ * Checks
+ * ──────
+ *   • Structure   – FeatureCollection / array / months list are present
+ *   • Field types – area_id, month, theft_count, exposure, risk_index, …
+ *   • Coverage    – every meta area × meta month has a feature row
+ *   • Consistency – feature area_ids ↔ polygons ↔ meta.areas,
+ *                   feature months ⊂ meta.months
+ *   • Duplicates  – repeated (area_id, month) rows, repeated polygons
+ *
+ * Every check produces at most ONE issue, with a few example offenders, so a
+ * broken pipeline run yields a short readable list rather than 400 lines.
+ *
+ * Issue shape:  { level: 'error' | 'warning', file, message, examples? }
+ *   error   – the app cannot render this dataset (ErrorScreen)
+ *   warning – rendering works but some values will show as "no data"
+ *
+ * Returns { errors, warnings }.
+ */
+
+const MONTH_RE     = /^\d{4}-(0[1-9]|1[0-2])$/
+const MAX_EXAMPLES = 3
+
+// Numeric fields: null is allowed (pipeline writes NaN → null) unless required
+const NUMERIC_FIELDS = [
+  { key: 'theft_count',     required: true  },
+  { key: 'exposure',        required: true  },
+  { key: 'risk_ratio',      required: false },
+  { key: 'city_mean_ratio', required: false },
+  { key: 'risk_index',      required: false },
+]
+
+const BOOLEAN_FIELDS = ['stability_flag', 'alert_spike', 'alert_trend3']
+
+const ALERT_LEVELS = ['none', 'watch', 'warning']
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v)
+}
+
+function rowLabel(f, i) {
+  if (f && typeof f === 'object' && f.area_id && f.month) return `${f.area_id} · ${f.month}`
+  return `row ${i}`
+}
+
+/**
+ * Collects offenders per check and flushes them as one issue each.
+ */
+function createCollector() {
+  const errors   = []
+  const warnings = []
+
+  function push(level, file, message, offenders = []) {
+    const issue = { level, file, message }
+    if (offenders.length) {
+      issue.count    = offenders.length
+      issue.examples = offenders.slice(0, MAX_EXAMPLES)
+    }
+    ;(level === 'error' ? errors : warnings).push(issue)
+  }
+
+  return {
+    errors,
+    warnings,
+    error:   (file, message, offenders) => push('error',   file, message, offenders),
+    warning: (file, message, offenders) => push('warning', file, message, offenders),
+    /** Only emit when there is at least one offender. */
+    check(level, file, message, offenders) {
+      if (offenders.length) push(level, file, message, offenders)
+    },
+  }
+}
+
+// ── per-file checks ──────────────────────────────────────────────────────────
+
+function validateAreas(areas, out) {
+  const file = 'areas.geojson'
+  if (!areas || areas.type !== 'FeatureCollection' || !Array.isArray(areas.features)) {
+    out.error(file, 'Not a GeoJSON FeatureCollection.')
+    return null
+  }
+  if (!areas.features.length) {
+    out.error(file, 'Contains no boundary polygons.')
+    return null
+  }
+
+  const ids        = new Set()
+  const missingId  = []
+  const noGeometry = []
+  const duplicates = []
+
+  areas.features.forEach((f, i) => {
+    const id = f?.properties?.area_id
+    if (typeof id !== 'string' || !id) { missingId.push(`feature ${i}`); return }
+    if (ids.has(id)) duplicates.push(id)
+    ids.add(id)
+    const type = f.geometry?.type
+    if (type !== 'Polygon' && type !== 'MultiPolygon') noGeometry.push(id)
+  })
+
+  out.check('error',   file, 'Polygons without a string properties.area_id.', missingId)
+  out.check('warning', file, 'Duplicate area_id polygons (drawn twice on the map).', duplicates)
+  out.check('warning', file, 'Features without Polygon/MultiPolygon geometry.', noGeometry)
+
+  return ids
+}
+
+function validateMeta(meta, out) {
+  const file = 'meta.json'
+  if (!meta || typeof meta !== 'object') {
+    out.error(file, 'Missing or not a JSON object.')
+    return null
+  }
+  if (!Array.isArray(meta.months) || !meta.months.length) {
+    out.error(file, '`months` must be a non-empty array of "YYYY-MM" strings.')
+    return null
+  }
+
+  const badMonths = meta.months.filter(m => typeof m !== 'string' || !MONTH_RE.test(m))
+  out.check('error', file, 'Invalid entries in `months` (expected "YYYY-MM").', badMonths.map(String))
+  if (badMonths.length) return null
+
+  const seen = new Set()
+  const dupMonths = meta.months.filter(m => seen.has(m) || !seen.add(m))
+  out.check('error', file, 'Duplicate entries in `months`.', dupMonths)
+
+  const unsorted = meta.months.some((m, i) => i > 0 && m < meta.months[i - 1])
+  if (unsorted) out.warning(file, '`months` is not in ascending order; the time slider will jump.')
+
+  let areaIds = null
+  if (!Array.isArray(meta.areas)) {
+    out.warning(file, '`areas` index is missing; borough coverage cannot be checked.')
+  } else {
+    areaIds = new Set()
+    const badAreas = []
+    meta.areas.forEach((a, i) => {
+      if (typeof a?.id !== 'string' || !a.id) badAreas.push(`areas[${i}]`)
+      else areaIds.add(a.id)
+    })
+    out.check('warning', file, 'Entries in `areas` without a string id.', badAreas)
+  }
+
+  return { months: new Set(meta.months), areaIds }
+}
+
+function validateFeatures(features, out) {
+  const file = 'features.json'
+  if (!Array.isArray(features)) {
+    out.error(file, 'Must be a JSON array of month × borough rows.')
+    return null
+  }
+  if (!features.length) {
+    out.error(file, 'Contains no rows.')
+    return null
+  }
+
+  const notObject   = []
+  const badAreaId   = []
+  const badMonth    = []
+  const badNumeric  = Object.fromEntries(NUMERIC_FIELDS.map(({ key }) => [key, []]))
+  const missingKey  = Object.fromEntries(NUMERIC_FIELDS.map(({ key }) => [key, []]))
+  const negative    = []
+  const badBoolean  = []
+  const badLevel    = []
+  const duplicates  = []
+  const keys        = new Set()
+
+  features.forEach((f, i) => {
+    if (!f || typeof f !== 'object' || Array.isArray(f)) { notObject.push(`row ${i}`); return }
+    const label = rowLabel(f, i)
+
+    if (typeof f.area_id !== 'string' || !f.area_id) badAreaId.push(label)
+    if (typeof f.month !== 'string' || !MONTH_RE.test(f.month)) badMonth.push(label)
+
+    for (const { key, required } of NUMERIC_FIELDS) {
+      const v = f[key]
+      if (v === undefined)        missingKey[key].push(label)
+      else if (v === null)        { if (required) badNumeric[key].push(label) }
+      else if (!isFiniteNumber(v)) badNumeric[key].push(label)
+    }
+    if ((isFiniteNumber(f.theft_count) && f.theft_count < 0) ||
+        (isFiniteNumber(f.exposure) && f.exposure < 0)) negative.push(label)
+
+    if (BOOLEAN_FIELDS.some(k => f[k] !== undefined && typeof f[k] !== 'boolean')) badBoolean.push(label)
+    if (f.alert_level !== undefined && !ALERT_LEVELS.includes(f.alert_level)) badLevel.push(label)
+
+    const key = `${f.area_id}|${f.month}`
+    if (keys.has(key)) duplicates.push(label)
+    keys.add(key)
+  })
+
+  out.check('error', file, 'Rows that are not JSON objects.', notObject)
+  out.check('error', file, 'Rows without a string area_id.', badAreaId)
+  out.check('error', file, 'Rows with a missing or malformed month (expected "YYYY-MM").', badMonth)
+  out.check('error', file, 'Duplicate (area_id, month) rows.', duplicates)
+
+  for (const { key, required } of NUMERIC_FIELDS) {
+    out.check(required ? 'error' : 'warning', file,
+      required
+        ? `Rows where ${key} is missing.`
+        : `Rows where ${key} is missing (shown as "no data").`,
+      missingKey[key])
+    out.check('error', file,
+      required ? `Rows where ${key} is not a finite number.` : `Rows where ${key} is neither a number nor null.`,
+      badNumeric[key])
+  }
+
+  out.check('warning', file, 'Rows with a negative theft_count or exposure.', negative)
+  out.check('warning', file, `Rows where ${BOOLEAN_FIELDS.join(' / ')} is not a boolean.`, badBoolean)
+  out.check('warning', file, `Rows with an alert_level other than ${ALERT_LEVELS.join(' | ')}.`, badLevel)
+
+  return features
+}
+
+// ── cross-file checks ────────────────────────────────────────────────────────
+
+function validateConsistency(polygonIds, metaIdx, features, out) {
+  const file = 'features.json'
+
+  const rowAreas  = new Set()
+  const rowKeys   = new Set()
+  const noPolygon = new Set()
+  const offMonths = new Set()
+  const offAreas  = new Set()
+
+  for (const f of features) {
+    if (!f || typeof f !== 'object') continue
+    rowAreas.add(f.area_id)
+    rowKeys.add(`${f.area_id}|${f.month}`)
+    if (polygonIds && !polygonIds.has(f.area_id)) noPolygon.add(f.area_id)
+    if (metaIdx && !metaIdx.months.has(f.month))  offMonths.add(f.month)
+    if (metaIdx?.areaIds && !metaIdx.areaIds.has(f.area_id)) offAreas.add(f.area_id)
+  }
+
+  out.check('warning', file, 'area_ids with no matching polygon in areas.geojson (not drawn).', [...noPolygon])
+  out.check('warning', file, 'Months not listed in meta.months (unreachable from the slider).', [...offMonths])
+  out.check('warning', file, 'area_ids not listed in meta.areas.', [...offAreas])
+
+  if (polygonIds) {
+    const unused = [...polygonIds].filter(id => !rowAreas.has(id))
+    out.check('warning', 'areas.geojson', 'Polygons with no feature rows (always "no data").', unused)
+  }
+
+  if (metaIdx?.areaIds && polygonIds) {
+    const missing = [...metaIdx.areaIds].filter(id => !polygonIds.has(id))
+    out.check('warning', 'meta.json', 'meta.areas entries with no polygon in areas.geojson.', missing)
+  }
+
+  // Coverage: full area × month grid from meta
+  if (metaIdx?.areaIds) {
+    const gaps = []
+    for (const id of metaIdx.areaIds) {
+      for (const m of metaIdx.months) {
+        if (!rowKeys.has(`${id}|${m}`)) gaps.push(`${id} · ${m}`)
+      }
+    }
+    out.check('warning', file, 'Missing area × month rows (gaps in maps and trend lines).', gaps)
+  }
+}
+
+// ── entry point ──────────────────────────────────────────────────────────────
+
+export function validateDataset({ areas, features, meta }) {
+  const out = createCollector()
+
+  const polygonIds = validateAreas(areas, out)
+  const metaIdx    = validateMeta(meta, out)
+  const rows       = validateFeatures(features, out)
+
+  if (rows) validateConsistency(polygonIds, metaIdx, rows, out)
+
+  return { errors: out.errors, warnings: out.warnings }
+}
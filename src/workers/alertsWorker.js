@@ -0,0 +1,68 @@
+/**
+ * alertsWorker
+ * Runs alert detectors off the main thread so dragging the FilterPanel
+ * threshold slider never stalls the maps.
+ *
+ * Protocol (see hooks/useAlertRecompute.js)
+ * ──────────────────────────────────────────
+ *   → { type: 'setFeatures', features }          panel sent once per dataset
+ *   → { type: 'run', id, detector, params }      request a recomputation
+ *   ← { type: 'result', id, features }           latest request finished
+ *   ← { type: 'error',  id, message }
+ *
+ * Requests are coalesced: incoming 'run' messages only replace the pending
+ * one, and the work is started on the next macrotask, so a burst of slider
+ * ticks queued behind a slow run collapses into a single run of the newest
+ * parameters.  Stale ids are never answered.
+ */
+
+import { recomputeAlerts } from '../utils/recomputeAlerts'
+import { applyAlertRules } from '../utils/alertRules'
+
+// Detector registry — add new detectors here; params are detector-specific.
+// 'alerts': built-in detectors, then user rules (params.rules, checked
+// against params.ruleFields = meta.fields keys) on top.
+const DETECTORS = {
+  alerts: (features, { rules, ruleFields, ...params }) =>
+    applyAlertRules(recomputeAlerts(features, params), rules, ruleFields),
+}
+
+let features  = []
+let pending   = null
+let scheduled = false
+
+function runPending() {
+  scheduled = false
+  const req = pending
+  pending   = null
+  if (!req) return
+
+  const detector = DETECTORS[req.detector]
+  if (!detector) {
+    self.postMessage({ type: 'error', id: req.id, message: `Unknown detector "${req.detector}"` })
+    return
+  }
+  try {
+    const result = detector(features, req.params ?? {})
+    // A newer request arrived while we were busy → drop this result
+    if (pending) { schedule(); return }
+    self.postMessage({ type: 'result', id: req.id, features: result })
+  } catch (err) {
+    self.postMessage({ type: 'error', id: req.id, message: err.message })
+  }
+}
+
+function schedule() {
+  if (scheduled) return
+  scheduled = true
+  setTimeout(runPending, 0)
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'setFeatures') {
+    features = data.features ?? []
+  } else if (data.type === 'run') {
+    pending = data
+    schedule()
+  }
+}
@@ -1,7 +1,42 @@
+import { createHash } from 'node:crypto'
+import { readdir, readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Writes every built file under assets/ into public/sw.js's PRECACHE_ASSETS,
+// so lazily loaded chunks (maplibre-gl, the alerts worker) are cached on the
+// first visit, not only what index.html references, and a hash of that list
+// into BUILD_ID so each deploy gets its own shell cache.
+const SW_PLACEHOLDERS = {
+  assets:  'const PRECACHE_ASSETS = [] // __PRECACHE_ASSETS__',
+  buildId: "const BUILD_ID            = 'dev' // __BUILD_ID__",
+}
+
+function precacheManifest() {
+  let outDir
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    async closeBundle() {
+      const swPath = resolve(outDir, 'sw.js')
+      const assets = (await readdir(resolve(outDir, 'assets'))).sort().map(f => `assets/${f}`)
+      const buildId = createHash('sha256').update(JSON.stringify(assets)).digest('hex').slice(0, 12)
+      const sw      = await readFile(swPath, 'utf8')
+      for (const [name, placeholder] of Object.entries(SW_PLACEHOLDERS)) {
+        if (!sw.includes(placeholder)) throw new Error(`precache-manifest: ${name} placeholder not found in sw.js`)
+      }
+      await writeFile(swPath, sw
+        .replace(SW_PLACEHOLDERS.assets,  `const PRECACHE_ASSETS = ${JSON.stringify(assets)}`)
+        .replace(SW_PLACEHOLDERS.buildId, `const BUILD_ID            = '${buildId}'`))
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
@@ -11,6 +46,7 @@ export default defineConfig({
       },
     }),
     tailwindcss(),
+    precacheManifest(),
   ],
   base: './'
 })